@@ -0,0 +1,108 @@
+/**
+ * VirtualTram - Simulated tram for the mock backend
+ * Motion (speed, stop dwell) comes from the shared RouteSimulator; this adds
+ * GPS noise, sequence numbers, wire payloads and a history for backfill
+ */
+import RouteSimulator from '../src/services/RouteSimulator.js';
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+class VirtualTram extends RouteSimulator {
+  /**
+   * @param {string} id - Vehicle id reported to clients
+   * @param {Array} route - Route points [{ lat, lon }]
+   * @param {Object} options - RouteSimulator options plus:
+   * @param {number} options.noiseMeters - Standard deviation of GPS noise
+   * @param {number} options.maxHistory - Reports kept for backfill
+   */
+  constructor(id, route, options = {}) {
+    super(route, options);
+    this.id = id;
+    this.noiseMeters = options.noiseMeters || 0;
+
+    this.previousFix = null;
+    this.currentFix = null;
+    this.seq = 0;
+
+    // Recent v1 reports kept for reconnect backfill
+    this.history = [];
+    this.maxHistory = options.maxHistory || 1800;
+  }
+
+  /**
+   * Produce a noisy GPS fix for the current position and remember it as the latest fix
+   */
+  sample() {
+    const metresPerDegLat = 111320;
+    const metresPerDegLon = 111320 * Math.cos(this.position.lat * Math.PI / 180);
+    const fix = {
+      lat: +(this.position.lat + gaussian() * this.noiseMeters / metresPerDegLat).toFixed(6),
+      lon: +(this.position.lon + gaussian() * this.noiseMeters / metresPerDegLon).toFixed(6),
+      t: new Date().toISOString()
+    };
+
+    this.previousFix = this.currentFix || fix;
+    this.currentFix = fix;
+    this.seq++;
+
+    this.history.push(this.getReport());
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+    return fix;
+  }
+
+  /**
+   * Reports recorded after a client's last seen sequence number or timestamp
+   * @param {Object} since - { seq, timestamp } as sent in request-gps-backfill
+   */
+  getReportsSince(since = {}) {
+    if (since.seq !== null && since.seq !== undefined) {
+      return this.history.filter(report => report.seq > since.seq);
+    }
+    if (since.timestamp) {
+      const sinceTime = new Date(since.timestamp).getTime();
+      return this.history.filter(report => new Date(report.position.timestamp).getTime() > sinceTime);
+    }
+    return [];
+  }
+
+  /**
+   * Latest payload in the { c, p, s } wire shape
+   */
+  getPayload() {
+    if (!this.currentFix) this.sample();
+    return {
+      c: this.currentFix,
+      p: this.previousFix,
+      s: 'active'
+    };
+  }
+
+  /**
+   * Latest report in the v1 protocol shape (see src/services/gpsProtocol.js)
+   */
+  getReport() {
+    if (!this.currentFix) this.sample();
+    const toFix = (fix) => ({ lat: fix.lat, lon: fix.lon, timestamp: fix.t });
+    return {
+      vehicleId: this.id,
+      seq: this.seq,
+      status: 'active',
+      position: {
+        ...toFix(this.currentFix),
+        heading: +this.heading.toFixed(1),
+        speed: +this.getSpeed().toFixed(2),
+        accuracy: this.noiseMeters
+      },
+      previous: toFix(this.previousFix)
+    };
+  }
+}
+
+export default VirtualTram;
@@ -0,0 +1,216 @@
+// Mock GPS backend for offline development and tests
+// Speaks the same socket.io protocol as the real backend: welcome, request-gps-data,
+// gps-data, gps-data-update, gps-error and ping/pong, plus request-gps-backfill/gps-backfill
+// so clients can recover positions missed during an outage.
+//
+// Usage: npm run mock:gps -- [--port 8080] [--speed 20] [--dwell 30] [--noise 3]
+//                            [--interval 2000] [--trams 1] [--outage 60:20:disconnect]
+//                            [--protocol 0|1]
+//                            [--scenario mock-server/scenarios/open-day.json]
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { Server } from 'socket.io';
+import { routeNetwork, CAMPUS_LOOP } from '../src/config/routeNetwork.js';
+import RouteNetwork from '../src/utils/RouteNetwork.js';
+import { stopRegistry } from '../src/services/StopRegistry.js';
+import VirtualTram from './VirtualTram.js';
+
+const DEFAULT_CONFIG = {
+  port: 8080,
+  speed: 20,        // km/h
+  dwell: 30,        // seconds at each stop
+  noise: 3,         // metres, standard deviation
+  interval: 2000,   // ms between gps-data-update broadcasts
+  trams: 1,         // number of virtual trams
+  outages: [],      // [{ at, duration, mode }] in seconds from start; mode: silent | disconnect | error
+  repeat: 0,        // repeat the outage script every N seconds (0 = run once)
+  protocol: 0,      // message version: 0 = legacy { c, p, s }, 1 = versioned reports
+  stops: stopRegistry.getStops()
+};
+
+// Virtual trams drive the campus loop leg by leg, like the real service
+const loopPath = new RouteNetwork(routeNetwork, { stops: DEFAULT_CONFIG.stops }).getLoopPath(CAMPUS_LOOP);
+
+// Parse "--outage 60:20:disconnect" into { at: 60, duration: 20, mode: 'disconnect' }
+function parseOutage(value) {
+  const [at, duration, mode = 'silent'] = value.split(':');
+  return { at: Number(at), duration: Number(duration), mode };
+}
+
+function parseArgs(argv) {
+  const config = { ...DEFAULT_CONFIG, outages: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    switch (arg) {
+      case '--port': config.port = Number(value); i++; break;
+      case '--speed': config.speed = Number(value); i++; break;
+      case '--dwell': config.dwell = Number(value); i++; break;
+      case '--noise': config.noise = Number(value); i++; break;
+      case '--interval': config.interval = Number(value); i++; break;
+      case '--trams': config.trams = Number(value); i++; break;
+      case '--repeat': config.repeat = Number(value); i++; break;
+      case '--protocol': config.protocol = Number(value); i++; break;
+      case '--outage': config.outages.push(parseOutage(value)); i++; break;
+      case '--scenario':
+        Object.assign(config, JSON.parse(readFileSync(value, 'utf8')));
+        i++;
+        break;
+      default:
+        console.warn(`⚠️ Unknown option: ${arg}`);
+    }
+  }
+
+  if (process.env.MOCK_GPS_PORT) {
+    config.port = Number(process.env.MOCK_GPS_PORT);
+  }
+
+  return config;
+}
+
+// Which scripted outage (if any) is active at a given time since start
+function getActiveOutage(config, elapsedSeconds) {
+  const t = config.repeat > 0 ? elapsedSeconds % config.repeat : elapsedSeconds;
+  return config.outages.find(outage => t >= outage.at && t < outage.at + outage.duration) || null;
+}
+
+export function startMockServer(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  const startedAt = Date.now();
+
+  // Spread multiple trams evenly around the route
+  const trams = Array.from({ length: config.trams }, (_, i) => new VirtualTram(
+    config.trams === 1 ? 'tram_01' : `tram_${String(i + 1).padStart(2, '0')}`,
+    loopPath,
+    {
+      speedKmh: config.speed,
+      dwellSeconds: config.dwell,
+      noiseMeters: config.noise,
+      stops: config.stops,
+      startIndex: Math.floor(i * loopPath.length / config.trams)
+    }
+  ));
+
+  // v0: single tram keeps the legacy { c, p, s } shape; fleets are keyed by vehicle id
+  // v1: versioned batch of reports
+  const buildPayload = () => {
+    if (config.protocol === 1) {
+      return { version: 1, reports: trams.map(tram => tram.getReport()) };
+    }
+    if (trams.length === 1) return trams[0].getPayload();
+    return {
+      vehicles: Object.fromEntries(trams.map(tram => [tram.id, tram.getPayload()]))
+    };
+  };
+
+  const httpServer = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok', service: 'au-journey-mock-gps', trams: trams.length }));
+  });
+
+  let outage = null;
+
+  const io = new Server(httpServer, {
+    cors: { origin: '*' },
+    // Refuse handshakes during a scripted disconnect outage so clients see a
+    // transport failure and keep retrying, like a real network drop
+    allowRequest: (req, callback) => {
+      callback(null, !(outage && outage.mode === 'disconnect'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    console.log(`🔌 Client connected: ${socket.id}`);
+
+    socket.emit('welcome', {
+      message: 'Connected to AU Journey mock GPS server',
+      timestamp: Date.now()
+    });
+
+    socket.on('request-gps-data', () => {
+      if (outage && outage.mode === 'error') {
+        socket.emit('gps-error', { message: 'GPS data unavailable (mock outage)' });
+        return;
+      }
+      if (outage) return;
+      socket.emit('gps-data', buildPayload());
+    });
+
+    // Everything each tram reported after the client's last seen position (v1 batch)
+    socket.on('request-gps-backfill', (data) => {
+      const since = (data && data.since) || {};
+      const reports = trams.flatMap(tram => tram.getReportsSince(since[tram.id]));
+      socket.emit('gps-backfill', { version: 1, reports });
+    });
+
+    socket.on('ping', (data) => {
+      socket.emit('pong', { timestamp: data && data.timestamp ? data.timestamp : Date.now() });
+    });
+
+    socket.on('disconnect', (reason) => {
+      console.log(`🔌 Client disconnected: ${socket.id} (${reason})`);
+    });
+  });
+
+  let lastTick = Date.now();
+  const timer = setInterval(() => {
+    const now = Date.now();
+    const dt = (now - lastTick) / 1000;
+    lastTick = now;
+
+    trams.forEach(tram => tram.tick(dt));
+
+    const activeOutage = getActiveOutage(config, (now - startedAt) / 1000);
+    if (activeOutage !== outage) {
+      if (activeOutage) {
+        console.log(`🚧 Outage started (${activeOutage.mode}, ${activeOutage.duration}s)`);
+        if (activeOutage.mode === 'disconnect') {
+          // Drop the underlying connections rather than a clean server disconnect
+          io.sockets.sockets.forEach(socket => socket.conn.close());
+        }
+      } else {
+        console.log('✅ Outage ended');
+      }
+      outage = activeOutage;
+    }
+
+    // Trams keep reporting during outages so the positions can be backfilled later
+    trams.forEach(tram => tram.sample());
+
+    if (outage) {
+      if (outage.mode === 'error') {
+        io.emit('gps-error', { message: 'GPS data unavailable (mock outage)' });
+      }
+      return;
+    }
+
+    io.emit('gps-data-update', buildPayload());
+  }, config.interval);
+
+  httpServer.listen(config.port, () => {
+    console.log(`🚊 Mock GPS server listening on ws://localhost:${config.port}`);
+    console.log(`   ${trams.length} tram(s) at ${config.speed} km/h, ${config.dwell}s dwell, ${config.noise}m noise`);
+    if (config.outages.length > 0) {
+      console.log(`   Scripted outages: ${config.outages.map(o => `${o.at}s+${o.duration}s ${o.mode}`).join(', ')}`);
+    }
+  });
+
+  return {
+    io,
+    httpServer,
+    trams,
+    close() {
+      clearInterval(timer);
+      io.close();
+      httpServer.close();
+    }
+  };
+}
+
+// Run directly: node mock-server/index.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startMockServer(parseArgs(process.argv.slice(2)));
+}
@@ -0,0 +1,58 @@
+// Banner telling viewers when the tram position is not live GPS
+class DataModeBanner {
+  constructor() {
+    this.element = null;
+    this.mode = 'live';
+    
+    this.messages = {
+      simulation: '🎭 Simulated data — live GPS is unavailable, the tram shown is a simulation',
+      replay: '⏪ Replaying recorded GPS data — live updates are paused'
+    };
+    
+    this.createUI();
+  }
+  
+  createUI() {
+    this.element = document.createElement('div');
+    this.element.className = 'data-mode-banner';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(255, 152, 0, 0.92);
+      color: #1a1a1a;
+      padding: 8px 16px;
+      border-radius: 8px;
+      font-family: 'Arial', sans-serif;
+      font-size: 14px;
+      font-weight: bold;
+      z-index: 1002;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      display: none;
+    `;
+    document.body.appendChild(this.element);
+  }
+  
+  // mode: 'live' | 'simulation' | 'replay'
+  setMode(mode) {
+    this.mode = mode;
+    
+    if (mode === 'live') {
+      this.element.style.display = 'none';
+      return;
+    }
+    
+    this.element.textContent = this.messages[mode] || mode;
+    this.element.style.display = 'block';
+  }
+  
+  dispose() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
+
+export default DataModeBanner;
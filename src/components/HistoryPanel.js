@@ -0,0 +1,263 @@
+import { stopRegistry } from '../services/StopRegistry.js';
+
+// Panel for browsing stored trip history day by day and exporting it
+class HistoryPanel {
+  /**
+   * @param {TripHistory} tripHistory - Where the history comes from
+   * @param {Object} options
+   * @param {string} options.locale - Language for stop names (e.g. 'en', 'th')
+   */
+  constructor(tripHistory, options = {}) {
+    this.tripHistory = tripHistory;
+    this.locale = options.locale || 'en';
+    this.panel = null;
+    this.daySelect = null;
+    this.summaryElement = null;
+    this.stopsElement = null;
+    this.loopsElement = null;
+    this.isVisible = false;
+
+    this.createUI();
+  }
+
+  createUI() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'history-panel';
+    this.panel.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      font-size: 13px;
+      width: 380px;
+      max-height: 60vh;
+      overflow-y: auto;
+      z-index: 1001;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      display: none;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = '🗂️ Trip History';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 16px; color: #ffd700;';
+    this.panel.appendChild(title);
+
+    const dayRow = document.createElement('div');
+    dayRow.style.cssText = 'margin-bottom: 8px;';
+    this.daySelect = document.createElement('select');
+    this.daySelect.style.cssText = this.getInputStyle('140px');
+    this.daySelect.addEventListener('change', () => this.showDay(this.daySelect.value));
+    dayRow.appendChild(this.daySelect);
+    dayRow.appendChild(this.createButton('Refresh', () => this.refresh()));
+    this.panel.appendChild(dayRow);
+
+    this.summaryElement = document.createElement('div');
+    this.summaryElement.style.cssText = `
+      margin-bottom: 8px;
+      padding: 8px;
+      background: rgba(255, 255, 255, 0.1);
+      border-radius: 5px;
+      line-height: 1.5;
+    `;
+    this.panel.appendChild(this.summaryElement);
+
+    this.stopsElement = document.createElement('div');
+    this.stopsElement.style.cssText = 'margin-bottom: 8px;';
+    this.panel.appendChild(this.stopsElement);
+
+    this.loopsElement = document.createElement('div');
+    this.loopsElement.style.cssText = 'margin-bottom: 8px; font-size: 12px;';
+    this.panel.appendChild(this.loopsElement);
+
+    const buttons = document.createElement('div');
+    [
+      ['Export CSV', () => this.export('csv')],
+      ['Export JSON', () => this.export('json')],
+      ['Close', () => this.hide()]
+    ].forEach(([label, handler]) => buttons.appendChild(this.createButton(label, handler)));
+    this.panel.appendChild(buttons);
+
+    document.body.appendChild(this.panel);
+  }
+
+  createButton(label, handler) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      margin-right: 6px;
+      padding: 4px 10px;
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 5px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  getInputStyle(width) {
+    return `
+      width: ${width};
+      margin: 2px 6px 2px 0;
+      padding: 3px;
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+    `;
+  }
+
+  show() {
+    this.isVisible = true;
+    this.panel.style.display = 'block';
+    this.refresh();
+  }
+
+  hide() {
+    this.isVisible = false;
+    this.panel.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Reload the list of days and show the selected one (newest if none is selected)
+   */
+  async refresh() {
+    const days = await this.tripHistory.getDays();
+    const selected = days.includes(this.daySelect.value) ? this.daySelect.value : days[0];
+
+    this.daySelect.innerHTML = '';
+    days.forEach(day => {
+      const option = document.createElement('option');
+      option.value = day;
+      option.textContent = day;
+      this.daySelect.appendChild(option);
+    });
+
+    if (!selected) {
+      this.summaryElement.textContent = 'No trip history recorded yet';
+      this.stopsElement.innerHTML = '';
+      this.loopsElement.innerHTML = '';
+      return;
+    }
+
+    this.daySelect.value = selected;
+    await this.showDay(selected);
+  }
+
+  async showDay(day) {
+    const { summary } = await this.tripHistory.getDay(day);
+    // A newer choice may have been made while this day loaded
+    if (this.daySelect.value !== day) return;
+
+    this.summaryElement.innerHTML = `
+      <div>🔁 Loops completed: <strong>${summary.loopsCompleted}</strong></div>
+      <div>⏱️ Average loop: <strong>${this.formatDuration(summary.averageLoopMs)}</strong></div>
+      <div>🟢 Time in service: <strong>${this.formatDuration(summary.timeInServiceMs)}</strong></div>
+      <div style="opacity: 0.7; font-size: 12px;">${summary.trams.join(', ') || 'No trams'} · ${summary.fixCount} GPS fixes</div>
+    `;
+
+    this.renderStops(summary.stops);
+    this.renderLoops(summary.loops);
+  }
+
+  renderStops(stops) {
+    this.stopsElement.innerHTML = '';
+    if (stops.length === 0) return;
+
+    const title = document.createElement('div');
+    title.textContent = '🚏 Dwell per stop';
+    title.style.cssText = 'font-weight: bold; margin-bottom: 4px; color: #ffd700;';
+    this.stopsElement.appendChild(title);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+    const header = document.createElement('tr');
+    ['Stop', 'Visits', 'Avg', 'Min', 'Max'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      cell.style.cssText = 'text-align: left; padding: 2px 4px; opacity: 0.7;';
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    stops.forEach(stop => {
+      const row = document.createElement('tr');
+      [
+        stopRegistry.getName({ id: stop.stopId, name: stop.name }, this.locale),
+        stop.visits,
+        this.formatDuration(stop.averageDwellMs),
+        this.formatDuration(stop.minDwellMs),
+        this.formatDuration(stop.maxDwellMs)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        cell.style.cssText = 'padding: 2px 4px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    this.stopsElement.appendChild(table);
+  }
+
+  renderLoops(loops) {
+    this.loopsElement.innerHTML = '';
+    if (loops.length === 0) return;
+
+    const title = document.createElement('div');
+    title.textContent = '🔁 Loops';
+    title.style.cssText = 'font-weight: bold; margin-bottom: 4px; color: #ffd700;';
+    this.loopsElement.appendChild(title);
+
+    loops.forEach(loop => {
+      const row = document.createElement('div');
+      const finished = new Date(loop.completedAt).toLocaleTimeString();
+      row.textContent = loop.durationMs === null
+        ? `${loop.tramId} · loop ${loop.loop} · joined part way · ended ${finished}`
+        : `${loop.tramId} · loop ${loop.loop} · ${this.formatDuration(loop.durationMs)} · ended ${finished}`;
+      this.loopsElement.appendChild(row);
+    });
+  }
+
+  // "1h 05m", "4m 30s", "45s" or "—"
+  formatDuration(ms) {
+    if (ms === null || ms === undefined || !isFinite(ms)) return '—';
+    const seconds = Math.round(ms / 1000);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${seconds}s`;
+  }
+
+  export(format) {
+    const day = this.daySelect.value;
+    if (!day) {
+      console.warn('⚠️ No trip history to export');
+      return;
+    }
+    this.tripHistory.download(day, format)
+      .catch(error => console.error('❌ Could not export trip history:', error));
+  }
+
+  dispose() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  }
+}
+
+export default HistoryPanel;
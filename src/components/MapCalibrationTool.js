@@ -0,0 +1,544 @@
+/**
+ * MapCalibrationTool - Align a map model with GPS using known landmarks
+ * Shift+click a landmark on the map, then pick it from the known landmarks or type its
+ * lat/lon. With two or more control points the best-fit similarity transform (scale,
+ * heading, position) is solved, the residual of every point is shown and the result
+ * can be applied live and exported as map configuration.
+ */
+import { Raycaster, Vector2, Vector3, Mesh, SphereGeometry, MeshBasicMaterial, MathUtils } from 'three';
+import { projection } from '../utils/GeoProjection.js';
+import { solveSimilarity2D } from '../utils/similarityTransform.js';
+
+// Residual colours (metres)
+const RESIDUAL_GOOD = 2;
+const RESIDUAL_FAIR = 5;
+
+class MapCalibrationTool {
+  /**
+   * @param {Object} options
+   * @param {Scene} options.scene - Scene markers are added to
+   * @param {Camera} options.camera - Camera used for picking
+   * @param {HTMLElement} options.domElement - Renderer canvas
+   * @param {MapManager} options.mapManager - Owner of the map models
+   * @param {Array} options.landmarks - Known landmarks [{ name, lat, lon }] offered when picking
+   */
+  constructor(options = {}) {
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.domElement = options.domElement;
+    this.mapManager = options.mapManager;
+    this.landmarks = options.landmarks || [];
+
+    this.enabled = false;
+    this.mapId = null;
+    this.controlPoints = [];
+    this.nextPointId = 1;
+    this.solution = null;
+    this.applyCallbacks = [];
+
+    this.raycaster = new Raycaster();
+    this.pointerDown = null;
+    this.markerGeometry = new SphereGeometry(1.5, 12, 12);
+
+    this.panel = null;
+    this.listElement = null;
+    this.summaryElement = null;
+    this.mapSelect = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
+    this.createUI();
+  }
+
+  createUI() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'map-calibration-tool';
+    this.panel.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 20px;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      font-size: 13px;
+      width: 420px;
+      max-height: 60vh;
+      overflow-y: auto;
+      z-index: 1001;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      display: none;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = '🎯 Map Calibration';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 16px; color: #ffd700;';
+    this.panel.appendChild(title);
+
+    const help = document.createElement('div');
+    help.textContent = 'Shift+click a landmark on the map, then choose or enter its GPS position.';
+    help.style.cssText = 'margin-bottom: 8px; opacity: 0.8;';
+    this.panel.appendChild(help);
+
+    this.mapSelect = document.createElement('select');
+    this.mapSelect.style.cssText = this.getInputStyle('100%');
+    this.mapSelect.addEventListener('change', () => this.setMap(this.mapSelect.value));
+    this.panel.appendChild(this.mapSelect);
+
+    this.listElement = document.createElement('div');
+    this.listElement.style.cssText = 'margin: 8px 0;';
+    this.panel.appendChild(this.listElement);
+
+    this.summaryElement = document.createElement('div');
+    this.summaryElement.style.cssText = 'margin-bottom: 8px; font-weight: bold;';
+    this.panel.appendChild(this.summaryElement);
+
+    const buttons = document.createElement('div');
+    [
+      ['Solve', () => this.solve()],
+      ['Apply', () => this.apply()],
+      ['Export', () => this.download()],
+      ['Clear', () => this.clearControlPoints()],
+      ['Close', () => this.disable()]
+    ].forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.cssText = `
+        margin-right: 6px;
+        padding: 4px 10px;
+        background: rgba(255, 255, 255, 0.15);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 5px;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', handler);
+      buttons.appendChild(button);
+    });
+    this.panel.appendChild(buttons);
+
+    document.body.appendChild(this.panel);
+  }
+
+  getInputStyle(width) {
+    return `
+      width: ${width};
+      margin: 2px 4px 2px 0;
+      padding: 3px;
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      box-sizing: border-box;
+    `;
+  }
+
+  /**
+   * Start calibrating a map
+   * @param {string} mapId - Map identifier registered with the MapManager
+   */
+  enable(mapId = 'school_map') {
+    if (!this.enabled) {
+      this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+      this.domElement.addEventListener('pointerup', this.handlePointerUp);
+      this.enabled = true;
+    }
+
+    this.mapSelect.innerHTML = '';
+    for (const id of this.mapManager.getAllMaps().keys()) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = id;
+      this.mapSelect.appendChild(option);
+    }
+
+    this.setMap(mapId);
+    this.panel.style.display = 'block';
+    console.log('🎯 Map calibration enabled for', mapId);
+  }
+
+  disable() {
+    if (!this.enabled) return;
+
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.enabled = false;
+    this.panel.style.display = 'none';
+    this.setMarkersVisible(false);
+  }
+
+  toggle(mapId) {
+    if (this.enabled) {
+      this.disable();
+    } else {
+      this.enable(mapId || this.mapId || undefined);
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Switch the map being calibrated; control points belong to one map
+   */
+  setMap(mapId) {
+    if (mapId !== this.mapId) {
+      this.clearControlPoints();
+      this.mapId = mapId;
+    }
+    this.mapSelect.value = mapId;
+    this.setMarkersVisible(true);
+    this.render();
+  }
+
+  getMapModel() {
+    const mapData = this.mapManager.getAllMaps().get(this.mapId);
+    return mapData ? mapData.model : null;
+  }
+
+  // Shift+click without dragging adds a control point; plain drags keep orbiting
+  handlePointerDown(event) {
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  handlePointerUp(event) {
+    if (!this.pointerDown || !event.shiftKey) return;
+
+    const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+    this.pointerDown = null;
+    if (moved > 5) return;
+
+    const model = this.getMapModel();
+    if (!model) {
+      console.warn('⚠️ Map not loaded, cannot pick calibration point:', this.mapId);
+      return;
+    }
+
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+
+    const hits = this.raycaster.intersectObject(model, true);
+    if (hits.length === 0) return;
+
+    // Store the point in the model's own frame so it survives re-placing the model
+    model.updateMatrixWorld(true);
+    this.addControlPoint(model.worldToLocal(hits[0].point.clone()));
+  }
+
+  /**
+   * Add a control point at a position in map model coordinates
+   * @param {Object} local - { x, y, z } in the map model's frame
+   * @returns {Object} - The control point
+   */
+  addControlPoint(local) {
+    const point = {
+      id: this.nextPointId++,
+      local: { x: local.x, y: local.y, z: local.z },
+      label: '',
+      lat: null,
+      lon: null,
+      mapMarker: this.createMarker(0xff4081),
+      gpsMarker: this.createMarker(0x2196f3)
+    };
+    point.gpsMarker.visible = false;
+
+    this.controlPoints.push(point);
+    this.solution = null;
+    this.updateMarkers();
+    this.render();
+    return point;
+  }
+
+  /**
+   * Set the real-world position of a control point
+   */
+  setControlPointGPS(id, lat, lon, label = null) {
+    const point = this.controlPoints.find(p => p.id === id);
+    if (!point) return;
+
+    point.lat = isNaN(lat) ? null : lat;
+    point.lon = isNaN(lon) ? null : lon;
+    if (label !== null) point.label = label;
+    this.solution = null;
+    this.updateMarkers();
+    this.render();
+  }
+
+  removeControlPoint(id) {
+    const index = this.controlPoints.findIndex(p => p.id === id);
+    if (index === -1) return;
+
+    const [point] = this.controlPoints.splice(index, 1);
+    this.disposeMarker(point.mapMarker);
+    this.disposeMarker(point.gpsMarker);
+    this.solution = null;
+    this.render();
+  }
+
+  clearControlPoints() {
+    this.controlPoints.forEach(point => {
+      this.disposeMarker(point.mapMarker);
+      this.disposeMarker(point.gpsMarker);
+    });
+    this.controlPoints = [];
+    this.solution = null;
+    this.render();
+  }
+
+  /**
+   * Solve the best-fit transform from every control point with a GPS position
+   * @returns {Object|null} - Solution, or null with fewer than two usable points
+   */
+  solve() {
+    const usable = this.controlPoints.filter(p => p.lat !== null && p.lon !== null);
+    const pairs = usable.map(point => {
+      const target = projection.toScene(point.lat, point.lon);
+      return { source: { x: point.local.x, z: point.local.z }, target: { x: target.x, z: target.z } };
+    });
+
+    const result = solveSimilarity2D(pairs);
+    if (!result) {
+      console.warn('⚠️ Map calibration needs at least two separate points with GPS positions');
+      this.solution = null;
+      this.render();
+      return null;
+    }
+
+    this.solution = {
+      ...result,
+      residuals: new Map(usable.map((point, i) => [point.id, result.residuals[i]]))
+    };
+
+    console.log(`🎯 Map calibration solved: scale ${result.scale.toFixed(4)}, ` +
+      `heading ${MathUtils.radToDeg(result.rotationY).toFixed(2)}°, RMS ${result.rmsError.toFixed(2)} m`);
+    this.render();
+    return this.solution;
+  }
+
+  /**
+   * Place the map model with the solved transform
+   */
+  apply() {
+    if (!this.solution && !this.solve()) return;
+
+    const { config } = this.exportConfiguration();
+    this.mapManager.setMapConfiguration(this.mapId, config);
+    this.updateMarkers();
+    console.log('✅ Map calibration applied to', this.mapId);
+
+    this.applyCallbacks.forEach(callback => {
+      try {
+        callback(this.mapId, config);
+      } catch (error) {
+        console.error('Error in map calibration apply callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to calibrations being applied to a map
+   * @returns {Function} - Unsubscribe function
+   */
+  onApply(callback) {
+    this.applyCallbacks.push(callback);
+    return () => {
+      const index = this.applyCallbacks.indexOf(callback);
+      if (index > -1) this.applyCallbacks.splice(index, 1);
+    };
+  }
+
+  /**
+   * Solved transform in both map configuration formats
+   * @returns {Object|null} - { mapId, placement, config, rmsError, controlPoints }
+   */
+  exportConfiguration() {
+    if (!this.solution) return null;
+
+    const { scale, rotationY, position, rmsError } = this.solution;
+    const anchor = projection.fromScene({ x: position.x, z: position.z });
+    const headingDeg = (MathUtils.radToDeg(rotationY) % 360 + 360) % 360;
+
+    return {
+      mapId: this.mapId,
+      // Same shape as MAP_PLACEMENT in config/geo.js
+      placement: {
+        anchor: { lat: Number(anchor.lat.toFixed(7)), lon: Number(anchor.lon.toFixed(7)) },
+        headingDeg: Number(headingDeg.toFixed(3)),
+        scale: Number(scale.toFixed(5))
+      },
+      // Same shape as MapManager map configuration
+      config: {
+        scale: { x: scale, y: scale, z: scale },
+        rotation: { x: 0, y: rotationY, z: 0 },
+        position: { x: position.x, y: 0, z: position.z }
+      },
+      rmsError,
+      controlPoints: this.controlPoints.map(point => ({
+        label: point.label,
+        lat: point.lat,
+        lon: point.lon,
+        local: { x: point.local.x, z: point.local.z },
+        residual: this.solution.residuals.has(point.id) ? this.solution.residuals.get(point.id) : null
+      }))
+    };
+  }
+
+  download() {
+    const configuration = this.exportConfiguration() || (this.solve() && this.exportConfiguration());
+    if (!configuration) return;
+
+    console.log('🎯 Map calibration:', JSON.stringify(configuration.placement));
+
+    const blob = new Blob([JSON.stringify(configuration, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.mapId}-calibration.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  createMarker(color) {
+    const marker = new Mesh(this.markerGeometry, new MeshBasicMaterial({ color, depthTest: false }));
+    marker.renderOrder = 999;
+    this.scene.add(marker);
+    return marker;
+  }
+
+  disposeMarker(marker) {
+    this.scene.remove(marker);
+    marker.material.dispose();
+  }
+
+  // Map markers follow the model; GPS markers sit where the entered lat/lon projects
+  updateMarkers() {
+    const model = this.getMapModel();
+    if (model) model.updateMatrixWorld(true);
+
+    this.controlPoints.forEach(point => {
+      if (model) {
+        const world = model.localToWorld(new Vector3(point.local.x, point.local.y, point.local.z));
+        point.mapMarker.position.copy(world);
+      }
+
+      if (point.lat !== null && point.lon !== null) {
+        const target = projection.toScene(point.lat, point.lon);
+        point.gpsMarker.position.set(target.x, point.mapMarker.position.y, target.z);
+        point.gpsMarker.visible = this.enabled;
+      } else {
+        point.gpsMarker.visible = false;
+      }
+    });
+  }
+
+  setMarkersVisible(visible) {
+    this.controlPoints.forEach(point => {
+      point.mapMarker.visible = visible;
+      point.gpsMarker.visible = visible && point.lat !== null;
+    });
+  }
+
+  getResidualColor(residual) {
+    if (residual <= RESIDUAL_GOOD) return '#4caf50';
+    if (residual <= RESIDUAL_FAIR) return '#ff9800';
+    return '#f44336';
+  }
+
+  render() {
+    this.listElement.innerHTML = '';
+
+    if (this.controlPoints.length === 0) {
+      this.listElement.textContent = 'No control points yet.';
+    }
+
+    this.controlPoints.forEach((point, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.1);';
+
+      const header = document.createElement('div');
+      const residual = this.solution ? this.solution.residuals.get(point.id) : undefined;
+      header.innerHTML = `<strong>#${index + 1}</strong> map (${point.local.x.toFixed(1)}, ${point.local.z.toFixed(1)})`;
+      if (residual !== undefined) {
+        const error = document.createElement('span');
+        error.textContent = ` — residual ${residual.toFixed(2)} m`;
+        error.style.color = this.getResidualColor(residual);
+        header.appendChild(error);
+      }
+      row.appendChild(header);
+
+      // Known landmark picker fills in the coordinates
+      const landmarkSelect = document.createElement('select');
+      landmarkSelect.style.cssText = this.getInputStyle('130px');
+      landmarkSelect.innerHTML = '<option value="">Landmark…</option>';
+      this.landmarks.forEach((landmark, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = landmark.name;
+        option.selected = point.label === landmark.name;
+        landmarkSelect.appendChild(option);
+      });
+      landmarkSelect.addEventListener('change', () => {
+        const landmark = this.landmarks[Number(landmarkSelect.value)];
+        if (landmark) {
+          this.setControlPointGPS(point.id, landmark.lat, landmark.lon, landmark.name);
+        }
+      });
+      row.appendChild(landmarkSelect);
+
+      const latInput = document.createElement('input');
+      const lonInput = document.createElement('input');
+      [[latInput, 'lat', point.lat], [lonInput, 'lon', point.lon]].forEach(([input, placeholder, value]) => {
+        input.type = 'number';
+        input.step = '0.000001';
+        input.placeholder = placeholder;
+        input.value = value === null ? '' : String(value);
+        input.style.cssText = this.getInputStyle('100px');
+        input.addEventListener('change', () => {
+          this.setControlPointGPS(point.id, parseFloat(latInput.value), parseFloat(lonInput.value), '');
+        });
+        row.appendChild(input);
+      });
+
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = 'Remove control point';
+      remove.style.cssText = 'background: none; color: #f44336; border: none; cursor: pointer;';
+      remove.addEventListener('click', () => this.removeControlPoint(point.id));
+      row.appendChild(remove);
+
+      this.listElement.appendChild(row);
+    });
+
+    if (this.solution) {
+      const headingDeg = (MathUtils.radToDeg(this.solution.rotationY) % 360 + 360) % 360;
+      this.summaryElement.textContent =
+        `Scale ${this.solution.scale.toFixed(4)} · heading ${headingDeg.toFixed(2)}° · RMS ${this.solution.rmsError.toFixed(2)} m`;
+    } else {
+      const usable = this.controlPoints.filter(p => p.lat !== null && p.lon !== null).length;
+      this.summaryElement.textContent = `${usable} point(s) with GPS — at least 2 needed to solve`;
+    }
+  }
+
+  dispose() {
+    this.disable();
+    this.clearControlPoints();
+    this.applyCallbacks = [];
+    this.markerGeometry.dispose();
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  }
+}
+
+export default MapCalibrationTool;
@@ -5,6 +5,8 @@
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { MathUtils, DoubleSide } from 'three';
 import { optimizeMaterial, disposeObject } from '../utils/renderingOptimizations.js';
+import { projection } from '../utils/GeoProjection.js';
+import { MAP_PLACEMENT } from '../config/geo.js';
 
 class MapManager {
   constructor(scene) {
@@ -24,11 +26,12 @@ class MapManager {
     this.baseUrl = import.meta.env.BASE_URL || '/';
     this.cacheBuster = typeof __MODEL_CACHE_BUST__ !== 'undefined' ? __MODEL_CACHE_BUST__ : Date.now();
     
-    // Default map configuration
+    // Default map configuration, placed from the map's geographic anchor
+    const anchor = projection.toScene(MAP_PLACEMENT.anchor.lat, MAP_PLACEMENT.anchor.lon);
     this.defaultMapConfig = {
-      scale: { x: 0.908, y: 0.908, z: 0.908 },
-      rotation: { x: 0, y: MathUtils.degToRad(165), z: 0 },
-      position: { x: -300, y: 0, z: 220 }
+      scale: { x: MAP_PLACEMENT.scale, y: MAP_PLACEMENT.scale, z: MAP_PLACEMENT.scale },
+      rotation: { x: 0, y: MathUtils.degToRad(MAP_PLACEMENT.headingDeg), z: 0 },
+      position: { x: anchor.x, y: 0, z: anchor.z }
     };
   }
   
@@ -36,10 +39,16 @@ class MapManager {
    * Register a map for lazy loading
    * @param {string} id - Unique identifier for the map
    * @param {string} filename - GLB filename
-   * @param {Object} config - Optional position/rotation/scale overrides
+   * @param {Object} config - Optional position/rotation/scale overrides; an `anchor`
+   *                          { lat, lon } places the model's origin geographically
    * @param {boolean} preload - Whether to load immediately
    */
   registerMap(id, filename, config = {}, preload = false) {
+    if (config.anchor) {
+      const anchor = projection.toScene(config.anchor.lat, config.anchor.lon);
+      config = { ...config, position: { x: anchor.x, y: 0, z: anchor.z } };
+    }
+    
     const mapConfig = {
       id,
       filename,
@@ -149,6 +158,28 @@ class MapManager {
     model.position.set(config.position.x, config.position.y, config.position.z);
   }
   
+  /**
+   * Replace a map's position/rotation/scale and apply it to the loaded model
+   * @param {string} id - Map identifier
+   * @param {Object} config - Position/rotation/scale overrides (or an `anchor` { lat, lon })
+   */
+  setMapConfiguration(id, config) {
+    const mapData = this.maps.get(id);
+    if (!mapData) {
+      throw new Error(`Map '${id}' not registered`);
+    }
+    
+    if (config.anchor) {
+      const anchor = projection.toScene(config.anchor.lat, config.anchor.lon);
+      config = { ...config, position: { x: anchor.x, y: 0, z: anchor.z } };
+    }
+    
+    mapData.config = { ...mapData.config, ...config };
+    if (mapData.model) {
+      this.applyMapConfiguration(mapData);
+    }
+  }
+  
   /**
    * Optimize map model for performance
    */
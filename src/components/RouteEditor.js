@@ -0,0 +1,770 @@
+/**
+ * RouteEditor - Author the route and stops directly on the 3D map
+ * Click the map to add a route vertex (inserted into the nearest leg when close to one)
+ * or a stop, drag handles to move them, and select one and press Delete to remove it.
+ * Stop names and geofence radii are edited in the panel. Every change can be undone,
+ * and the result applied live or exported as the route/stop file (see ROUTE_DATA_URL).
+ */
+import {
+  Group,
+  Mesh,
+  Line,
+  LineLoop,
+  BufferGeometry,
+  Float32BufferAttribute,
+  SphereGeometry,
+  CylinderGeometry,
+  RingGeometry,
+  MeshBasicMaterial,
+  LineBasicMaterial,
+  Raycaster,
+  Vector2,
+  Vector3,
+  Plane,
+  DoubleSide
+} from 'three';
+import { projection } from '../utils/GeoProjection.js';
+import { serializeGeoData, downloadText, GEO_FORMATS } from '../utils/geoFormats.js';
+
+// New vertices within this distance of a leg are inserted into it (m)
+const INSERT_DISTANCE = 15;
+const DEFAULT_STOP_RADIUS = 30;
+const MAX_HISTORY = 100;
+
+const VERTEX_COLOR = 0x00bcd4;
+const STOP_COLOR = 0xffd700;
+const SELECTED_COLOR = 0xff4081;
+
+class RouteEditor {
+  /**
+   * @param {Object} options
+   * @param {Scene} options.scene - Scene the handles are added to
+   * @param {Camera} options.camera - Camera used for picking
+   * @param {HTMLElement} options.domElement - Renderer canvas
+   * @param {OrbitControls} options.controls - Paused while a handle is dragged
+   * @param {Function} options.getPickTargets - Returns the Object3Ds clicks land on (map models)
+   * @param {GroundSampler} options.groundSampler - Ground heights for the handles (optional)
+   * @param {boolean} options.closed - The route loops back to its first vertex
+   */
+  constructor(options = {}) {
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.domElement = options.domElement;
+    this.controls = options.controls || null;
+    this.getPickTargets = options.getPickTargets || (() => []);
+    this.groundSampler = options.groundSampler || null;
+    this.closed = options.closed ?? true;
+
+    this.enabled = false;
+    this.mode = 'vertex'; // 'vertex' or 'stop'
+    this.route = [];
+    this.stops = [];
+    this.selected = null; // { type: 'vertex' | 'stop', index }
+    this.lastPick = null;
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applyCallbacks = [];
+
+    this.raycaster = new Raycaster();
+    this.groundPlane = new Plane(new Vector3(0, 1, 0), 0);
+    this.pointerDown = null;
+    this.drag = null;
+
+    this.group = new Group();
+    this.group.name = 'route_editor';
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    this.vertexGeometry = new SphereGeometry(0.8, 10, 10);
+    this.stopGeometry = new CylinderGeometry(0.4, 0.4, 5, 8);
+    this.ringGeometry = new RingGeometry(0.95, 1, 48).rotateX(-Math.PI / 2);
+    this.vertexMaterial = new MeshBasicMaterial({ color: VERTEX_COLOR, depthTest: false });
+    this.stopMaterial = new MeshBasicMaterial({ color: STOP_COLOR, depthTest: false });
+    this.selectedMaterial = new MeshBasicMaterial({ color: SELECTED_COLOR, depthTest: false });
+    this.ringMaterial = new MeshBasicMaterial({ color: STOP_COLOR, side: DoubleSide, transparent: true, opacity: 0.6, depthWrite: false });
+    this.lineMaterial = new LineBasicMaterial({ color: VERTEX_COLOR, depthTest: false });
+
+    this.vertexHandles = [];
+    this.stopHandles = [];
+    this.previewLine = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    this.createUI();
+  }
+
+  createUI() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'route-editor';
+    this.panel.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 20px;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      font-size: 13px;
+      width: 420px;
+      max-height: 60vh;
+      overflow-y: auto;
+      z-index: 1001;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      display: none;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = '✏️ Route Editor';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 16px; color: #ffd700;';
+    this.panel.appendChild(title);
+
+    const help = document.createElement('div');
+    help.textContent = 'Click the map to add, drag to move, select and press Delete to remove. Ctrl+Z / Ctrl+Y undo and redo.';
+    help.style.cssText = 'margin-bottom: 8px; opacity: 0.8;';
+    this.panel.appendChild(help);
+
+    this.modeElement = document.createElement('div');
+    this.modeElement.style.cssText = 'margin-bottom: 8px;';
+    this.panel.appendChild(this.modeElement);
+
+    this.pickElement = document.createElement('div');
+    this.pickElement.style.cssText = 'margin-bottom: 8px; font-family: monospace; font-size: 12px;';
+    this.panel.appendChild(this.pickElement);
+
+    this.summaryElement = document.createElement('div');
+    this.summaryElement.style.cssText = 'margin-bottom: 8px; font-weight: bold;';
+    this.panel.appendChild(this.summaryElement);
+
+    this.listElement = document.createElement('div');
+    this.listElement.style.cssText = 'margin: 8px 0;';
+    this.panel.appendChild(this.listElement);
+
+    const buttons = document.createElement('div');
+    [
+      ['Undo', () => this.undo()],
+      ['Redo', () => this.redo()],
+      ['Delete', () => this.deleteSelected()],
+      ['Apply', () => this.apply()],
+      ['Close', () => this.disable()]
+    ].forEach(([label, handler]) => buttons.appendChild(this.createButton(label, handler)));
+    this.panel.appendChild(buttons);
+
+    const exportRow = document.createElement('div');
+    exportRow.style.cssText = 'margin-top: 8px;';
+    this.formatSelect = document.createElement('select');
+    this.formatSelect.style.cssText = this.getInputStyle('110px');
+    Object.keys(GEO_FORMATS).forEach(format => {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = format.toUpperCase();
+      this.formatSelect.appendChild(option);
+    });
+    exportRow.appendChild(this.formatSelect);
+    exportRow.appendChild(this.createButton('Export', () => this.download(this.formatSelect.value)));
+    this.panel.appendChild(exportRow);
+
+    document.body.appendChild(this.panel);
+  }
+
+  createButton(label, handler, active = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      margin-right: 6px;
+      padding: 4px 10px;
+      background: ${active ? 'rgba(255, 215, 0, 0.35)' : 'rgba(255, 255, 255, 0.15)'};
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 5px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  getInputStyle(width) {
+    return `
+      width: ${width};
+      margin: 2px 4px 2px 0;
+      padding: 3px;
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      box-sizing: border-box;
+    `;
+  }
+
+  /**
+   * Start editing
+   * @param {Object} data - { route: [{ lat, lon }], stops: [{ id, name, lat, lon, radius }] } to start from
+   */
+  enable(data = null) {
+    if (data) this.load(data);
+
+    if (!this.enabled) {
+      // Capture phase, so a drag on a handle is claimed before OrbitControls sees it
+      this.domElement.addEventListener('pointerdown', this.handlePointerDown, true);
+      this.domElement.addEventListener('pointermove', this.handlePointerMove);
+      window.addEventListener('pointerup', this.handlePointerUp);
+      window.addEventListener('keydown', this.handleKeyDown);
+      this.enabled = true;
+    }
+
+    this.group.visible = true;
+    this.panel.style.display = 'block';
+    this.render();
+    console.log('✏️ Route editor enabled');
+  }
+
+  disable() {
+    if (!this.enabled) return;
+
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown, true);
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.endDrag();
+
+    this.enabled = false;
+    this.group.visible = false;
+    this.panel.style.display = 'none';
+  }
+
+  toggle(data = null) {
+    if (this.enabled) {
+      this.disable();
+    } else {
+      this.enable(data);
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Replace what is being edited and forget the undo history
+   */
+  load({ route = [], stops = [] }) {
+    this.route = route.map(({ lat, lon }) => ({ lat, lon }));
+    this.stops = stops.map(stop => {
+      // Chainage and other derived fields are recomputed by whoever applies the result
+      const { chainage, ...rest } = stop;
+      return { ...rest, radius: rest.radius ?? DEFAULT_STOP_RADIUS };
+    });
+    this.selected = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.rebuildHandles();
+    this.render();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.render();
+  }
+
+  // --- History ---------------------------------------------------------------
+
+  snapshot() {
+    return JSON.stringify({ route: this.route, stops: this.stops });
+  }
+
+  restore(snapshot) {
+    const { route, stops } = JSON.parse(snapshot);
+    this.route = route;
+    this.stops = stops;
+    this.selected = null;
+    this.rebuildHandles();
+    this.render();
+  }
+
+  // Run a change and record the state before it for undo
+  edit(change) {
+    const before = this.snapshot();
+    change();
+    this.pushHistory(before);
+    this.rebuildHandles();
+    this.render();
+  }
+
+  pushHistory(snapshot) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+  }
+
+  // --- Edits -----------------------------------------------------------------
+
+  /**
+   * Add a route vertex, into the nearest leg when the position is close to one
+   * @returns {number} - Index of the new vertex
+   */
+  addVertex(position) {
+    const index = this.getInsertIndex(position);
+    this.edit(() => {
+      this.route.splice(index, 0, { lat: position.lat, lon: position.lon });
+    });
+    this.select('vertex', index);
+    return index;
+  }
+
+  moveVertex(index, position) {
+    if (!this.route[index]) return;
+    this.edit(() => {
+      this.route[index] = { lat: position.lat, lon: position.lon };
+    });
+  }
+
+  removeVertex(index) {
+    if (!this.route[index]) return;
+    this.edit(() => {
+      this.route.splice(index, 1);
+    });
+  }
+
+  /**
+   * Add a stop with a default name and geofence radius
+   * @returns {Object} - The new stop
+   */
+  addStop(position) {
+    let number = this.stops.length + 1;
+    while (this.stops.some(stop => stop.id === `stop-${number}`)) number++;
+
+    const stop = {
+      id: `stop-${number}`,
+      name: `New stop ${number}`,
+      lat: position.lat,
+      lon: position.lon,
+      radius: DEFAULT_STOP_RADIUS
+    };
+    this.edit(() => {
+      this.stops.push(stop);
+    });
+    this.select('stop', this.stops.length - 1);
+    return stop;
+  }
+
+  /**
+   * Change a stop's fields (name, radius, lat, lon, ...)
+   */
+  updateStop(index, changes) {
+    if (!this.stops[index]) return;
+    this.edit(() => {
+      this.stops[index] = { ...this.stops[index], ...changes };
+    });
+  }
+
+  removeStop(index) {
+    if (!this.stops[index]) return;
+    this.edit(() => {
+      this.stops.splice(index, 1);
+    });
+  }
+
+  deleteSelected() {
+    if (!this.selected) return;
+
+    const { type, index } = this.selected;
+    this.selected = null;
+    if (type === 'vertex') {
+      this.removeVertex(index);
+    } else {
+      this.removeStop(index);
+    }
+  }
+
+  select(type, index) {
+    this.selected = type === null ? null : { type, index };
+    this.updateHandleMaterials();
+    this.render();
+  }
+
+  // Insert after the nearest leg's start when within INSERT_DISTANCE, else append
+  getInsertIndex(position) {
+    if (this.route.length < 2) return this.route.length;
+
+    const point = projection.toScene(position.lat, position.lon);
+    const count = this.closed ? this.route.length : this.route.length - 1;
+    let best = { index: this.route.length, distance: INSERT_DISTANCE };
+
+    for (let i = 0; i < count; i++) {
+      const a = projection.toScene(this.route[i].lat, this.route[i].lon);
+      const b = projection.toScene(this.route[(i + 1) % this.route.length].lat, this.route[(i + 1) % this.route.length].lon);
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const lengthSq = dx * dx + dz * dz;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq)) : 0;
+      const distance = Math.hypot(point.x - (a.x + dx * t), point.z - (a.z + dz * t));
+      if (distance < best.distance) {
+        best = { index: i + 1, distance };
+      }
+    }
+    return best.index;
+  }
+
+  // --- Picking ---------------------------------------------------------------
+
+  setPointer(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+  }
+
+  /**
+   * Where the pointer meets the map (or the ground plane where there is no map)
+   * @returns {Object|null} - { lat, lon, point }
+   */
+  pickGround(event) {
+    this.setPointer(event);
+
+    const targets = this.getPickTargets().filter(Boolean);
+    const hits = targets.length ? this.raycaster.intersectObjects(targets, true) : [];
+    let point = hits.length ? hits[0].point.clone() : null;
+    if (!point) {
+      point = new Vector3();
+      if (!this.raycaster.ray.intersectPlane(this.groundPlane, point)) return null;
+    }
+
+    const { lat, lon } = projection.fromScene({ x: point.x, z: point.z });
+    return { lat, lon, point };
+  }
+
+  // Handle under the pointer, if any
+  pickHandle(event) {
+    this.setPointer(event);
+    const handles = [...this.vertexHandles, ...this.stopHandles];
+    const hits = this.raycaster.intersectObjects(handles, false);
+    if (hits.length === 0) return null;
+    return { ...hits[0].object.userData.handle };
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+
+    const handle = this.pickHandle(event);
+    if (handle) {
+      // Claim the gesture so the camera doesn't orbit while dragging
+      event.stopImmediatePropagation();
+      if (this.controls) this.controls.enabled = false;
+      this.drag = { ...handle, before: this.snapshot(), moved: false };
+      this.select(handle.type, handle.index);
+      return;
+    }
+
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  handlePointerMove(event) {
+    if (!this.drag) return;
+
+    const pick = this.pickGround(event);
+    if (!pick) return;
+
+    const { type, index } = this.drag;
+    const list = type === 'vertex' ? this.route : this.stops;
+    list[index] = { ...list[index], lat: pick.lat, lon: pick.lon };
+    this.drag.moved = true;
+
+    // Move just the dragged handle; everything else is rebuilt on release
+    const handles = type === 'vertex' ? this.vertexHandles : this.stopHandles;
+    this.placeHandle(handles[index], list[index], type);
+    if (type === 'vertex') this.updatePreviewLine();
+    this.showPick(pick);
+  }
+
+  handlePointerUp(event) {
+    if (this.drag) {
+      if (this.drag.moved) {
+        this.pushHistory(this.drag.before);
+        this.rebuildHandles();
+        this.render();
+      }
+      this.endDrag();
+      return;
+    }
+
+    if (!this.pointerDown || event.target !== this.domElement) return;
+    const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+    this.pointerDown = null;
+    // Drags orbit the camera; only clicks edit. Shift+click belongs to map calibration
+    if (moved > 5 || event.shiftKey) return;
+
+    const pick = this.pickGround(event);
+    if (!pick) return;
+
+    this.showPick(pick);
+    if (this.mode === 'stop') {
+      this.addStop(pick);
+    } else {
+      this.addVertex(pick);
+    }
+  }
+
+  endDrag() {
+    this.drag = null;
+    if (this.controls) this.controls.enabled = true;
+  }
+
+  handleKeyDown(event) {
+    // Leave typing in the panel alone
+    if (event.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+      event.preventDefault();
+      this.redo();
+    } else if (key === 'delete' || key === 'backspace') {
+      this.deleteSelected();
+    } else if (key === 'escape') {
+      this.select(null);
+    }
+  }
+
+  // Coordinates under the last click, for noting down new stop positions
+  showPick(pick) {
+    this.lastPick = pick;
+    this.pickElement.textContent = `📍 ${pick.lat.toFixed(6)}, ${pick.lon.toFixed(6)}`;
+  }
+
+  // --- Handles ---------------------------------------------------------------
+
+  rebuildHandles() {
+    [...this.vertexHandles, ...this.stopHandles].forEach(handle => this.group.remove(handle));
+    this.vertexHandles = [];
+    this.stopHandles = [];
+
+    this.route.forEach((vertex, index) => {
+      const handle = new Mesh(this.vertexGeometry, this.vertexMaterial);
+      handle.renderOrder = 999;
+      handle.userData.handle = { type: 'vertex', index };
+      this.placeHandle(handle, vertex, 'vertex');
+      this.group.add(handle);
+      this.vertexHandles.push(handle);
+    });
+
+    this.stops.forEach((stop, index) => {
+      const handle = new Mesh(this.stopGeometry, this.stopMaterial);
+      handle.renderOrder = 999;
+      handle.userData.handle = { type: 'stop', index };
+
+      // Geofence ring on the ground, scaled to the radius
+      const ring = new Mesh(this.ringGeometry, this.ringMaterial);
+      handle.add(ring);
+
+      this.placeHandle(handle, stop, 'stop');
+      this.group.add(handle);
+      this.stopHandles.push(handle);
+    });
+
+    this.updateHandleMaterials();
+    this.updatePreviewLine();
+  }
+
+  placeHandle(handle, position, type) {
+    if (!handle) return;
+    const { x, z } = projection.toScene(position.lat, position.lon);
+    const ground = this.groundSampler ? this.groundSampler.getHeight(x, z) : 0;
+
+    if (type === 'vertex') {
+      handle.position.set(x, ground + 0.8, z);
+    } else {
+      handle.position.set(x, ground + 2.5, z);
+      const ring = handle.children[0];
+      const radius = position.radius || DEFAULT_STOP_RADIUS;
+      ring.position.y = -2.4;
+      ring.scale.set(radius, 1, radius);
+    }
+  }
+
+  updateHandleMaterials() {
+    this.vertexHandles.forEach((handle, index) => {
+      const selected = this.selected && this.selected.type === 'vertex' && this.selected.index === index;
+      handle.material = selected ? this.selectedMaterial : this.vertexMaterial;
+    });
+    this.stopHandles.forEach((handle, index) => {
+      const selected = this.selected && this.selected.type === 'stop' && this.selected.index === index;
+      handle.material = selected ? this.selectedMaterial : this.stopMaterial;
+    });
+  }
+
+  updatePreviewLine() {
+    if (this.previewLine) {
+      this.group.remove(this.previewLine);
+      this.previewLine.geometry.dispose();
+      this.previewLine = null;
+    }
+    if (this.vertexHandles.length < 2) return;
+
+    const positions = [];
+    this.vertexHandles.forEach(handle => positions.push(handle.position.x, handle.position.y, handle.position.z));
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+
+    this.previewLine = this.closed ? new LineLoop(geometry, this.lineMaterial) : new Line(geometry, this.lineMaterial);
+    this.previewLine.renderOrder = 998;
+    this.group.add(this.previewLine);
+  }
+
+  // --- Panel -----------------------------------------------------------------
+
+  render() {
+    this.modeElement.innerHTML = '';
+    [['vertex', 'Route vertices'], ['stop', 'Stops']].forEach(([mode, label]) => {
+      this.modeElement.appendChild(this.createButton(label, () => this.setMode(mode), this.mode === mode));
+    });
+
+    let selection = '';
+    if (this.selected) {
+      selection = this.selected.type === 'vertex'
+        ? ` · vertex #${this.selected.index + 1} selected`
+        : ` · ${this.stops[this.selected.index] ? this.stops[this.selected.index].name : 'stop'} selected`;
+    }
+    this.summaryElement.textContent = `${this.route.length} route vertices · ${this.stops.length} stops${selection}`;
+
+    this.listElement.innerHTML = '';
+    this.stops.forEach((stop, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        padding: 6px 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        ${this.selected && this.selected.type === 'stop' && this.selected.index === index ? 'color: #ff80ab;' : ''}
+      `;
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = stop.name;
+      nameInput.style.cssText = this.getInputStyle('170px');
+      nameInput.addEventListener('change', () => this.updateStop(index, { name: nameInput.value }));
+      row.appendChild(nameInput);
+
+      const radiusInput = document.createElement('input');
+      radiusInput.type = 'number';
+      radiusInput.min = '1';
+      radiusInput.step = '1';
+      radiusInput.value = String(stop.radius);
+      radiusInput.title = 'Geofence radius (m)';
+      radiusInput.style.cssText = this.getInputStyle('70px');
+      radiusInput.addEventListener('change', () => {
+        const radius = parseFloat(radiusInput.value);
+        if (radius > 0) this.updateStop(index, { radius });
+      });
+      row.appendChild(radiusInput);
+      row.appendChild(document.createTextNode('m '));
+
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = 'Remove stop';
+      remove.style.cssText = 'background: none; color: #f44336; border: none; cursor: pointer;';
+      remove.addEventListener('click', () => this.removeStop(index));
+      row.appendChild(remove);
+
+      this.listElement.appendChild(row);
+    });
+  }
+
+  // --- Output ----------------------------------------------------------------
+
+  /**
+   * The edited route and stops in geoFormats shape
+   * @returns {{ routes: Array, stops: Array }}
+   */
+  getData() {
+    return {
+      routes: [{ name: 'AU Tram route', points: this.route.map(({ lat, lon }) => ({ lat, lon })) }],
+      stops: this.stops.map(stop => ({ ...stop }))
+    };
+  }
+
+  /**
+   * Hand the edited route and stops to subscribers (the scene applies them live)
+   */
+  apply() {
+    if (this.route.length < 2) {
+      console.warn('⚠️ Route needs at least two vertices');
+      return;
+    }
+
+    const data = this.getData();
+    this.applyCallbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in route editor apply callback:', error);
+      }
+    });
+    console.log(`✅ Route edits applied: ${this.route.length} vertices, ${this.stops.length} stops`);
+  }
+
+  /**
+   * Subscribe to edits being applied
+   * @returns {Function} - Unsubscribe function
+   */
+  onApply(callback) {
+    this.applyCallbacks.push(callback);
+    return () => {
+      const index = this.applyCallbacks.indexOf(callback);
+      if (index > -1) this.applyCallbacks.splice(index, 1);
+    };
+  }
+
+  /**
+   * Download the route and stops as a route data file
+   * @param {string} format - 'geojson', 'gpx' or 'kml'
+   */
+  download(format = 'geojson') {
+    const { content, mimeType, extension } = serializeGeoData(this.getData(), format);
+    downloadText(content, `route.${extension}`, mimeType);
+  }
+
+  dispose() {
+    this.disable();
+    [...this.vertexHandles, ...this.stopHandles].forEach(handle => this.group.remove(handle));
+    this.vertexHandles = [];
+    this.stopHandles = [];
+    if (this.previewLine) this.previewLine.geometry.dispose();
+    this.scene.remove(this.group);
+
+    [this.vertexGeometry, this.stopGeometry, this.ringGeometry].forEach(geometry => geometry.dispose());
+    [this.vertexMaterial, this.stopMaterial, this.selectedMaterial, this.ringMaterial, this.lineMaterial]
+      .forEach(material => material.dispose());
+    this.applyCallbacks = [];
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  }
+}
+
+export default RouteEditor;
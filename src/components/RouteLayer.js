@@ -0,0 +1,379 @@
+/**
+ * RouteLayer - The tram route drawn in the scene
+ * Each leg is a ground-hugging ribbon in its own colour with direction arrows; the part
+ * of the current lap the selected tram has already driven is drawn over in a muted
+ * colour, and every stop gets a marker post. The whole layer can be toggled.
+ */
+import {
+  Group,
+  Mesh,
+  InstancedMesh,
+  BufferGeometry,
+  Float32BufferAttribute,
+  CylinderGeometry,
+  SphereGeometry,
+  MeshBasicMaterial,
+  Matrix4,
+  Quaternion,
+  Vector3,
+  DoubleSide
+} from 'three';
+import { projection } from '../utils/GeoProjection.js';
+import { disposeObject } from '../utils/renderingOptimizations.js';
+
+// Used for legs without their own colour
+const LEG_PALETTE = ['#2196F3', '#4CAF50', '#FF9800', '#9C27B0', '#009688', '#FF5722', '#3F51B5', '#795548'];
+
+const TRAVELLED_COLOR = '#5f6368';
+const STOP_COLOR = '#ffd700';
+const UP = new Vector3(0, 1, 0);
+
+class RouteLayer {
+  /**
+   * @param {Scene} scene - Scene the layer is added to
+   * @param {Object} options
+   * @param {RouteModel} options.routeModel - Route the trams drive, with its stops
+   * @param {RouteNetwork} options.routeNetwork - Named legs to colour separately (optional)
+   * @param {GroundSampler} options.groundSampler - Terrain to drape the ribbon over (optional)
+   * @param {number} options.width - Ribbon width (m)
+   * @param {number} options.lift - Height of the ribbon above the ground (m)
+   * @param {number} options.sampleSpacing - Distance between ribbon vertices (m)
+   * @param {number} options.arrowSpacing - Distance between direction arrows (m)
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.routeModel = options.routeModel;
+    this.routeNetwork = options.routeNetwork || null;
+    this.groundSampler = options.groundSampler || null;
+    this.width = options.width || 3;
+    this.lift = options.lift ?? 0.15;
+    this.sampleSpacing = options.sampleSpacing || 2;
+    this.arrowSpacing = options.arrowSpacing || 25;
+
+    this.group = new Group();
+    this.group.name = 'route_layer';
+    this.scene.add(this.group);
+
+    this.legMeshes = [];
+    this.arrowMesh = null;
+    this.stopMarkers = [];
+    this.travelledMesh = null;
+    this.travelledChainage = null;
+
+    this.travelledMaterial = new MeshBasicMaterial({
+      color: TRAVELLED_COLOR,
+      side: DoubleSide,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -2
+    });
+
+    this.build();
+  }
+
+  /**
+   * (Re)build all route geometry - call after the route, stops or ground change
+   */
+  build() {
+    this.clearGeometry();
+
+    this.getLegs().forEach((leg, index) => {
+      const color = leg.color || LEG_PALETTE[index % LEG_PALETTE.length];
+      const samples = this.sampleLine(leg.points);
+      if (samples.length < 2) return;
+
+      const material = new MeshBasicMaterial({
+        color,
+        side: DoubleSide,
+        transparent: true,
+        opacity: 0.85,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -1
+      });
+      const mesh = new Mesh(this.createRibbon(samples, this.width), material);
+      mesh.name = `route_leg_${leg.id}`;
+      mesh.userData.legId = leg.id;
+      this.group.add(mesh);
+      this.legMeshes.push(mesh);
+    });
+
+    this.buildArrows();
+    this.buildStopMarkers();
+
+    // Redraw the travelled part on the new geometry
+    const chainage = this.travelledChainage;
+    this.travelledChainage = null;
+    this.setProgress(chainage);
+  }
+
+  /**
+   * Legs to draw: the network's segments when there is a network, else the whole route
+   * @returns {Array} - [{ id, name, color, direction, points }]
+   */
+  getLegs() {
+    if (this.routeNetwork) {
+      return Array.from(this.routeNetwork.segments.values()).map(segment => ({
+        id: segment.id,
+        name: segment.name,
+        color: segment.color,
+        direction: segment.direction,
+        points: segment.points
+      }));
+    }
+
+    const points = this.routeModel.closed
+      ? [...this.routeModel.route, this.routeModel.route[0]]
+      : this.routeModel.route;
+    return [{ id: 'route', name: 'Route', color: null, direction: 'forward', points }];
+  }
+
+  /**
+   * Draw separate legs from a network, or pass null to draw the route as one line
+   * (e.g. after importing a route the network doesn't describe)
+   */
+  setRouteNetwork(routeNetwork) {
+    this.routeNetwork = routeNetwork;
+    this.build();
+  }
+
+  /**
+   * Resample a GPS polyline every sampleSpacing metres and drape it on the ground
+   * @returns {Array} - Scene positions [Vector3] including every original vertex
+   */
+  sampleLine(points) {
+    const scenePoints = points.map(point => projection.toScene(point.lat, point.lon));
+    const samples = [];
+
+    for (let i = 0; i < scenePoints.length - 1; i++) {
+      const a = scenePoints[i];
+      const b = scenePoints[i + 1];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / this.sampleSpacing));
+      for (let s = 0; s < steps; s++) {
+        samples.push(this.groundPoint(a.x + (b.x - a.x) * s / steps, a.z + (b.z - a.z) * s / steps));
+      }
+    }
+    const last = scenePoints[scenePoints.length - 1];
+    if (last) samples.push(this.groundPoint(last.x, last.z));
+
+    return samples;
+  }
+
+  groundPoint(x, z, lift = this.lift) {
+    const ground = this.groundSampler ? this.groundSampler.getHeight(x, z) : 0;
+    return new Vector3(x, ground + lift, z);
+  }
+
+  /**
+   * Flat strip along the samples, width metres across
+   */
+  createRibbon(samples, width) {
+    const positions = [];
+    const indices = [];
+
+    samples.forEach((point, i) => {
+      // Direction from the neighbouring samples, so corners are mitred smoothly
+      const previous = samples[Math.max(0, i - 1)];
+      const next = samples[Math.min(samples.length - 1, i + 1)];
+      let dx = next.x - previous.x;
+      let dz = next.z - previous.z;
+      const length = Math.hypot(dx, dz) || 1;
+      dx /= length;
+      dz /= length;
+
+      // Sideways in the ground plane
+      const sx = -dz * width / 2;
+      const sz = dx * width / 2;
+      positions.push(point.x + sx, point.y, point.z + sz);
+      positions.push(point.x - sx, point.y, point.z - sz);
+
+      if (i > 0) {
+        const base = (i - 1) * 2;
+        indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+      }
+    });
+
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+    return geometry;
+  }
+
+  // Flat chevrons along every leg pointing the way it is driven (both ways on two-way legs)
+  buildArrows() {
+    const placements = [];
+    this.getLegs().forEach(leg => {
+      const samples = this.sampleLine(leg.points);
+      let travelled = 0;
+      let nextArrow = this.arrowSpacing / 2;
+
+      for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        const step = Math.hypot(b.x - a.x, b.z - a.z);
+        while (step > 0 && nextArrow <= travelled + step) {
+          const t = (nextArrow - travelled) / step;
+          const position = new Vector3().lerpVectors(a, b, t);
+          const heading = Math.atan2(-(b.z - a.z), b.x - a.x);
+          placements.push({ position, heading });
+          if (leg.direction === 'both') {
+            placements.push({ position: position.clone(), heading: heading + Math.PI, offset: true });
+          }
+          nextArrow += this.arrowSpacing;
+        }
+        travelled += step;
+      }
+    });
+
+    if (placements.length === 0) return;
+
+    // Triangle pointing along +x, lying flat
+    const size = this.width * 0.6;
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute([
+      size, 0, 0,
+      -size / 2, 0, size / 2,
+      -size / 2, 0, -size / 2
+    ], 3));
+    geometry.setIndex([0, 1, 2]);
+
+    const material = new MeshBasicMaterial({
+      color: '#ffffff',
+      side: DoubleSide,
+      transparent: true,
+      opacity: 0.9,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -3
+    });
+
+    this.arrowMesh = new InstancedMesh(geometry, material, placements.length);
+    this.arrowMesh.name = 'route_arrows';
+
+    const matrix = new Matrix4();
+    const quaternion = new Quaternion();
+    const scale = new Vector3(1, 1, 1);
+    placements.forEach(({ position, heading, offset }, index) => {
+      quaternion.setFromAxisAngle(UP, heading);
+      // Two-way arrows sit a little apart so they don't overlap
+      const shifted = offset
+        ? position.clone().add(new Vector3(Math.cos(heading), 0, -Math.sin(heading)).multiplyScalar(size * 1.5))
+        : position;
+      matrix.compose(new Vector3(shifted.x, shifted.y + 0.05, shifted.z), quaternion, scale);
+      this.arrowMesh.setMatrixAt(index, matrix);
+    });
+    this.arrowMesh.instanceMatrix.needsUpdate = true;
+    this.arrowMesh.computeBoundingSphere();
+    this.group.add(this.arrowMesh);
+  }
+
+  buildStopMarkers() {
+    if (!this.routeModel.stops.length) return;
+
+    this.postGeometry = this.postGeometry || new CylinderGeometry(0.25, 0.25, 6, 8);
+    this.headGeometry = this.headGeometry || new SphereGeometry(0.9, 12, 12);
+    this.stopMaterial = this.stopMaterial || new MeshBasicMaterial({ color: STOP_COLOR });
+
+    this.routeModel.stops.forEach(stop => {
+      const { x, z } = projection.toScene(stop.lat, stop.lon);
+      const ground = this.groundPoint(x, z, 0);
+
+      const marker = new Group();
+      marker.name = `stop_marker_${stop.id}`;
+      marker.userData.stopId = stop.id;
+
+      const post = new Mesh(this.postGeometry, this.stopMaterial);
+      post.position.y = 3;
+      marker.add(post);
+
+      const head = new Mesh(this.headGeometry, this.stopMaterial);
+      head.position.y = 6.5;
+      marker.add(head);
+
+      marker.position.copy(ground);
+      this.group.add(marker);
+      this.stopMarkers.push(marker);
+    });
+  }
+
+  /**
+   * Show how far round the current lap the selected tram has driven
+   * @param {number|null} chainage - Metres along the route model, or null to hide
+   */
+  setProgress(chainage) {
+    if (chainage === null || chainage === undefined || !this.routeModel.length) {
+      this.removeTravelled();
+      this.travelledChainage = null;
+      return;
+    }
+
+    // Rebuilding the strip is cheap but not free; skip sub-metre moves
+    if (this.travelledChainage !== null && Math.abs(chainage - this.travelledChainage) < 1) return;
+    this.travelledChainage = chainage;
+
+    const located = this.routeModel.locate(chainage);
+    const points = [...this.routeModel.route.slice(0, located.segmentId + 1), { lat: located.lat, lon: located.lon }];
+    const samples = this.sampleLine(points).map(point => point.setY(point.y + 0.02));
+
+    this.removeTravelled();
+    if (samples.length < 2) return;
+
+    this.travelledMesh = new Mesh(this.createRibbon(samples, this.width * 1.05), this.travelledMaterial);
+    this.travelledMesh.name = 'route_travelled';
+    this.group.add(this.travelledMesh);
+  }
+
+  removeTravelled() {
+    if (this.travelledMesh) {
+      this.group.remove(this.travelledMesh);
+      this.travelledMesh.geometry.dispose();
+      this.travelledMesh = null;
+    }
+  }
+
+  clearGeometry() {
+    this.legMeshes.forEach(mesh => {
+      this.group.remove(mesh);
+      disposeObject(mesh);
+    });
+    this.legMeshes = [];
+
+    if (this.arrowMesh) {
+      this.group.remove(this.arrowMesh);
+      disposeObject(this.arrowMesh);
+      this.arrowMesh = null;
+    }
+
+    // Stop marker geometry and material are shared and kept for the next build
+    this.stopMarkers.forEach(marker => this.group.remove(marker));
+    this.stopMarkers = [];
+
+    this.removeTravelled();
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+    console.log(`🛤️ Route layer ${visible ? 'shown' : 'hidden'}`);
+  }
+
+  toggle() {
+    this.setVisible(!this.group.visible);
+    return this.group.visible;
+  }
+
+  isVisible() {
+    return this.group.visible;
+  }
+
+  dispose() {
+    this.clearGeometry();
+    this.travelledMaterial.dispose();
+    if (this.postGeometry) this.postGeometry.dispose();
+    if (this.headGeometry) this.headGeometry.dispose();
+    if (this.stopMaterial) this.stopMaterial.dispose();
+    this.scene.remove(this.group);
+  }
+}
+
+export default RouteLayer;
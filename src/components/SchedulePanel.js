@@ -0,0 +1,245 @@
+import { stopRegistry } from '../services/StopRegistry.js';
+
+// Text colour for a deviation: late, early or on time (within a minute)
+const deviationColor = (deviationMs) => {
+  const minutes = Math.round(deviationMs / 60000);
+  if (minutes === 0) return '#4CAF50';
+  return minutes > 0 ? '#F44336' : '#2196F3';
+};
+
+// Panel for loading a GTFS timetable and showing early/late minutes per stop and trip
+class SchedulePanel {
+  /**
+   * @param {ScheduleService} scheduleService - Timetable and matched arrivals
+   * @param {Object} options
+   * @param {Function} options.onImport - Called with the picked files (a GTFS .zip or a feed folder's files)
+   * @param {string} options.locale - Language for stop names (e.g. 'en', 'th')
+   */
+  constructor(scheduleService, options = {}) {
+    this.scheduleService = scheduleService;
+    this.onImport = options.onImport || (() => {});
+    this.locale = options.locale || 'en';
+    this.isVisible = false;
+
+    this.createUI();
+    this.unsubscribeSchedule = this.scheduleService.onChange(() => {
+      if (this.isVisible) this.render();
+    });
+  }
+
+  createUI() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'schedule-panel';
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 20px;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      font-size: 13px;
+      width: 380px;
+      max-height: 60vh;
+      overflow-y: auto;
+      z-index: 1001;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      display: none;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = '🗓️ Timetable';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 16px; color: #ffd700;';
+    this.panel.appendChild(title);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'margin-bottom: 8px;';
+    [
+      ['Load GTFS zip', () => this.pickFiles(false)],
+      ['Load folder', () => this.pickFiles(true)],
+      ['Close', () => this.hide()]
+    ].forEach(([label, handler]) => buttons.appendChild(this.createButton(label, handler)));
+    this.panel.appendChild(buttons);
+
+    this.infoElement = document.createElement('div');
+    this.infoElement.style.cssText = `
+      margin-bottom: 8px;
+      padding: 8px;
+      background: rgba(255, 255, 255, 0.1);
+      border-radius: 5px;
+      line-height: 1.5;
+    `;
+    this.panel.appendChild(this.infoElement);
+
+    this.stopsElement = document.createElement('div');
+    this.stopsElement.style.cssText = 'margin-bottom: 8px;';
+    this.panel.appendChild(this.stopsElement);
+
+    this.tripsElement = document.createElement('div');
+    this.panel.appendChild(this.tripsElement);
+
+    document.body.appendChild(this.panel);
+  }
+
+  createButton(label, handler) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      margin-right: 6px;
+      padding: 4px 10px;
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 5px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  // A .zip, or every file of an unzipped feed folder
+  pickFiles(folder) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    if (folder) {
+      input.webkitdirectory = true;
+      input.multiple = true;
+    } else {
+      input.accept = '.zip';
+    }
+    input.addEventListener('change', async () => {
+      if (input.files.length === 0) return;
+      this.infoElement.textContent = 'Loading timetable…';
+      try {
+        await this.onImport(input.files);
+      } catch (error) {
+        this.infoElement.textContent = `Could not load timetable: ${error.message}`;
+        return;
+      }
+      this.render();
+    });
+    input.click();
+  }
+
+  show() {
+    this.isVisible = true;
+    this.panel.style.display = 'block';
+    this.render();
+  }
+
+  hide() {
+    this.isVisible = false;
+    this.panel.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  render() {
+    const schedule = this.scheduleService;
+    if (!schedule.hasSchedule()) {
+      this.infoElement.textContent = 'No timetable loaded. Load a GTFS feed (stops.txt, trips.txt, stop_times.txt, calendar.txt).';
+      this.stopsElement.innerHTML = '';
+      this.tripsElement.innerHTML = '';
+      return;
+    }
+
+    const { feed, unmappedStops } = schedule;
+    this.infoElement.innerHTML = '';
+    [
+      `🚊 ${feed.trips.length} trips · ${feed.services.length} service calendars`,
+      `🚏 ${feed.stops.length - unmappedStops.length} of ${feed.stops.length} stops matched`,
+      ...(unmappedStops.length > 0 ? [`⚠️ Not matched: ${unmappedStops.map(stop => stop.name).join(', ')}`] : []),
+      'Minutes against the timetable: + late, − early'
+    ].forEach(line => {
+      const row = document.createElement('div');
+      row.textContent = line;
+      this.infoElement.appendChild(row);
+    });
+
+    this.renderTable(this.stopsElement, '🚏 By stop', ['Stop', 'Arrivals', 'Last', 'Average'],
+      schedule.getStopAdherence().map(stop => [
+        stopRegistry.getName(stop.stopId, this.locale),
+        stop.arrivals,
+        stop.lastDeviationMs,
+        stop.averageDeviationMs
+      ]));
+
+    this.renderTable(this.tripsElement, '🚊 By trip', ['Trip', 'Tram', 'Stops', 'Last', 'Average'],
+      schedule.getTripAdherence().map(trip => [
+        trip.headsign ? `${trip.tripId} (${trip.headsign})` : trip.tripId,
+        trip.tramId,
+        trip.arrivals,
+        trip.lastDeviationMs,
+        trip.averageDeviationMs
+      ]));
+  }
+
+  // The last two columns of each row are deviations (ms)
+  renderTable(element, titleText, headings, rows) {
+    element.innerHTML = '';
+    const title = document.createElement('div');
+    title.textContent = titleText;
+    title.style.cssText = 'font-weight: bold; margin-bottom: 4px; color: #ffd700;';
+    element.appendChild(title);
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No live arrivals matched yet';
+      empty.style.cssText = 'opacity: 0.7; font-size: 12px;';
+      element.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+    const header = document.createElement('tr');
+    headings.forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      cell.style.cssText = 'text-align: left; padding: 2px 4px; opacity: 0.7;';
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    rows.forEach(values => {
+      const row = document.createElement('tr');
+      values.forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.style.cssText = 'padding: 2px 4px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        if (index >= values.length - 2) {
+          cell.textContent = this.formatDeviation(value);
+          cell.style.color = deviationColor(value);
+        } else {
+          cell.textContent = value;
+        }
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    element.appendChild(table);
+  }
+
+  // "+3 min", "-2 min" or "on time"
+  formatDeviation(deviationMs) {
+    const minutes = Math.round(deviationMs / 60000);
+    if (minutes === 0) return 'on time';
+    return `${minutes > 0 ? '+' : '−'}${Math.abs(minutes)} min`;
+  }
+
+  dispose() {
+    this.unsubscribeSchedule();
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  }
+}
+
+export default SchedulePanel;
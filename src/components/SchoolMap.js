@@ -13,17 +13,47 @@ import {
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import TramMovement from './TramMovement.js';
 import LoadingUI from './LoadingUI';
 import WeatherSystem from './WeatherSystem.js';
 import WeatherDisplay from './WeatherDisplay.js';
-import TramTracker from './TramTracker.js';
-import { gpsRoute } from '../config/gpsRoute.js';
+import TramFleet from './TramFleet.js';
+import TramStatusDisplay from './TramStatusDisplay.js';
+import DataModeBanner from './DataModeBanner.js';
+import RouteLayer from './RouteLayer.js';
+import WebSocketGPSService from '../services/WebSocketGPSService.js';
+import GPSRecorder from '../services/GPSRecorder.js';
+import GPSReplaySource from '../services/GPSReplaySource.js';
+import TripHistory from '../services/TripHistory.js';
+import ScheduleService from '../services/ScheduleService.js';
 import { optimizeRenderer, optimizeMaterial, optimizeScene, disposeObject, updateDistanceCulling } from '../utils/renderingOptimizations.js';
 import PerformanceMonitor from '../utils/PerformanceMonitor.js';
 import MapManager from './MapManager.js';
+import MapCalibrationTool from './MapCalibrationTool.js';
+import RouteEditor from './RouteEditor.js';
+import HistoryPanel from './HistoryPanel.js';
+import TimelineScrubber from './TimelineScrubber.js';
+import SchedulePanel from './SchedulePanel.js';
+import GroundSampler from '../utils/GroundSampler.js';
+import RouteModel from '../utils/RouteModel.js';
+import RouteNetwork from '../utils/RouteNetwork.js';
+import { routeNetwork, CAMPUS_LOOP } from '../config/routeNetwork.js';
+import { ROUTE_DATA_URL } from '../config/geo.js';
+import { parseGeoData, serializeGeoData, downloadText } from '../utils/geoFormats.js';
+import { readGTFSFiles } from '../utils/gtfs.js';
+import { projection } from '../utils/GeoProjection.js';
+import { stopRegistry } from '../services/StopRegistry.js';
 import MemoryManager from '../utils/MemoryManager.js';
 
+// Keys typed into panel fields (route editor names, calibration coordinates, playback
+// dates and times, ...) aren't shortcuts; sliders and checkboxes don't take text, so a
+// focused timeline slider still lets them through
+const NON_TEXT_INPUTS = ['range', 'checkbox', 'radio', 'button', 'submit', 'reset', 'color', 'file'];
+const isTyping = (event) => {
+  const { tagName, type } = event.target;
+  if (tagName === 'INPUT') return !NON_TEXT_INPUTS.includes(type);
+  return tagName === 'SELECT' || tagName === 'TEXTAREA';
+};
+
 class SchoolMap {
   constructor(container) {
     this.container = container;
@@ -32,10 +62,38 @@ class SchoolMap {
     this.renderer = new WebGLRenderer({ antialias: true });
     this.controls = null;
     this.mapManager = new MapManager(this.scene);
-    this.tramMovement = null;
+    
+    // Terrain heights sampled from whichever map models are visible
+    this.groundSampler = new GroundSampler({
+      getTargets: () => this.getVisibleMapModels()
+    });
     this.weatherSystem = null;
     this.weatherDisplay = null;
-    this.tramTracker = null;
+    
+    // Route ribbon, arrows and stop markers
+    this.routeLayer = null;
+    this.routeEditor = null;
+    
+    // Tram fleet - one model, movement and tracker per vehicle id
+    this.gpsService = null;
+    this.tramFleet = null;
+    this.tramTemplate = null;
+    this.tramStatusDisplay = null;
+    this.dataModeBanner = null;
+    this.mapCalibrationTool = null;
+    
+    // Persistent trip history and the panel that browses it
+    this.tripHistory = null;
+    this.historyPanel = null;
+    this.timelineScrubber = null;
+    
+    // Published timetable (GTFS) and schedule adherence of live arrivals
+    this.scheduleService = new ScheduleService();
+    this.schedulePanel = null;
+    
+    // GPS stream recording and replay
+    this.gpsRecorder = null;
+    this.gpsReplay = null;
     
     // Performance monitoring
     this.performanceMonitor = new PerformanceMonitor();
@@ -64,10 +122,35 @@ class SchoolMap {
     this.loadingUI = new LoadingUI();
     this.loadingUI.show();
 
+    // Which named leg of the network a tram is on
+    this.routeNetwork = new RouteNetwork(routeNetwork, { stops: stopRegistry.getStops() });
+    
+    // The campus loop the trams run, leg by leg (also the simulator's and fallback route)
+    this.gpsPoints = this.routeNetwork.getLoopPath(CAMPUS_LOOP);
+    
+    // Distance along that loop and to stops, shared by every tram
+    this.routeModel = new RouteModel(this.gpsPoints, { stops: stopRegistry.getStops() });
+
+    // Stops are shared through the registry; follow imports and edits everywhere
+    this.unsubscribeStops = stopRegistry.onChange((stops) => this.applyStops(stops));
+
     this.init();
+  }
+
+  // The selected fleet vehicle's model, movement and tracker (legacy single-tram accessors)
+  get tram() {
+    const vehicle = this.tramFleet ? this.tramFleet.getSelectedVehicle() : null;
+    return vehicle ? vehicle.model : null;
+  }
+
+  get tramMovement() {
+    const vehicle = this.tramFleet ? this.tramFleet.getSelectedVehicle() : null;
+    return vehicle ? vehicle.movement : null;
+  }
 
-    // GPS route points from config (kept for fallback purposes only)
-    this.gpsPoints = gpsRoute;
+  get tramTracker() {
+    const vehicle = this.tramFleet ? this.tramFleet.getSelectedVehicle() : null;
+    return vehicle ? vehicle.tracker : null;
   }
 
   init() {
@@ -125,8 +208,14 @@ class SchoolMap {
     this.weatherDisplay = new WeatherDisplay();
     this.weatherDisplay.show();
     
-    // Initialize enhanced tram tracking system
-    this.tramTracker = new TramTracker();
+    // Initialize tram status panel (fed from the selected fleet vehicle)
+    this.tramStatusDisplay = new TramStatusDisplay();
+    this.tramStatusDisplay.onVehicleSelect((vehicleId) => {
+      if (this.tramFleet) this.tramFleet.selectVehicle(vehicleId);
+    });
+    
+    // Banner shown whenever positions are simulated or replayed
+    this.dataModeBanner = new DataModeBanner();
 
     // Controls setup
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -136,6 +225,18 @@ class SchoolMap {
     this.controls.minDistance = 20; // Prevent zooming too close
     this.controls.maxDistance = 200; // Prevent zooming too far
 
+    // Draw the route so it's clear where the trams go (R toggles it)
+    this.routeLayer = new RouteLayer(this.scene, {
+      routeModel: this.routeModel,
+      routeNetwork: this.routeNetwork,
+      groundSampler: this.groundSampler
+    });
+
+    // Route and stops shipped as a GIS file replace the built-in ones
+    if (ROUTE_DATA_URL) {
+      this.loadRouteData(ROUTE_DATA_URL);
+    }
+
     // Register and load maps with the MapManager
     this.initializeMaps();
 
@@ -150,9 +251,27 @@ class SchoolMap {
     
     // Add keyboard shortcut for performance monitor
     window.addEventListener('keydown', (event) => {
-      if (event.key === 'p' || event.key === 'P') {
+      if ((event.key === 'p' || event.key === 'P') && !isTyping(event)) {
         this.performanceMonitor.toggle();
       }
+      if ((event.key === 't' || event.key === 'T') && this.tramFleet && !isTyping(event)) {
+        this.tramFleet.selectNextVehicle();
+      }
+      if ((event.key === 'r' || event.key === 'R') && this.routeLayer && !isTyping(event)) {
+        this.routeLayer.toggle();
+      }
+      if ((event.key === 'e' || event.key === 'E') && !isTyping(event)) {
+        this.toggleRouteEditor();
+      }
+      if ((event.key === 'h' || event.key === 'H') && !isTyping(event)) {
+        this.toggleHistoryPanel();
+      }
+      if ((event.key === 'l' || event.key === 'L') && !isTyping(event)) {
+        this.toggleTimeline();
+      }
+      if ((event.key === 'g' || event.key === 'G') && !isTyping(event)) {
+        this.toggleSchedulePanel();
+      }
     });
   }
 
@@ -169,29 +288,35 @@ class SchoolMap {
       // Apply scene optimizations after maps are loaded
       this.optimizeMapScene();
       
+      // Sample the ground along the route up front so trams don't raycast while driving
+      this.refreshGroundSamples();
+      
       // Hide loading UI after maps are loaded
       if (this.loadingUI) this.loadingUI.hide();
       
       // Add keyboard shortcuts for map control
       window.addEventListener('keydown', (event) => {
-        if (event.key === 'm' || event.key === 'M') {
+        if ((event.key === 'm' || event.key === 'M') && !isTyping(event)) {
           this.toggleMapVisibility();
         }
-        if (event.key === '1') {
+        if (event.key === '1' && !isTyping(event)) {
           this.setMapVisibility('school_map', true);
           this.setMapVisibility('school_map2', false);
         }
-        if (event.key === '2') {
+        if (event.key === '2' && !isTyping(event)) {
           this.setMapVisibility('school_map', false);
           this.setMapVisibility('school_map2', true);
         }
-        if (event.key === '3') {
+        if (event.key === '3' && !isTyping(event)) {
           this.setMapVisibility('school_map', true);
           this.setMapVisibility('school_map2', true);
         }
+        if ((event.key === 'k' || event.key === 'K') && !isTyping(event)) {
+          this.toggleMapCalibration();
+        }
       });
       
-      // Both maps loaded - Press M to toggle, 1/2/3 for specific maps
+      // Both maps loaded - Press M to toggle, 1/2/3 for specific maps, K to calibrate
       
     } catch (error) {
       console.error('❌ Failed to initialize maps:', error);
@@ -223,7 +348,128 @@ class SchoolMap {
         map2.model.visible = true;
         // Showing both maps
       }
+      this.refreshGroundSamples();
+    }
+  }
+  
+  // Re-sample terrain after the map models moved or changed visibility
+  refreshGroundSamples() {
+    if (!this.groundSampler) return;
+    
+    this.groundSampler.clear();
+    const routePoints = this.gpsPoints.map(point => projection.toScene(point.lat, point.lon));
+    this.groundSampler.precomputePath(routePoints).then(() => {
+      // Drape the route over the new ground
+      if (this.routeLayer) this.routeLayer.build();
+    });
+  }
+  
+  getVisibleMapModels() {
+    return Array.from(this.mapManager.getAllMaps().values())
+      .filter(mapData => mapData.model && mapData.model.visible)
+      .map(mapData => mapData.model);
+  }
+  
+  // Open or close the route and stop editor; it starts from the route in use
+  toggleRouteEditor() {
+    if (!this.routeEditor) {
+      this.routeEditor = new RouteEditor({
+        scene: this.scene,
+        camera: this.camera,
+        domElement: this.renderer.domElement,
+        controls: this.controls,
+        groundSampler: this.groundSampler,
+        getPickTargets: () => this.getVisibleMapModels()
+      });
+      this.routeEditor.load({ route: this.gpsPoints, stops: stopRegistry.getStops() });
+      this.routeEditor.onApply((data) => this.applyRouteData(data));
     }
+    
+    this.routeEditor.toggle();
+    return this.routeEditor;
+  }
+  
+  // Open or close the trip history panel
+  toggleHistoryPanel() {
+    if (!this.tripHistory) {
+      console.warn('Cannot show trip history: tram fleet not initialized');
+      return null;
+    }
+    if (!this.historyPanel) {
+      this.historyPanel = new HistoryPanel(this.tripHistory);
+    }
+    
+    this.historyPanel.toggle();
+    return this.historyPanel;
+  }
+  
+  // Open or close the playback bar for stored history (live updates pause while it plays)
+  toggleTimeline() {
+    if (!this.tripHistory) {
+      console.warn('Cannot show timeline: tram fleet not initialized');
+      return null;
+    }
+    if (!this.timelineScrubber) {
+      this.timelineScrubber = new TimelineScrubber(this.tripHistory, this.gpsService);
+      // Jumps in time (and going back to live) move the trams instead of driving them there.
+      // Playback runs on the same trackers, so their live journeys are kept aside meanwhile.
+      this.timelineScrubber.onSeek(() => {
+        if (!this.tramFleet) return;
+        this.tramFleet.saveJourneys();
+        this.tramFleet.resetPositions();
+      });
+      this.timelineScrubber.onClose(() => {
+        if (!this.tramFleet) return;
+        this.tramFleet.resetPositions();
+        this.tramFleet.restoreJourneys();
+      });
+    }
+    
+    // Only one source can own the stream
+    if (!this.timelineScrubber.isVisible) this.stopGPSReplay();
+    this.timelineScrubber.toggle();
+    return this.timelineScrubber;
+  }
+  
+  // Open or close the timetable panel
+  toggleSchedulePanel() {
+    if (!this.schedulePanel) {
+      this.schedulePanel = new SchedulePanel(this.scheduleService, {
+        onImport: (files) => this.importGTFS(files)
+      });
+    }
+    
+    this.schedulePanel.toggle();
+    return this.schedulePanel;
+  }
+  
+  // Load a GTFS static feed (a .zip or a feed folder's files) as the timetable
+  async importGTFS(files) {
+    try {
+      const feed = await readGTFSFiles(files);
+      this.scheduleService.load(feed);
+      return feed;
+    } catch (error) {
+      console.error('❌ Failed to import GTFS timetable:', error);
+      throw error;
+    }
+  }
+  
+  // Open or close the map-to-GPS calibration tool
+  toggleMapCalibration(mapId) {
+    if (!this.mapCalibrationTool) {
+      this.mapCalibrationTool = new MapCalibrationTool({
+        scene: this.scene,
+        camera: this.camera,
+        domElement: this.renderer.domElement,
+        mapManager: this.mapManager,
+        landmarks: stopRegistry.getStops()
+      });
+      this.mapCalibrationTool.onApply(() => this.refreshGroundSamples());
+    }
+    
+    this.mapCalibrationTool.toggle(mapId);
+    return this.mapCalibrationTool;
   }
   
   setMapVisibility(mapId, visible) {
@@ -233,6 +479,7 @@ class SchoolMap {
     if (map && map.model) {
       map.model.visible = visible;
       // Map visibility updated
+      this.refreshGroundSamples();
     }
   }
 
@@ -321,7 +568,7 @@ class SchoolMap {
     
     // Add keyboard shortcut for memory stats
     window.addEventListener('keydown', (event) => {
-      if (event.key === 'i' || event.key === 'I') {
+      if ((event.key === 'i' || event.key === 'I') && !isTyping(event)) {
         this.logMemoryStats();
       }
     });
@@ -382,6 +629,11 @@ class SchoolMap {
       }
     }
     
+    // Keep trams on the terrain (cached ground samples, cheap per frame)
+    if (this.tramFleet) {
+      this.tramFleet.update();
+    }
+    
     // Update tram tracking if tram is moving (throttled)
     if (currentTime - this.lastTramUpdate > this.tramUpdateInterval) {
       this.updateTramTracking();
@@ -409,9 +661,13 @@ class SchoolMap {
     // Legacy GPS update called - Redis is now primary data source
     
     // This method is primarily for fallback when Redis is unavailable
+    if (this.tramFleet && !this.tramFleet.getSelectedVehicle()) {
+      this.tramFleet.getOrCreateVehicle(this.tramFleet.defaultVehicleId);
+    }
+    
     if (this.tramMovement) {
-      const redisStatus = this.tramMovement.getRedisStatus();
-      if (!redisStatus.isConnected) {
+      const webSocketStatus = this.tramMovement.getWebSocketStatus();
+      if (!webSocketStatus.isConnected) {
         // Using legacy GPS update as Redis fallback
         this.tramMovement.updateFromLiveGPS(lat, lon);
       }
@@ -423,50 +679,191 @@ class SchoolMap {
     }
   }
 
-  // Initialize tram movement system
-  async initializeTramMovement() {
-    if (!this.tram) {
-      console.warn('Cannot initialize tram movement: tram model not loaded');
+  // Initialize the tram fleet once the tram model template is available
+  initializeTramFleet() {
+    if (!this.tramTemplate) {
+      console.warn('Cannot initialize tram fleet: tram model not loaded');
       return;
     }
 
-    // WebSocket GPS configuration
-    const gpsConfig = {
-      // WebSocketGPSService will handle environment detection and defaults
-    };
+    // One shared WebSocket GPS service for every tram
+    // (WebSocketGPSService will handle environment detection and defaults)
+    this.gpsService = new WebSocketGPSService({
+      simulationRoute: this.gpsPoints,
+      simulationStops: stopRegistry.getStops()
+    });
 
-    // Create TramMovement instance with WebSocket GPS integration
-    this.tramMovement = new TramMovement(
-      this.tram,
-      null,
-      this.gpsPoints, // Fallback GPS points
-      new Vector3(0, 0, 0),
-      gpsConfig
-    );
-    
-    // TramMovement initialized with Redis integration
-    
-    // Wait a moment for initial positioning to complete
-    setTimeout(() => {
-      if (this.tramMovement && this.tramMovement.lastKnownPosition) {
+    // Record every incoming payload so real traces can be downloaded and replayed
+    this.gpsRecorder = new GPSRecorder(this.gpsService);
+    this.gpsRecorder.start();
+
+    // Keep live fixes and tram events across sessions for daily summaries
+    this.tripHistory = new TripHistory(this.gpsService);
+    this.tripHistory.start();
+
+    // Make it obvious when the tram on screen is simulated or replayed
+    this.gpsService.onModeChange((mode) => {
+      // Trackers hear about it before the first fix in the new mode, not on the next frame
+      if (this.tramFleet) {
+        this.tramFleet.getAllVehicles().forEach(vehicle => vehicle.tracker.setFeedStatus({ dataMode: mode }));
+      }
+      if (this.dataModeBanner) this.dataModeBanner.setMode(mode);
+      if (this.tramStatusDisplay) this.tramStatusDisplay.setDataMode(mode);
+    });
+
+    this.tramFleet = new TramFleet(this.scene, {
+      gpsService: this.gpsService,
+      gpsPoints: this.gpsPoints, // Fallback GPS points
+      createModel: () => this.tramTemplate.clone(),
+      groundSampler: this.groundSampler,
+      routeModel: this.routeModel,
+      routeNetwork: this.routeNetwork
+    });
+
+    this.tramFleet.onVehicleAdded((vehicle) => {
+      this.refreshVehiclePicker();
+      this.tripHistory.attachTracker(vehicle.tracker);
+      this.scheduleService.attachTracker(vehicle.tracker);
+      // Stop events for every tram (the tracker goes away with the vehicle)
+      vehicle.tracker.onStopArrival(({ tramId, stop, loop }) => {
+        console.log(`🚏 ${tramId} arrived at ${stop.name} (loop ${loop})`);
+      });
+      vehicle.tracker.onStopDeparture(({ tramId, stop, dwellMs }) => {
+        console.log(`🚏 ${tramId} departed ${stop.name} after ${Math.round(dwellMs / 1000)}s`);
+      });
+      vehicle.tracker.onServiceStateChange(({ tramId, from, to, reason }) => {
+        console.log(`🚊 ${tramId}: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+      });
+    });
+    this.tramFleet.onVehicleRemoved((vehicle) => {
+      this.refreshVehiclePicker();
+      if (this.tripHistory) this.tripHistory.detachTracker(vehicle.tracker.tramId);
+      if (this.scheduleService) this.scheduleService.detachTracker(vehicle.tracker.tramId);
+    });
+    this.tramFleet.onSelectionChange((vehicle) => {
+      this.refreshVehiclePicker();
+      // Re-focus the camera on the newly selected tram once it has a position
+      this.cameraFocused = false;
+      if (vehicle && vehicle.movement.lastKnownPosition) {
         this.focusCameraOnTram();
         this.cameraFocused = true;
-        // Initial camera focus completed
       }
-    }, 2000); // Give time for Redis data to arrive and position tram
+    });
+  }
+
+  // Replay a recorded GPS log (entries or NDJSON text) through the live pipeline
+  startGPSReplay(log, speed = 1) {
+    if (!this.gpsService) {
+      console.warn('Cannot replay GPS log: GPS service not initialized');
+      return null;
+    }
+
+    this.stopGPSReplay();
+    if (this.timelineScrubber) this.timelineScrubber.hide();
+    this.gpsReplay = new GPSReplaySource(this.gpsService, log, { speed });
+    this.gpsReplay.onEnd(() => {
+      this.gpsReplay = null;
+    });
+    this.gpsReplay.play();
+    return this.gpsReplay;
+  }
+
+  stopGPSReplay() {
+    if (this.gpsReplay) {
+      this.gpsReplay.dispose();
+      this.gpsReplay = null;
+    }
+  }
+
+  // Current route, stops and recorded trips as plain data for geoFormats
+  getRouteData({ includeTrips = true } = {}) {
+    return {
+      routes: [{ name: 'AU Tram route', points: this.gpsPoints }],
+      stops: this.routeModel.stops.map(({ chainage, ...stop }) => stop),
+      trips: includeTrips && this.gpsRecorder ? this.gpsRecorder.getTrips() : []
+    };
+  }
+
+  // Download the route, stops and recorded trips as GeoJSON, GPX or KML
+  exportRouteData(format = 'geojson') {
+    const { content, mimeType, extension } = serializeGeoData(this.getRouteData(), format);
+    const name = `au-tram-route-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    downloadText(content, name, mimeType);
+  }
+
+  // Import a GeoJSON, GPX or KML file and use its route and stops
+  importRouteData(text, filename = '') {
+    try {
+      const data = parseGeoData(text, { filename });
+      this.applyRouteData(data);
+      return data;
+    } catch (error) {
+      console.error('❌ Failed to import route data:', error);
+      return null;
+    }
+  }
+
+  // Fetch a route file shipped with the app (see ROUTE_DATA_URL)
+  async loadRouteData(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return this.importRouteData(await response.text(), url);
+    } catch (error) {
+      console.warn(`⚠️ Could not load route data from ${url}, using the built-in route:`, error.message);
+      return null;
+    }
+  }
+
+  // Replace the route and/or stops everywhere they are used
+  applyRouteData({ routes = [], stops = [] }) {
+    // A file may hold several lines; the longest one is the tram route
+    const route = routes.reduce((longest, candidate) =>
+      !longest || candidate.points.length > longest.points.length ? candidate : longest, null);
+
+    if (route && route.points.length > 1) {
+      this.gpsPoints = route.points;
+      this.routeModel.setRoute(route.points);
+      if (this.tramFleet) this.tramFleet.setRoute(route.points);
+      // The built-in legs no longer describe the route; draw it as one line
+      if (this.routeLayer) this.routeLayer.setRouteNetwork(null);
+      this.refreshGroundSamples();
+    }
+
+    if (stops.length > 0) {
+      // Subscribers (see applyStops) pick the new stops up, along with the simulator
+      stopRegistry.setStops(stops);
+    } else if (route && this.gpsService) {
+      this.gpsService.setSimulationRoute(this.gpsPoints, stopRegistry.getStops());
+    }
+
+    console.log(`🗺️ Route data applied: ${route ? route.points.length : 0} route points, ${stops.length} stops`);
+  }
+
+  // Stops in the registry changed: re-measure them along the route and redraw
+  applyStops(stops) {
+    this.routeModel.setStops(stops);
+    if (this.routeLayer) this.routeLayer.build();
+    if (this.gpsService) this.gpsService.setSimulationRoute(this.gpsPoints, stops);
+  }
+
+  refreshVehiclePicker() {
+    if (!this.tramStatusDisplay || !this.tramFleet) return;
+    this.tramStatusDisplay.setVehicles(this.tramFleet.getVehicleIds(), this.tramFleet.selectedVehicleId);
   }
 
   loadTramFBXModel() {
     const loader = new FBXLoader();
     const baseUrl = import.meta.env.BASE_URL || '/';
     const modelPath = `${baseUrl}models/Tram.fbx`;
-    loader.load(modelPath, async (object) => {
-      this.tram = object;
+    loader.load(modelPath, (object) => {
+      // Loaded model is a template; each fleet vehicle gets its own clone
+      const tram = object;
       // Center and scale tram model
-      const bbox = new Box3().setFromObject(this.tram);
+      const bbox = new Box3().setFromObject(tram);
       const size = bbox.getSize(new Vector3());
       const center = bbox.getCenter(new Vector3());
-      this.tram.position.sub(center); // Center the model
+      tram.position.sub(center); // Center the model
 
       // Scale tram to reasonable size (12,4,8)
       const targetSize = new Vector3(12, 4, 8);
@@ -476,14 +873,14 @@ class SchoolMap {
         targetSize.z / size.z
       );
       const uniformScale = (scale.x + scale.y + scale.z) / 3;
-      this.tram.scale.set(uniformScale, uniformScale, uniformScale);
+      tram.scale.set(uniformScale, uniformScale, uniformScale);
 
       // Don't position tram at fixed location - let TramMovement handle positioning via Redis
-      this.tram.position.set(0, -0.3, 0); // Temporary position until Redis data arrives
-      this.tram.rotation.y = Math.PI; // Rotate tram 180 degrees for correct forward direction
+      tram.position.set(0, -0.3, 0); // Temporary position until Redis data arrives
+      tram.rotation.y = Math.PI; // Rotate tram 180 degrees for correct forward direction
 
       // Apply optimizations to tram model
-      this.tram.traverse((child) => {
+      tram.traverse((child) => {
         if (child.isMesh) {
           child.castShadow = true;
           child.receiveShadow = true;
@@ -499,11 +896,11 @@ class SchoolMap {
         }
       });
 
-      this.scene.add(this.tram);
+      this.tramTemplate = tram;
       this.renderer.shadowMap.needsUpdate = true;
       
-      // Initialize tram movement first, then focus camera after GPS data arrives
-      await this.initializeTramMovement();
+      // Initialize the fleet first; trams appear and get focused as GPS data arrives
+      this.initializeTramFleet();
       
       // Focus camera on a reasonable default position initially
       this.camera.position.set(0, 30, 60);
@@ -533,14 +930,26 @@ class SchoolMap {
     }
   }
 
-  // Update tram tracking system continuously for WebSocket GPS data
+  // Update tram tracking for every vehicle in the fleet
   updateTramTracking() {
-    if (!this.tramMovement || !this.tramTracker || !this.tramMovement.tram) return;
+    if (!this.tramFleet) return;
+    
+    this.tramFleet.pruneOfflineVehicles();
+    
+    for (const vehicle of this.tramFleet.getAllVehicles().values()) {
+      this.updateVehicleTracking(vehicle);
+    }
+  }
+
+  // Update one vehicle's tracker continuously from its WebSocket GPS data
+  updateVehicleTracking(vehicle) {
+    const { movement, tracker } = vehicle;
+    const isSelected = vehicle.id === this.tramFleet.selectedVehicleId;
     
     // Get current tram progress (now includes WebSocket GPS data)
     let progress;
     try {
-      progress = this.tramMovement.getProgress();
+      progress = movement.getProgress();
       if (!progress) return;
     } catch (error) {
       console.error('❌ Error getting tram progress:', error);
@@ -549,7 +958,7 @@ class SchoolMap {
     
     // Check WebSocket connection health
     const isHealthy = progress.isConnectionHealthy;
-    if (!isHealthy && progress.lastConnectionLoss) {
+    if (isSelected && !isHealthy && progress.lastConnectionLoss) {
       // Show connection warning if disconnected for more than 10 seconds
       const disconnectedTime = Date.now() - progress.lastConnectionLoss;
       if (disconnectedTime > 10000) {
@@ -559,16 +968,30 @@ class SchoolMap {
       }
     }
 
+    // Let the tracker tell lost signal and simulated data apart from a tram standing still
+    const fixTime = progress.currentGPS ? new Date(progress.currentGPS.timestamp).getTime() : NaN;
+    tracker.setFeedStatus({
+      lastFixTime: isNaN(fixTime) ? null : fixTime,
+      stale: progress.isDataStale,
+      dataMode: this.gpsService ? this.gpsService.getDataMode() : 'live'
+    });
+    
     // Use real-time GPS data from WebSocket if available
+    // (the fleet feeds each fix to the tracker as it arrives; setFeedStatus above
+    // keeps the service state current between fixes)
     if (progress.currentGPS) {
-      // Update local tracker with real-time GPS data
-      this.tramTracker.updatePosition(progress.currentGPS.lat, progress.currentGPS.lon);
+      if (!isSelected) return;
+      
+      // Grey out the part of the lap already driven
+      if (this.routeLayer) {
+        this.routeLayer.setProgress(progress.route ? progress.route.chainage : null);
+      }
       
       // Update debug UI if available
       this.updateDebugUI(progress.currentGPS, progress);
       
       // Focus camera on tram when GPS data is available (first time)
-      if (!this.cameraFocused && this.tramMovement.lastKnownPosition) {
+      if (!this.cameraFocused && movement.lastKnownPosition) {
         this.focusCameraOnTram();
         this.cameraFocused = true;
         // Camera focused on tram at GPS position
@@ -577,16 +1000,18 @@ class SchoolMap {
       // Fallback to static GPS points if WebSocket is unavailable
       const currentGPS = this.gpsPoints[progress.currentIndex];
       if (currentGPS) {
-        this.tramTracker.updatePosition(currentGPS.lat, currentGPS.lon);
-        this.updateDebugUI(currentGPS, progress);
+        // Only when the fallback moves on to another point
+        const last = tracker.currentLocation;
+        if (!last || last.lat !== currentGPS.lat || last.lon !== currentGPS.lon) {
+          tracker.updatePosition(currentGPS.lat, currentGPS.lon);
+        }
+        if (isSelected) this.updateDebugUI(currentGPS, progress);
       }
     }
   }
   
   // Update debug UI with current status
   async updateDebugUI(currentGPS, progress) {
-    if (!this.tramDebugUI) return;
-    
     // Throttle debug UI updates
     const currentTime = Date.now();
     if (currentTime - this.lastDebugUpdate < this.debugUpdateInterval) {
@@ -594,11 +1019,20 @@ class SchoolMap {
     }
     this.lastDebugUpdate = currentTime;
     
+    // Status panel follows the selected tram
+    if (this.tramStatusDisplay && this.tramTracker) {
+      this.tramStatusDisplay.updateStatus(this.tramTracker.getStatusForAPI());
+      this.tramStatusDisplay.updateRouteProgress(progress.route);
+    }
+    
+    if (!this.tramDebugUI) return;
+    
     try {
       // Prepare debug data
       const debugData = {
         frontendStatus: progress.isMoving ? 'Running' : 'Stopped',
         position: currentGPS,
+        rawPosition: progress.rawGPS || null,
         connectionStatus: {
           state: progress.connectionState || 'unknown',
           healthy: progress.isConnectionHealthy || false,
@@ -632,10 +1066,52 @@ class SchoolMap {
 
   // Dispose of resources and cleanup
   dispose() {
-    // Dispose tram movement system and Redis connection
-    if (this.tramMovement) {
-      this.tramMovement.dispose();
-      this.tramMovement = null;
+    // Stop following the stop registry
+    if (this.unsubscribeStops) {
+      this.unsubscribeStops();
+      this.unsubscribeStops = null;
+    }
+    
+    // Dispose tram fleet and the shared WebSocket connection
+    if (this.tramFleet) {
+      this.tramFleet.dispose();
+      this.tramFleet = null;
+    }
+    
+    // Dispose timetable
+    if (this.schedulePanel) {
+      this.schedulePanel.dispose();
+      this.schedulePanel = null;
+    }
+    if (this.scheduleService) {
+      this.scheduleService.dispose();
+      this.scheduleService = null;
+    }
+    
+    // Dispose trip history (buffered records are still written)
+    if (this.timelineScrubber) {
+      this.timelineScrubber.dispose();
+      this.timelineScrubber = null;
+    }
+    if (this.historyPanel) {
+      this.historyPanel.dispose();
+      this.historyPanel = null;
+    }
+    if (this.tripHistory) {
+      this.tripHistory.dispose();
+      this.tripHistory = null;
+    }
+    
+    // Dispose GPS recording and replay
+    this.stopGPSReplay();
+    if (this.gpsRecorder) {
+      this.gpsRecorder.dispose();
+      this.gpsRecorder = null;
+    }
+    
+    if (this.gpsService) {
+      this.gpsService.disconnect();
+      this.gpsService = null;
     }
     
     // Dispose weather system
@@ -644,6 +1120,36 @@ class SchoolMap {
       this.weatherSystem = null;
     }
     
+    // Dispose route editor
+    if (this.routeEditor) {
+      this.routeEditor.dispose();
+      this.routeEditor = null;
+    }
+    
+    // Dispose route layer
+    if (this.routeLayer) {
+      this.routeLayer.dispose();
+      this.routeLayer = null;
+    }
+    
+    // Dispose ground sampler
+    if (this.groundSampler) {
+      this.groundSampler.dispose();
+      this.groundSampler = null;
+    }
+    
+    // Dispose map calibration tool
+    if (this.mapCalibrationTool) {
+      this.mapCalibrationTool.dispose();
+      this.mapCalibrationTool = null;
+    }
+    
+    // Dispose data mode banner
+    if (this.dataModeBanner) {
+      this.dataModeBanner.dispose();
+      this.dataModeBanner = null;
+    }
+    
     // Dispose weather display
     if (this.weatherDisplay) {
       this.weatherDisplay.dispose();
@@ -656,9 +1162,10 @@ class SchoolMap {
       this.mapManager = null;
     }
     
-    // Dispose tram model properly
-    if (this.tram) {
-      disposeObject(this.tram);
+    // Dispose tram model template (fleet clones share its resources)
+    if (this.tramTemplate) {
+      disposeObject(this.tramTemplate);
+      this.tramTemplate = null;
     }
     
     // Dispose performance monitor
@@ -0,0 +1,331 @@
+import HistoryPlayback from '../services/HistoryPlayback.js';
+import { REPLAY_SPEEDS } from '../services/GPSReplaySource.js';
+import { toDay } from '../services/TripHistoryStore.js';
+import { stopRegistry } from '../services/StopRegistry.js';
+
+// Marker colour per stop event type
+const EVENT_COLORS = {
+  arrival: '#4CAF50',
+  departure: '#FF9800'
+};
+
+// Playback bar for scrubbing through stored tram positions
+class TimelineScrubber {
+  /**
+   * @param {TripHistory} tripHistory - Where positions and stop events come from
+   * @param {WebSocketGPSService} gpsService - Service the playback feeds (live updates pause meanwhile)
+   * @param {Object} options
+   * @param {string} options.locale - Language for stop names (e.g. 'en', 'th')
+   */
+  constructor(tripHistory, gpsService, options = {}) {
+    this.tripHistory = tripHistory;
+    this.gpsService = gpsService;
+    this.locale = options.locale || 'en';
+    this.playback = null;
+    this.isVisible = false;
+
+    this.seekCallbacks = [];
+    this.closeCallbacks = [];
+
+    this.createUI();
+  }
+
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'timeline-scrubber';
+    this.container.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 50vw;
+      min-width: 520px;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 10px 15px;
+      border-radius: 10px;
+      font-family: 'Arial', sans-serif;
+      font-size: 13px;
+      z-index: 1001;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      display: none;
+    `;
+
+    // Range picker
+    const rangeRow = document.createElement('div');
+    rangeRow.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 8px;';
+
+    const title = document.createElement('span');
+    title.textContent = '⏪ Playback';
+    title.style.cssText = 'font-weight: bold; color: #ffd700; margin-right: 6px;';
+    rangeRow.appendChild(title);
+
+    this.dateInput = this.createInput('date', toDay(Date.now()));
+    this.fromInput = this.createInput('time', '00:00');
+    this.toInput = this.createInput('time', '23:59');
+    rangeRow.appendChild(this.dateInput);
+    rangeRow.appendChild(this.fromInput);
+    rangeRow.appendChild(document.createTextNode('–'));
+    rangeRow.appendChild(this.toInput);
+    rangeRow.appendChild(this.createButton('Load', () => this.load()));
+
+    this.infoElement = document.createElement('span');
+    this.infoElement.style.cssText = 'flex: 1; opacity: 0.7; font-size: 12px;';
+    rangeRow.appendChild(this.infoElement);
+    rangeRow.appendChild(this.createButton('Close', () => this.hide()));
+    this.container.appendChild(rangeRow);
+
+    // Transport controls and the timeline itself
+    const playRow = document.createElement('div');
+    playRow.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+    this.playButton = this.createButton('▶️', () => this.togglePlay());
+    this.playButton.disabled = true;
+    playRow.appendChild(this.playButton);
+
+    this.speedSelect = document.createElement('select');
+    this.speedSelect.style.cssText = this.getInputStyle();
+    REPLAY_SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      this.speedSelect.appendChild(option);
+    });
+    this.speedSelect.addEventListener('change', () => {
+      if (this.playback) this.playback.setSpeed(Number(this.speedSelect.value));
+    });
+    playRow.appendChild(this.speedSelect);
+
+    const track = document.createElement('div');
+    track.style.cssText = 'position: relative; flex: 1; height: 28px;';
+
+    this.markersElement = document.createElement('div');
+    this.markersElement.style.cssText = 'position: absolute; left: 0; right: 0; top: 0; height: 8px;';
+    track.appendChild(this.markersElement);
+
+    this.slider = document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.min = '0';
+    this.slider.max = '0';
+    this.slider.step = '1000';
+    this.slider.disabled = true;
+    this.slider.style.cssText = 'position: absolute; left: 0; right: 0; bottom: 0; width: 100%; margin: 0;';
+    this.slider.addEventListener('input', () => {
+      if (this.playback) this.playback.seek(Number(this.slider.value));
+    });
+    track.appendChild(this.slider);
+    playRow.appendChild(track);
+
+    this.timeElement = document.createElement('span');
+    this.timeElement.textContent = '--:--:--';
+    this.timeElement.style.cssText = 'font-family: monospace; font-size: 14px; min-width: 70px; text-align: right;';
+    playRow.appendChild(this.timeElement);
+    this.container.appendChild(playRow);
+
+    document.body.appendChild(this.container);
+  }
+
+  createInput(type, value) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.style.cssText = this.getInputStyle();
+    return input;
+  }
+
+  createButton(label, handler) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 4px 10px;
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 5px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  getInputStyle() {
+    return `
+      padding: 3px;
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      color-scheme: dark;
+    `;
+  }
+
+  show() {
+    this.isVisible = true;
+    this.container.style.display = 'block';
+  }
+
+  /**
+   * Close the bar and hand the trams back to live data
+   */
+  hide() {
+    if (!this.isVisible) return;
+    this.isVisible = false;
+    this.container.style.display = 'none';
+    this.stopPlayback();
+  }
+
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  // The picked date and times as [from, to] (ms, local time)
+  getRange() {
+    const day = this.dateInput.value || toDay(Date.now());
+    const from = new Date(`${day}T${this.fromInput.value || '00:00'}:00`).getTime();
+    const to = new Date(`${day}T${this.toInput.value || '23:59'}:59.999`).getTime();
+    return [from, to];
+  }
+
+  /**
+   * Load the picked range from history and show the trams at its start
+   */
+  async load() {
+    const [from, to] = this.getRange();
+    if (!(to > from)) {
+      this.infoElement.textContent = 'End time must be after the start time';
+      return;
+    }
+
+    const history = await this.tripHistory.getRange(from, to);
+    if (history.fixes.length === 0) {
+      this.infoElement.textContent = 'No recorded positions in this range';
+      return;
+    }
+
+    this.stopPlayback();
+    this.playback = new HistoryPlayback(this.gpsService, history, { speed: Number(this.speedSelect.value) });
+    this.playback.onSeek(data => this.notify(this.seekCallbacks, data));
+    this.playback.onProgress(status => this.render(status));
+    this.playback.onEnd(status => this.render(status));
+
+    const { start, end } = this.playback.getStatus();
+    this.slider.min = String(start);
+    this.slider.max = String(end);
+    this.slider.disabled = false;
+    this.playButton.disabled = false;
+
+    const stopEvents = this.playback.getStopEvents();
+    this.infoElement.textContent = `${history.fixes.length} positions · ${stopEvents.filter(event => event.type === 'arrival').length} stop arrivals`;
+    this.renderMarkers(stopEvents, start, end);
+
+    this.playback.seek(start);
+    console.log(`⏪ Loaded history ${new Date(start).toLocaleString()} – ${new Date(end).toLocaleTimeString()}`);
+  }
+
+  togglePlay() {
+    if (!this.playback) return;
+    if (this.playback.isPlaying) {
+      this.playback.pause();
+    } else {
+      this.playback.play(Number(this.speedSelect.value));
+    }
+    this.render(this.playback.getStatus());
+  }
+
+  stopPlayback() {
+    if (!this.playback) return;
+
+    // Let subscribers reset the trams before live positions come back
+    this.notify(this.closeCallbacks, {});
+    this.playback.dispose();
+    this.playback = null;
+
+    this.slider.disabled = true;
+    this.playButton.disabled = true;
+    this.playButton.textContent = '▶️';
+    this.markersElement.innerHTML = '';
+    this.timeElement.textContent = '--:--:--';
+  }
+
+  render(status) {
+    this.playButton.textContent = status.isPlaying ? '⏸️' : '▶️';
+    this.slider.value = String(Math.round(status.time));
+    this.timeElement.textContent = new Date(status.time).toLocaleTimeString();
+  }
+
+  // Tick per stop event along the timeline; clicking one jumps to it
+  renderMarkers(events, start, end) {
+    this.markersElement.innerHTML = '';
+    const span = Math.max(1, end - start);
+
+    events.forEach(event => {
+      const verb = event.type === 'arrival' ? 'arrived at' : 'left';
+      const marker = document.createElement('div');
+      marker.title = `${new Date(event.timestamp).toLocaleTimeString()} · ${event.tramId} ${verb} ${stopRegistry.getName({ id: event.stopId, name: event.stop }, this.locale)}`;
+      marker.style.cssText = `
+        position: absolute;
+        left: ${((event.timestamp - start) / span) * 100}%;
+        top: 0;
+        width: 3px;
+        height: 8px;
+        margin-left: -1px;
+        background: ${EVENT_COLORS[event.type]};
+        cursor: pointer;
+      `;
+      marker.addEventListener('click', () => {
+        if (this.playback) this.playback.seek(event.timestamp);
+      });
+      this.markersElement.appendChild(marker);
+    });
+  }
+
+  /**
+   * Subscribe to playback jumping in time ({ time, fixes }), before the fixes are fed
+   * @returns {Function} - Unsubscribe function
+   */
+  onSeek(callback) {
+    return this.subscribe(this.seekCallbacks, callback);
+  }
+
+  /**
+   * Subscribe to playback ending and live data taking over again
+   * @returns {Function} - Unsubscribe function
+   */
+  onClose(callback) {
+    return this.subscribe(this.closeCallbacks, callback);
+  }
+
+  subscribe(callbacks, callback) {
+    callbacks.push(callback);
+    return () => {
+      const index = callbacks.indexOf(callback);
+      if (index > -1) callbacks.splice(index, 1);
+    };
+  }
+
+  notify(callbacks, data) {
+    callbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in timeline scrubber callback:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stopPlayback();
+    this.seekCallbacks = [];
+    this.closeCallbacks = [];
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
+
+export default TimelineScrubber;
@@ -0,0 +1,341 @@
+/**
+ * TramFleet - Registry of all trams currently reporting GPS
+ * Creates one 3D model, TramMovement and TramTracker per vehicle id,
+ * removes vehicles that go offline and tracks which tram the UI is following
+ */
+import { Vector3 } from 'three';
+import TramMovement from './TramMovement.js';
+import TramTracker from './TramTracker.js';
+
+class TramFleet {
+  /**
+   * @param {Scene} scene - Scene the tram models are added to
+   * @param {Object} options
+   * @param {WebSocketGPSService} options.gpsService - Shared GPS service for the whole fleet
+   * @param {Function} options.createModel - Returns a new Object3D for a vehicle
+   * @param {Array} options.gpsPoints - Fallback route points passed to each TramMovement
+   * @param {number} options.offlineTimeout - Remove vehicles silent for longer than this (ms)
+   * @param {GroundSampler} options.groundSampler - Terrain sampler shared by all trams
+   * @param {RouteModel} options.routeModel - Route geometry and stops shared by all trams
+   * @param {RouteNetwork} options.routeNetwork - Named legs and junctions of the route
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.gpsService = options.gpsService;
+    this.createModel = options.createModel;
+    this.gpsPoints = options.gpsPoints || null;
+    this.offlineTimeout = options.offlineTimeout || 5 * 60 * 1000; // 5 minutes
+    this.groundSampler = options.groundSampler || null;
+    this.routeModel = options.routeModel || null;
+    this.routeNetwork = options.routeNetwork || null;
+
+    // The vehicle used for legacy single-tram payloads is never pruned on timeout
+    this.defaultVehicleId = this.gpsService ? this.gpsService.config.defaultVehicleId : 'tram_01';
+
+    // Vehicle registry, keyed by vehicle id
+    this.vehicles = new Map();
+    this.selectedVehicleId = null;
+    this.savedJourneys = null; // vehicleId -> live tracker journey while history plays back
+
+    this.callbacks = {
+      added: [],
+      removed: [],
+      selection: []
+    };
+
+    if (this.gpsService) {
+      this.unsubscribeGPS = this.gpsService.onGPSUpdate((gpsData) => {
+        this.handleGPSUpdate(gpsData);
+      });
+      this.unsubscribeOffline = this.gpsService.onVehicleOffline((vehicleId) => {
+        this.removeVehicle(vehicleId);
+      });
+      this.unsubscribeBackfill = this.gpsService.onBackfill((backfill) => {
+        this.handleBackfill(backfill);
+      });
+    }
+  }
+
+  /**
+   * Route a GPS update to its vehicle, creating the vehicle on first sight
+   */
+  handleGPSUpdate(gpsData) {
+    const vehicleId = gpsData.vehicleId || this.defaultVehicleId;
+    const isNew = !this.vehicles.has(vehicleId);
+    const vehicle = this.getOrCreateVehicle(vehicleId);
+    if (!vehicle) return;
+
+    vehicle.lastSeen = Date.now();
+
+    // The new TramMovement subscribed after this update was dispatched, so seed it
+    if (isNew) {
+      vehicle.movement.handleGPSUpdate(gpsData);
+    }
+
+    // One tracker update per fix, stamped with the time of the fix, so speeds,
+    // dwells and loop times follow the GPS data rather than the render loop
+    if (gpsData.current) {
+      const time = new Date(gpsData.current.timestamp).getTime();
+      vehicle.tracker.updatePosition(gpsData.current.lat, gpsData.current.lon, isNaN(time) ? Date.now() : time);
+    }
+  }
+
+  /**
+   * Replay positions missed during an outage into the vehicle's tracker history,
+   * oldest first, so stops passed while disconnected are still detected
+   */
+  handleBackfill({ vehicleId, fixes }) {
+    const isNew = !this.vehicles.has(vehicleId);
+    const vehicle = this.getOrCreateVehicle(vehicleId);
+    if (!vehicle) return;
+
+    // A tram first seen in the backfill missed it too
+    if (isNew) {
+      vehicle.movement.applyBackfill(fixes);
+    }
+
+    vehicle.lastSeen = Date.now();
+
+    // Time must only move forward for the tracker: oldest first, and only fixes newer
+    // than the last one it has, or it would interpolate arrivals into the past
+    const lastTime = vehicle.tracker.currentLocation ? vehicle.tracker.currentLocation.timestamp : -Infinity;
+    fixes
+      .map(fix => ({ fix, time: new Date(fix.timestamp).getTime() }))
+      .filter(({ time }) => !isNaN(time) && time > lastTime)
+      .sort((a, b) => a.time - b.time)
+      .forEach(({ fix, time }) => vehicle.tracker.updatePosition(fix.lat, fix.lon, time));
+  }
+
+  /**
+   * Get a vehicle entry, creating its model, movement and tracker if needed
+   * @param {string} vehicleId - Vehicle identifier
+   * @returns {Object|null} - Vehicle entry or null if no model could be created
+   */
+  getOrCreateVehicle(vehicleId) {
+    if (this.vehicles.has(vehicleId)) {
+      return this.vehicles.get(vehicleId);
+    }
+
+    const model = this.createModel ? this.createModel(vehicleId) : null;
+    if (!model) {
+      console.warn('Cannot add tram to fleet: no model available for', vehicleId);
+      return null;
+    }
+
+    model.name = `tram_${vehicleId}`;
+    model.userData.vehicleId = vehicleId;
+    this.scene.add(model);
+
+    const movement = new TramMovement(
+      model,
+      null,
+      this.gpsPoints,
+      new Vector3(0, 0, 0),
+      { gpsService: this.gpsService, vehicleId, routeModel: this.routeModel, routeNetwork: this.routeNetwork }
+    );
+    if (this.groundSampler) {
+      movement.setGroundSampler(this.groundSampler);
+    }
+
+    const vehicle = {
+      id: vehicleId,
+      model,
+      movement,
+      tracker: new TramTracker(vehicleId, { routeModel: this.routeModel, routeNetwork: this.routeNetwork }),
+      lastSeen: Date.now()
+    };
+
+    this.vehicles.set(vehicleId, vehicle);
+    console.log('🚊 Tram added to fleet:', vehicleId);
+
+    this.notify('added', vehicle);
+
+    // Follow the first tram that shows up
+    if (!this.selectedVehicleId) {
+      this.selectVehicle(vehicleId);
+    }
+
+    return vehicle;
+  }
+
+  /**
+   * Remove a vehicle and its model from the scene
+   * @param {string} vehicleId - Vehicle identifier
+   */
+  removeVehicle(vehicleId) {
+    const vehicle = this.vehicles.get(vehicleId);
+    if (!vehicle) return;
+
+    vehicle.movement.dispose();
+    // Models are clones sharing geometry with the template, so only detach them
+    this.scene.remove(vehicle.model);
+    this.vehicles.delete(vehicleId);
+
+    console.log('🗑️ Tram removed from fleet:', vehicleId);
+    this.notify('removed', vehicle);
+
+    if (this.selectedVehicleId === vehicleId) {
+      const next = this.vehicles.keys().next();
+      this.selectVehicle(next.done ? null : next.value);
+    }
+  }
+
+  /**
+   * Drop vehicles that have not reported within the offline timeout
+   * @param {number} now - Current time in ms
+   */
+  pruneOfflineVehicles(now = Date.now()) {
+    for (const [vehicleId, vehicle] of this.vehicles) {
+      if (vehicleId === this.defaultVehicleId) continue;
+      if (now - vehicle.lastSeen > this.offlineTimeout) {
+        this.removeVehicle(vehicleId);
+      }
+    }
+  }
+
+  /**
+   * Switch every tram to new route points (the shared RouteModel is updated by the caller)
+   * @param {Array} gpsPoints - Route points [{ lat, lon }]
+   */
+  setRoute(gpsPoints) {
+    this.gpsPoints = gpsPoints;
+    for (const vehicle of this.vehicles.values()) {
+      vehicle.movement.fallbackGPSPoints = gpsPoints;
+      // Previous matches refer to chainages on the old route
+      if (vehicle.movement.mapMatcher) vehicle.movement.mapMatcher.reset();
+      vehicle.tracker.resetRouteMatch();
+    }
+  }
+
+  /**
+   * Put every tram's live journey (loop number, visit log, service history) aside before
+   * history playback starts driving the trackers; restoreJourneys() hands it back
+   */
+  saveJourneys() {
+    if (this.savedJourneys) return;
+    this.savedJourneys = new Map();
+    for (const [vehicleId, vehicle] of this.vehicles) {
+      this.savedJourneys.set(vehicleId, vehicle.tracker.getJourney());
+    }
+  }
+
+  /**
+   * Give each tram back the journey saved by saveJourneys() (trams added since start afresh)
+   */
+  restoreJourneys() {
+    if (!this.savedJourneys) return;
+    for (const [vehicleId, vehicle] of this.vehicles) {
+      const journey = this.savedJourneys.get(vehicleId);
+      if (journey) vehicle.tracker.restoreJourney(journey);
+    }
+    this.savedJourneys = null;
+  }
+
+  /**
+   * Forget where every tram was, so each jumps to its next fix and its tracker
+   * starts over (history playback seeking to another time)
+   */
+  resetPositions() {
+    for (const [vehicleId, vehicle] of this.vehicles) {
+      if (this.gpsService) this.gpsService.resetVehicleFix(vehicleId);
+      vehicle.movement.resetPosition();
+      vehicle.tracker.reset();
+    }
+  }
+
+  /**
+   * Per-frame update: keep every tram on the ground
+   */
+  update() {
+    for (const vehicle of this.vehicles.values()) {
+      vehicle.movement.updateGroundPose();
+    }
+  }
+
+  /**
+   * Select the vehicle that UI components (status panel, camera) follow
+   * @param {string|null} vehicleId - Vehicle identifier
+   */
+  selectVehicle(vehicleId) {
+    if (vehicleId !== null && !this.vehicles.has(vehicleId)) return;
+    if (vehicleId === this.selectedVehicleId) return;
+
+    this.selectedVehicleId = vehicleId;
+    this.notify('selection', this.getSelectedVehicle());
+  }
+
+  /**
+   * Select the next vehicle in registration order
+   */
+  selectNextVehicle() {
+    const ids = this.getVehicleIds();
+    if (ids.length === 0) return;
+
+    const index = ids.indexOf(this.selectedVehicleId);
+    this.selectVehicle(ids[(index + 1) % ids.length]);
+  }
+
+  getSelectedVehicle() {
+    return this.selectedVehicleId ? this.vehicles.get(this.selectedVehicleId) || null : null;
+  }
+
+  getVehicle(vehicleId) {
+    return this.vehicles.get(vehicleId) || null;
+  }
+
+  getVehicleIds() {
+    return Array.from(this.vehicles.keys());
+  }
+
+  getAllVehicles() {
+    return this.vehicles;
+  }
+
+  // Event subscription methods
+  onVehicleAdded(callback) {
+    return this.subscribe('added', callback);
+  }
+
+  onVehicleRemoved(callback) {
+    return this.subscribe('removed', callback);
+  }
+
+  onSelectionChange(callback) {
+    return this.subscribe('selection', callback);
+  }
+
+  subscribe(type, callback) {
+    this.callbacks[type].push(callback);
+    return () => {
+      const index = this.callbacks[type].indexOf(callback);
+      if (index > -1) this.callbacks[type].splice(index, 1);
+    };
+  }
+
+  notify(type, data) {
+    this.callbacks[type].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in fleet ${type} callback:`, error);
+      }
+    });
+  }
+
+  /**
+   * Remove every vehicle and stop listening to the GPS service
+   */
+  dispose() {
+    if (this.unsubscribeGPS) this.unsubscribeGPS();
+    if (this.unsubscribeOffline) this.unsubscribeOffline();
+    if (this.unsubscribeBackfill) this.unsubscribeBackfill();
+
+    for (const vehicleId of this.getVehicleIds()) {
+      this.removeVehicle(vehicleId);
+    }
+
+    this.callbacks = { added: [], removed: [], selection: [] };
+  }
+}
+
+export default TramFleet;
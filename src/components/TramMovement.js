@@ -2,63 +2,116 @@
 import { Vector3 } from 'three';
 import gsap from 'gsap';
 import WebSocketGPSService from '../services/WebSocketGPSService.js';
+import MapMatcher from '../utils/MapMatcher.js';
+import RouteModel from '../utils/RouteModel.js';
+import { projection } from '../utils/GeoProjection.js';
 
 class TramMovement {
   constructor(tram, gpsTo3DCoords, gpsPoints = null, offset = new Vector3(0, 0, 0), gpsConfig = {}) {
     this.tram = tram;
     this.offset = offset;
     this.isMoving = false;
-    this.baseHeight = -0.3; // Lowered to match initial placement
+    this.baseHeight = -0.3; // Lowered to match initial placement (offset above the ground)
+    
+    // Terrain following - height, pitch and roll sampled from the map under the tram
+    this.groundSampler = null;
+    this.footprint = { length: 8, width: 2.5 }; // metres
+    this.lastGroundPose = null;
     this.currentTween = null;
     
-    // Speed settings (units per second) - inspired by your smooth version
+    // Speed settings (metres per second) - inspired by your smooth version
     this.tramSpeed = 10; // Slower speed for realistic tram movement
     this.rotationSpeed = 1; // Slower rotation for smoother turning
     
     // GPS service - WebSocket only
-    this.webSocketGPS = new WebSocketGPSService(gpsConfig);
+    // A fleet passes in a shared service plus the vehicle this tram follows
+    const { gpsService, vehicleId = null, mapMatching = true, routeModel = null, routeNetwork = null, ...serviceConfig } = gpsConfig;
+    this.vehicleId = vehicleId;
+    this.ownsGPSService = !gpsService;
+    this.webSocketGPS = gpsService || new WebSocketGPSService(serviceConfig);
     
-    // GPS tracking
+    // GPS tracking (currentGPS is the filtered estimate, rawGPS the fix as received)
     this.currentGPS = null;
     this.previousGPS = null;
+    this.rawGPS = null;
     this.lastUpdateTime = 0;
     this.updateInterval = 2000; // Update every 2 seconds to reduce load
     
     // For fallback/initial positioning, use static GPS points if provided
     this.fallbackGPSPoints = gpsPoints;
     
-    // Calculate coordinate system parameters
-    // Use static points for coordinate system if available, otherwise use default center
-    if (gpsPoints && gpsPoints.length > 0) {
-      const firstPoint = gpsPoints[0];
-      const lastPoint = gpsPoints[gpsPoints.length - 1];
-      this.centerLat = (firstPoint.lat + lastPoint.lat) / 2;
-      this.centerLon = (firstPoint.lon + lastPoint.lon) / 2;
-    } else {
-      // Default center coordinates (can be adjusted based on your area)
-      this.centerLat = 13.612565; // Default to AU area
-      this.centerLon = 100.836516;
-    }
-    this.scale = 100000;
+    // Linear referencing (chainage, stops) along the route the tram physically runs on
+    this.routeModel = routeModel || (gpsPoints && gpsPoints.length > 1 ? new RouteModel(gpsPoints) : null);
+    
+    // Snap fixes onto that route
+    this.mapMatcher = mapMatching && this.routeModel ? new MapMatcher(this.routeModel) : null;
+    
+    // Named legs and junctions, to tell which leg the tram is on
+    this.routeNetwork = routeNetwork;
+    this.currentMatch = null;
+    this.previousMatch = null;
+    
+    // Scene coordinates come from the shared campus projection (metres)
+    this.projection = projection;
     
     // Movement state
     this.isRealTimeMode = true;
     this.lastKnownPosition = null;
     this.lastStaleWarning = 0;
+    this.isDataStale = false; // latest GPS data older than the service's stale threshold
     this.lastConnectionLoss = null;
     
     // Start real-time GPS tracking
     this.startRealTimeTracking();
   }
 
-  // Helper method to calculate position using same logic as GPS dots
+  // Scene position for a GPS coordinate, at tram height
   calculatePosition(lat, lon) {
+    const position = this.projection.toScene(lat, lon);
+    const ground = this.groundSampler ? this.groundSampler.getHeight(position.x, position.z) : 0;
     return {
-      x: (lat - this.centerLat) * this.scale,
-      y: this.baseHeight,
-      z: (lon - this.centerLon) * this.scale
+      x: position.x,
+      y: ground + this.baseHeight,
+      z: position.z
     };
   }
+  
+  /**
+   * Follow the terrain of the loaded map instead of a fixed height
+   * @param {GroundSampler|null} groundSampler - Shared ground sampler
+   */
+  setGroundSampler(groundSampler) {
+    this.groundSampler = groundSampler;
+    this.lastGroundPose = null;
+    
+    if (this.tram) {
+      // Yaw first, then pitch and roll relative to the direction of travel
+      this.tram.rotation.order = 'YXZ';
+      if (!groundSampler) {
+        this.tram.position.y = this.baseHeight;
+        this.tram.rotation.x = 0;
+        this.tram.rotation.z = 0;
+      }
+    }
+  }
+  
+  // Called every frame: sit the tram on the ground under its current x/z position
+  updateGroundPose() {
+    if (!this.groundSampler || !this.tram) return;
+    
+    const { x, z } = this.tram.position;
+    const yaw = this.tram.rotation.y;
+    const last = this.lastGroundPose;
+    if (last && last.x === x && last.z === z && last.yaw === yaw) return;
+    
+    // Model faces +x at rotation 0, i.e. a direction of travel of atan2(dx, dz) = yaw + 90°
+    const pose = this.groundSampler.getPose(x, z, yaw + Math.PI / 2, this.footprint);
+    this.tram.position.y = pose.height + this.baseHeight;
+    this.tram.rotation.z = pose.pitch;
+    this.tram.rotation.x = pose.roll;
+    
+    this.lastGroundPose = { x, z, yaw };
+  }
 
   async startRealTimeTracking() {
     if (!this.isRealTimeMode) return;
@@ -95,13 +148,26 @@ class TramMovement {
       console.warn('❌ WebSocket GPS error:', error);
     });
     
-    // Request initial GPS data
-    this.webSocketGPS.requestGPSData();
+    // Subscribe to positions missed while disconnected
+    this.unsubscribeBackfill = this.webSocketGPS.onBackfill((backfill) => {
+      if (this.vehicleId && backfill.vehicleId !== this.vehicleId) return;
+      this.applyBackfill(backfill.fixes);
+    });
+    
+    // Request initial GPS data (a shared fleet service is already streaming)
+    if (this.ownsGPSService) {
+      this.webSocketGPS.requestGPSData();
+    }
   }
   
 
 
   handleGPSUpdate(gpsData) {
+    // Ignore updates addressed to other trams in the fleet
+    if (this.vehicleId && gpsData.vehicleId && gpsData.vehicleId !== this.vehicleId) {
+      return;
+    }
+    
     try {
       if (gpsData.current) {
         this.processGPSData(gpsData);
@@ -127,9 +193,12 @@ class TramMovement {
   
   processGPSData(gpsData) {
     if (gpsData.current) {
+      this.rawGPS = gpsData.raw || gpsData.current;
+      
       // Check if GPS data is stale
       const isStale = this.webSocketGPS.isGPSDataStale ? 
         this.webSocketGPS.isGPSDataStale(gpsData.current.timestamp) : false;
+      this.isDataStale = isStale;
       
       if (isStale) {
         // Only log staleness once to avoid spam
@@ -146,9 +215,11 @@ class TramMovement {
         console.log('🎯 Initial tram positioning from GPS:', gpsData.source || 'unknown');
         this.currentGPS = gpsData.current;
         this.previousGPS = gpsData.previous || gpsData.current;
+        this.currentMatch = this.matchToRoute(this.currentGPS);
         
-        // Position tram immediately at current GPS location
-        this.positionTramImmediately(this.currentGPS.lat, this.currentGPS.lon);
+        // Position tram immediately at current GPS location (on the route when matched)
+        const position = this.currentMatch || this.currentGPS;
+        this.positionTramImmediately(position.lat, position.lon);
         
         this.lastUpdateTime = Date.now();
         return;
@@ -167,6 +238,8 @@ class TramMovement {
       // GPS has changed - update tram position with smooth movement
       this.previousGPS = { ...this.currentGPS };
       this.currentGPS = gpsData.current;
+      this.previousMatch = this.currentMatch;
+      this.currentMatch = this.matchToRoute(this.currentGPS);
       
       // Update tram position with smooth movement
       this.updateTramPosition();
@@ -212,16 +285,15 @@ class TramMovement {
   updateTramPosition() {
     if (!this.tram || !this.currentGPS || !this.previousGPS) return;
     
-    const currentPosition = this.calculatePosition(this.currentGPS.lat, this.currentGPS.lon);
-    const previousPosition = this.calculatePosition(this.previousGPS.lat, this.previousGPS.lon);
+    // Follow the route geometry between matched points when both fixes are on the route
+    const path = this.getMovementPath().map(point => this.calculatePosition(point.lat, point.lon));
+    const currentPosition = path[path.length - 1];
     
     // Store last known position for fallback
     this.lastKnownPosition = currentPosition;
     
-    // Calculate movement direction and distance
-    const dx = currentPosition.x - previousPosition.x;
-    const dz = currentPosition.z - previousPosition.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
+    // Calculate distance along the path
+    const distance = this.getPathLength(path);
     
     // Skip if distance is too small
     if (distance < 0.5) {
@@ -236,47 +308,82 @@ class TramMovement {
     // Calculate duration based on speed and distance (inspired by your smooth version)
     const duration = Math.max(1.0, distance / this.tramSpeed);
     
-    // Calculate rotation to face movement direction
-    const modelForwardOffset = -Math.PI / 2; // Adjust based on your model
-    const targetRotation = Math.atan2(dx, dz) + modelForwardOffset;
-    
     // Create timeline for movement (inspired by your smooth version)
-    const tl = gsap.timeline();
-    
-    // Handle rotation first - make sure tram faces direction before moving
-    const currentRotation = this.tram.rotation.y;
-    let rotationDiff = targetRotation - currentRotation;
-    
-    // Handle rotation wrapping
-    if (rotationDiff > Math.PI) rotationDiff -= 2 * Math.PI;
-    if (rotationDiff < -Math.PI) rotationDiff += 2 * Math.PI;
-    
-    // Always rotate first if needed
-    if (Math.abs(rotationDiff) > 0.05) {
-      const rotationDuration = Math.min(1.0, Math.abs(rotationDiff) / this.rotationSpeed);
-      tl.to(this.tram.rotation, {
-        duration: rotationDuration,
-        y: currentRotation + rotationDiff,
-        ease: 'power2.inOut'
-      });
-    }
-    
-    // Move to target after rotation
-    tl.to(this.tram.position, {
-      duration: duration,
-      x: currentPosition.x,
-      y: currentPosition.y,
-      z: currentPosition.z,
-      ease: 'none', // Linear movement for consistent speed
+    const tl = gsap.timeline({
       onComplete: () => {
         this.isMoving = false; // Mark as stationary when reached
       }
     });
     
+    // Rotate to face the first leg before moving, then turn while driving through corners
+    this.addPathToTimeline(tl, path, distance / duration, true);
+    
     this.currentTween = tl;
     this.isMoving = true;
   }
   
+  // Points the tram drives through from the previous to the current fix
+  getMovementPath() {
+    if (this.mapMatcher && this.previousMatch && this.currentMatch) {
+      return this.mapMatcher.getPathBetween(this.previousMatch, this.currentMatch);
+    }
+    return [this.previousMatch || this.previousGPS, this.currentMatch || this.currentGPS];
+  }
+  
+  // Snap a fix onto the route; null when map matching is off or the fix is off-route
+  matchToRoute(gps) {
+    if (!this.mapMatcher || !gps) return null;
+    return this.mapMatcher.match(gps);
+  }
+  
+  getPathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+      const dx = path[i].x - path[i - 1].x;
+      const dz = path[i].z - path[i - 1].z;
+      length += Math.sqrt(dx * dx + dz * dz);
+    }
+    return length;
+  }
+  
+  // Append one tween per path leg at the given speed (units per second)
+  addPathToTimeline(tl, path, speed, rotateFirst = false) {
+    const modelForwardOffset = -Math.PI / 2; // Adjust based on your model
+    let rotation = this.tram.rotation.y;
+    
+    for (let i = 1; i < path.length; i++) {
+      const from = path[i - 1];
+      const to = path[i];
+      const dx = to.x - from.x;
+      const dz = to.z - from.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < 0.01) continue;
+      
+      // Calculate rotation to face movement direction, handling wrapping
+      let rotationDiff = Math.atan2(dx, dz) + modelForwardOffset - rotation;
+      while (rotationDiff > Math.PI) rotationDiff -= 2 * Math.PI;
+      while (rotationDiff < -Math.PI) rotationDiff += 2 * Math.PI;
+      rotation += rotationDiff;
+      
+      const duration = distance / speed;
+      
+      if (rotateFirst && i === 1) {
+        // Make sure tram faces direction before moving
+        if (Math.abs(rotationDiff) > 0.05) {
+          tl.to(this.tram.rotation, {
+            duration: Math.min(1.0, Math.abs(rotationDiff) / this.rotationSpeed),
+            y: rotation,
+            ease: 'power2.inOut'
+          });
+        }
+        tl.to(this.tram.position, { duration, x: to.x, z: to.z, ease: 'none' });
+      } else {
+        tl.to(this.tram.position, { duration, x: to.x, z: to.z, ease: 'none' });
+        tl.to(this.tram.rotation, { duration: Math.min(0.3, duration), y: rotation, ease: 'none' }, '<');
+      }
+    }
+  }
+  
   stopTramMovement() {
     // Stop any ongoing movement animations
     if (this.currentTween) {
@@ -290,6 +397,17 @@ class TramMovement {
     // Movement stopped
   }
 
+  // Drop the GPS fixes the tram is animating between, so the next fix places it
+  // immediately rather than driving there (e.g. after jumping in a history playback)
+  resetPosition() {
+    this.stopTramMovement();
+    this.currentGPS = null;
+    this.previousGPS = null;
+    this.currentMatch = null;
+    this.previousMatch = null;
+    if (this.mapMatcher) this.mapMatcher.reset();
+  }
+
   calculateAndApplyMovement() {
     // This method is now handled by updateTramPosition()
     // Keeping for legacy compatibility
@@ -307,71 +425,81 @@ class TramMovement {
   }
 
   handleConnectionRestored() {
-    console.log('✅ WebSocket connection restored, requesting fresh GPS data...');
+    // The service requests missed positions (backfill) and fresh data itself on reconnect
+    console.log('✅ WebSocket connection restored, waiting for missed GPS positions...');
     
-    // Request fresh GPS data
-    if (this.webSocketGPS && this.webSocketGPS.isConnectionHealthy()) {
-      this.webSocketGPS.requestGPSData();
+    this.lastConnectionLoss = null;
+  }
+
+  // Drive the tram through positions missed during an outage, then continue live
+  applyBackfill(fixes) {
+    if (!this.tram || !fixes || fixes.length === 0) return;
+    
+    const last = fixes[fixes.length - 1];
+    
+    // Nothing to animate from yet - just place the tram at the newest position
+    if (!this.currentGPS) {
+      this.previousGPS = fixes.length > 1 ? fixes[fixes.length - 2] : last;
+      this.currentGPS = last;
+      fixes.forEach(fix => {
+        this.previousMatch = this.currentMatch;
+        this.currentMatch = this.matchToRoute(fix);
+      });
+      const position = this.currentMatch || last;
+      this.positionTramImmediately(position.lat, position.lon);
+      this.lastUpdateTime = Date.now();
+      return;
     }
     
-    this.lastConnectionLoss = null;
+    if (this.currentTween) {
+      this.currentTween.kill();
+    }
+    
+    // Walk the missed fixes, following the route between consecutive matches
+    let path = [this.calculatePosition((this.currentMatch || this.currentGPS).lat, (this.currentMatch || this.currentGPS).lon)];
+    fixes.forEach(fix => {
+      const previousMatch = this.currentMatch;
+      const match = this.matchToRoute(fix);
+      const points = this.mapMatcher && previousMatch && match
+        ? this.mapMatcher.getPathBetween(previousMatch, match).slice(1)
+        : [match || fix];
+      path = path.concat(points.map(point => this.calculatePosition(point.lat, point.lon)));
+      this.previousMatch = previousMatch;
+      this.currentMatch = match;
+    });
+    
+    // Catch up faster than real time so the tram rejoins the live position quickly
+    const catchUpSpeed = this.tramSpeed * 4;
+    const tl = gsap.timeline({
+      onComplete: () => {
+        this.isMoving = false;
+      }
+    });
+    this.addPathToTimeline(tl, path, catchUpSpeed);
+    
+    this.previousGPS = fixes.length > 1 ? fixes[fixes.length - 2] : { ...this.currentGPS };
+    this.currentGPS = last;
+    this.lastKnownPosition = path[path.length - 1];
+    this.lastUpdateTime = Date.now();
+    this.currentTween = tl;
+    this.isMoving = true;
   }
 
   handleConnectionError() {
     console.warn('⚠️ WebSocket GPS unavailable, checking fallback options...');
     
-    // Use last known position if available
+    // Keep the last known position until the simulation takes over
     if (this.lastKnownPosition && this.tram) {
       console.log('📍 Using last known position for tram');
-      return;
     }
     
-    // If no GPS data at all, initialize with fallback GPS points
-    if (!this.currentGPS && this.fallbackGPSPoints && this.fallbackGPSPoints.length > 0) {
-      // Using fallback GPS data
-      const firstPoint = this.fallbackGPSPoints[0];
-      this.currentGPS = {
-        lat: firstPoint.lat,
-        lon: firstPoint.lon,
-        timestamp: Date.now()
-      };
-      
-      if (this.fallbackGPSPoints.length > 1) {
-        const secondPoint = this.fallbackGPSPoints[1];
-        this.previousGPS = {
-          lat: secondPoint.lat,
-          lon: secondPoint.lon,
-          timestamp: Date.now() - 5000
-        };
-      }
-      
-      // Position tram at the first point
-      this.updateTramPosition();
-    }
-    
-    // Fallback to static GPS points if needed
-    if (this.fallbackGPSPoints && this.fallbackGPSPoints.length > 0) {
-      // Fallback mode available
-    }
+    // Simulated tram runs along the route until the backend recovers
+    this.switchToFallbackMode();
   }
 
   switchToFallbackMode() {
-    this.isRealTimeMode = false;
-    
-    // Position tram at first fallback point
-    if (this.fallbackGPSPoints && this.fallbackGPSPoints.length > 0) {
-      const firstPoint = this.fallbackGPSPoints[0];
-      const position = this.calculatePosition(firstPoint.lat, firstPoint.lon);
-      
-      if (this.tram) {
-        gsap.to(this.tram.position, {
-          duration: 2.0,
-          x: position.x,
-          y: position.y,
-          z: position.z,
-          ease: 'power2.out'
-        });
-      }
+    if (this.webSocketGPS && this.webSocketGPS.startSimulation) {
+      this.webSocketGPS.startSimulation();
     }
   }
 
@@ -410,6 +538,11 @@ class TramMovement {
       this.unsubscribeError = null;
     }
     
+    if (this.unsubscribeBackfill) {
+      this.unsubscribeBackfill();
+      this.unsubscribeBackfill = null;
+    }
+    
     this.isRealTimeMode = false;
   }
 
@@ -432,6 +565,8 @@ class TramMovement {
     }
     
     this.currentGPS = newGPS;
+    this.previousMatch = this.currentMatch;
+    this.currentMatch = this.matchToRoute(newGPS);
     
     // Use the smooth movement system
     this.updateTramPosition();
@@ -450,16 +585,22 @@ class TramMovement {
   // Get current progress information
   getProgress() {
     const connectionStatus = this.webSocketGPS ? this.webSocketGPS.getConnectionStatus() : null;
+    const route = this.getRouteReference();
     
     return {
-      currentIndex: 0, // Not applicable in real-time mode
+      vehicleId: this.vehicleId,
+      currentIndex: route ? route.segmentId : 0, // Route segment the tram is on
       totalPoints: this.fallbackGPSPoints ? this.fallbackGPSPoints.length : 0,
       isMoving: this.isRealTimeMode,
-      progress: 100, // Always "complete" in real-time mode
+      progress: route ? route.percent : 0, // Percent of the way round the loop
+      route,
       realTimeMode: this.isRealTimeMode,
       currentGPS: this.currentGPS,
       previousGPS: this.previousGPS,
+      rawGPS: this.rawGPS,
+      matchedGPS: this.currentMatch,
       lastUpdateTime: this.lastUpdateTime,
+      isDataStale: this.isDataStale,
       webSocketStatus: connectionStatus,
       connectionState: this.webSocketGPS ? this.webSocketGPS.getConnectionState() : 'not_initialized',
       isConnectionHealthy: this.webSocketGPS ? this.webSocketGPS.isConnectionHealthy() : false,
@@ -467,6 +608,30 @@ class TramMovement {
     };
   }
 
+  /**
+   * Where the tram is along the route: chainage, lap percentage, segment, nearby stops
+   * and the leg of the route network it is on
+   * @returns {Object|null} - See RouteModel.describeChainage, plus `leg` (RouteNetwork.locate)
+   */
+  getRouteReference() {
+    if (!this.routeModel) return null;
+    
+    // Prefer the map-matched position, which already knows its chainage
+    let reference = null;
+    if (this.currentMatch) {
+      reference = this.routeModel.describeChainage(this.currentMatch.chainage, this.currentMatch);
+    } else if (this.currentGPS) {
+      reference = this.routeModel.describe(this.currentGPS);
+    }
+    
+    if (reference && this.routeNetwork) {
+      const position = this.currentMatch || this.currentGPS;
+      const heading = this.currentMatch ? this.currentMatch.bearing : this.currentGPS.heading;
+      reference.leg = this.routeNetwork.locate({ lat: position.lat, lon: position.lon, heading });
+    }
+    return reference;
+  }
+
   // Get WebSocket GPS service status
   getWebSocketStatus() {
     if (!this.webSocketGPS) {
@@ -494,12 +659,21 @@ class TramMovement {
   }
 
   // Configure WebSocket connection
+  // Settings not given keep their current values. A fleet tram gets a connection of its
+  // own and stops sharing the fleet's; tracking resumes only if it was running.
   configureWebSocket(config) {
-    if (this.webSocketGPS) {
+    const wasTracking = this.isRealTimeMode;
+    const previousConfig = this.webSocketGPS ? this.webSocketGPS.config : {};
+    
+    this.stop();
+    if (this.webSocketGPS && this.ownsGPSService) {
       this.webSocketGPS.disconnect();
     }
-    this.webSocketGPS = new WebSocketGPSService(config);
-    if (this.isRealTimeMode) {
+    this.webSocketGPS = new WebSocketGPSService({ ...previousConfig, ...config });
+    this.ownsGPSService = true;
+    
+    if (wasTracking) {
+      this.isRealTimeMode = true;
       this.startRealTimeTracking();
     }
   }
@@ -508,7 +682,8 @@ class TramMovement {
   dispose() {
     this.stop();
     
-    if (this.webSocketGPS) {
+    // Shared fleet services are disconnected by their owner
+    if (this.webSocketGPS && this.ownsGPSService) {
       this.webSocketGPS.disconnect();
     }
     
@@ -1,10 +1,31 @@
+import { stopRegistry } from '../services/StopRegistry.js';
+
+// Badge per tracker service state (see TramTracker SERVICE_STATES)
+const SERVICE_BADGES = {
+  in_service: { icon: '🟢', label: 'In service', color: '#4CAF50' },
+  dwelling: { icon: '🚏', label: 'At stop', color: '#2196F3' },
+  idle: { icon: '💤', label: 'Idle', color: '#9E9E9E' },
+  off_route: { icon: '⚠️', label: 'Off route', color: '#FF9800' },
+  offline: { icon: '📡', label: 'Signal lost', color: '#F44336' },
+  simulated: { icon: '🎭', label: 'Simulated', color: '#9C27B0' }
+};
+
 class TramStatusDisplay {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.locale - Language for stop names (e.g. 'en', 'th')
+   */
+  constructor(options = {}) {
+    this.locale = options.locale || 'en';
     this.container = null;
     this.statusElement = null;
     this.stopsElement = null;
+    this.routeElement = null;
     this.locationElement = null;
+    this.vehicleSelect = null;
+    this.dataModeElement = null;
     this.isVisible = false;
+    this.vehicleSelectCallbacks = [];
     
     this.createUI();
   }
@@ -39,6 +60,37 @@ class TramStatusDisplay {
     `;
     this.container.appendChild(title);
     
+    // Create data source badge (hidden while data is live)
+    this.dataModeElement = document.createElement('div');
+    this.dataModeElement.style.cssText = `
+      display: none;
+      margin-bottom: 10px;
+      padding: 4px 8px;
+      background: rgba(255, 152, 0, 0.85);
+      color: #1a1a1a;
+      border-radius: 5px;
+      font-size: 12px;
+      font-weight: bold;
+    `;
+    this.container.appendChild(this.dataModeElement);
+    
+    // Create vehicle picker (only shown when more than one tram is reporting)
+    this.vehicleSelect = document.createElement('select');
+    this.vehicleSelect.style.cssText = `
+      display: none;
+      width: 100%;
+      margin-bottom: 10px;
+      padding: 4px;
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 5px;
+    `;
+    this.vehicleSelect.addEventListener('change', () => {
+      this.vehicleSelectCallbacks.forEach(callback => callback(this.vehicleSelect.value));
+    });
+    this.container.appendChild(this.vehicleSelect);
+    
     // Create status section
     this.statusElement = document.createElement('div');
     this.statusElement.style.cssText = `
@@ -49,6 +101,15 @@ class TramStatusDisplay {
     `;
     this.container.appendChild(this.statusElement);
     
+    // Create route progress section
+    this.routeElement = document.createElement('div');
+    this.routeElement.style.cssText = `
+      display: none;
+      margin-bottom: 10px;
+      font-size: 12px;
+    `;
+    this.container.appendChild(this.routeElement);
+    
     // Create stops section
     const stopsTitle = document.createElement('div');
     stopsTitle.textContent = '📍 Tram Stops:';
@@ -107,34 +168,60 @@ class TramStatusDisplay {
   updateStatus(statusData) {
     if (!statusData) return;
     
+    const direction = statusData.direction;
+    const acceleration = statusData.acceleration_mps2 || 0;
+    // Ignore the small changes of a steady cruise
+    const trend = acceleration > 0.1 ? ' ↗' : acceleration < -0.1 ? ' ↘' : '';
+    
     // Update main status
     this.statusElement.innerHTML = `
       <div style="font-weight: bold; margin-bottom: 5px;">
-        Status: <span style="color: #4CAF50;">${statusData.currentStatus || 'Unknown'}</span>
+        Status: ${this.renderServiceBadge(statusData)}
       </div>
+      ${statusData.service_state_reason ? `
+        <div style="font-size: 12px; color: #cccccc; margin-bottom: 3px;">
+          ${statusData.service_state_reason} · since ${new Date(statusData.service_state_since).toLocaleTimeString()}
+        </div>
+      ` : ''}
       <div style="margin-bottom: 3px;">
         ${statusData.is_moving ? '🚊 Moving' : '⏸️ Not moving'}
       </div>
       <div style="font-size: 12px; color: #cccccc;">
-        Speed: ${statusData.speed_kmh || 0} km/h
+        Speed: ${statusData.speed_kmh || 0} km/h${trend}
+        ${statusData.heading !== null && statusData.heading !== undefined ? ` · 🧭 ${statusData.heading}° ${this.formatCompass(statusData.heading)}` : ''}
       </div>
+      ${direction ? `
+        <div style="font-size: 12px; color: #cccccc;">
+          Direction: ${direction.leg_name}${direction.reversed ? ' (reverse)' : ''}${direction.loop_name ? ` · ${direction.loop_name}, lap ${direction.lap}` : ''}
+        </div>
+      ` : ''}
     `;
     
-    // Update stops information
-    if (statusData.stops_available) {
+    // Update stops information (route order, names in the display locale)
+    const stops = statusData.stops_available || stopRegistry.getStops();
+    if (stops.length > 0) {
+      const etas = new Map((statusData.stop_etas || []).map(eta => [eta.stop_id, eta]));
       let stopsHTML = '';
-      statusData.stops_available.forEach((stop, index) => {
+      stops.forEach((stop) => {
         let statusIcon = '⚪'; // Default
         let statusColor = '#666';
+        const state = statusData.stop_states?.[stop.id];
         
-        if (statusData.current_stop === stop.name) {
-          statusIcon = '🔵'; // Current stop
+        if (statusData.current_stop_id === stop.id) {
+          statusIcon = '🔵'; // Current stop (arrived or dwelling)
           statusColor = '#4CAF50';
+        } else if (state === 'approaching') {
+          statusIcon = '🟡';
+          statusColor = '#ffd700';
+        } else if (state === 'departed') {
+          statusIcon = '✔️';
+          statusColor = '#999';
         }
         
         stopsHTML += `
           <div style="margin: 2px 0; color: ${statusColor};">
-            ${statusIcon} ${stop.name}
+            ${statusIcon} ${stopRegistry.getName(stop, this.locale)}${stop.accessibility?.stepFree ? ' ♿' : ''}
+            ${etas.has(stop.id) ? `<span style="float: right; color: #cccccc;">${this.formatETA(etas.get(stop.id))}</span>` : ''}
           </div>
         `;
       });
@@ -147,12 +234,107 @@ class TramStatusDisplay {
         <div>📍 Location: ${statusData.location.lat?.toFixed(6) || 'N/A'}, ${statusData.location.lng?.toFixed(6) || 'N/A'}</div>
         <div>🕒 Updated: ${new Date(statusData.timestamp || Date.now()).toLocaleTimeString()}</div>
         <div style="margin-top: 5px; font-size: 10px;">
-          💡 Click map to get coordinates for new stops
+          💡 Press E to edit the route and stops on the map
         </div>
       `;
     }
   }
   
+  // Coloured pill for the tracker's service state (falls back to the legacy Running/Stopped text)
+  renderServiceBadge(statusData) {
+    const badge = SERVICE_BADGES[statusData.service_state];
+    if (!badge) {
+      return `<span style="color: #4CAF50;">${statusData.currentStatus || 'Unknown'}</span>`;
+    }
+    
+    return `
+      <span style="display: inline-block; padding: 2px 8px; border-radius: 10px; background: ${badge.color}; color: white; font-size: 12px;">
+        ${badge.icon} ${badge.label}
+      </span>
+    `;
+  }
+  
+  // Eight-point compass name for a heading in degrees
+  formatCompass(heading) {
+    return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(heading / 45) % 8];
+  }
+  
+  // "3 min (2–4)" from an ETA prediction; the range is only shown when it says something
+  formatETA(eta) {
+    if (eta.eta_seconds < 30) return 'due';
+    
+    // Relative to the prediction itself, which may be based on replayed (older) fixes
+    const minutes = (time) => Math.max(0, Math.round((eta.eta_seconds * 1000 + time - eta.eta) / 60000));
+    const expected = Math.max(1, Math.round(eta.eta_seconds / 60));
+    const earliest = minutes(eta.earliest);
+    const latest = Math.max(expected, minutes(eta.latest));
+    const range = latest > earliest ? ` (${earliest}–${latest})` : '';
+    const uncertain = eta.confidence === 'low' || eta.stale ? '~' : '';
+    
+    return `${uncertain}${expected} min${range}`;
+  }
+  
+  // Show how far round the route the tram is and how far the nearby stops are
+  updateRouteProgress(route) {
+    if (!route) {
+      this.routeElement.style.display = 'none';
+      return;
+    }
+    
+    const formatDistance = (metres) => metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${Math.round(metres)} m`;
+    const percent = Math.min(100, Math.max(0, route.percent));
+    
+    this.routeElement.innerHTML = `
+      <div style="margin-bottom: 4px;">
+        🛤️ ${formatDistance(route.chainage)} of ${formatDistance(route.length)} (${percent.toFixed(1)}%)
+      </div>
+      ${route.leg ? `<div style="color: #cccccc; margin-bottom: 4px;">📍 ${route.leg.name}${route.leg.reversed ? ' (reverse)' : ''}</div>` : ''}
+      <div style="height: 6px; background: rgba(255, 255, 255, 0.15); border-radius: 3px; margin-bottom: 4px;">
+        <div style="height: 100%; width: ${percent}%; background: #4CAF50; border-radius: 3px;"></div>
+      </div>
+      ${route.nextStop ? `<div>➡️ Next: ${stopRegistry.getName(route.nextStop, this.locale)} in ${formatDistance(route.nextStop.distance)}</div>` : ''}
+      ${route.previousStop ? `<div style="color: #cccccc;">⬅️ Previous: ${stopRegistry.getName(route.previousStop, this.locale)}, ${formatDistance(route.previousStop.distance)} back</div>` : ''}
+    `;
+    this.routeElement.style.display = 'block';
+  }
+  
+  // Show where the displayed position comes from ('live', 'simulation' or 'replay')
+  setDataMode(mode) {
+    const labels = {
+      simulation: '🎭 SIMULATED — not live GPS',
+      replay: '⏪ REPLAY — recorded GPS'
+    };
+    
+    if (mode === 'live') {
+      this.dataModeElement.style.display = 'none';
+    } else {
+      this.dataModeElement.textContent = labels[mode] || mode;
+      this.dataModeElement.style.display = 'block';
+    }
+  }
+  
+  // Populate the tram picker with the vehicles currently in the fleet
+  setVehicles(vehicleIds, selectedId) {
+    this.vehicleSelect.innerHTML = '';
+    vehicleIds.forEach(vehicleId => {
+      const option = document.createElement('option');
+      option.value = vehicleId;
+      option.textContent = `🚊 ${vehicleId}`;
+      option.style.color = 'black';
+      this.vehicleSelect.appendChild(option);
+    });
+    
+    if (selectedId) {
+      this.vehicleSelect.value = selectedId;
+    }
+    this.vehicleSelect.style.display = vehicleIds.length > 1 ? 'block' : 'none';
+  }
+  
+  // Subscribe to the user picking a different tram
+  onVehicleSelect(callback) {
+    this.vehicleSelectCallbacks.push(callback);
+  }
+  
   show() {
     this.container.style.display = 'block';
     this.isVisible = true;
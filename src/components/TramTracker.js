@@ -1,7 +1,58 @@
 import * as THREE from 'three';
+import { projection } from '../utils/GeoProjection.js';
+import { stopRegistry } from '../services/StopRegistry.js';
+import MapMatcher from '../utils/MapMatcher.js';
+import ETAEngine from '../utils/ETAEngine.js';
+
+// Per-stop states: idle -> approaching -> arrived -> dwelling -> departed -> idle
+export const STOP_STATES = {
+  IDLE: 'idle',
+  APPROACHING: 'approaching',
+  ARRIVED: 'arrived',
+  DWELLING: 'dwelling',
+  DEPARTED: 'departed'
+};
+
+// What the tram is doing, most urgent first when more than one applies
+export const SERVICE_STATES = {
+  OFFLINE: 'offline',       // signal lost: no fresh GPS data
+  SIMULATED: 'simulated',   // positions come from the simulator, not the tram
+  OFF_ROUTE: 'off_route',
+  DWELLING: 'dwelling',     // stopped at a stop
+  IDLE: 'idle',             // stationary away from the stops
+  IN_SERVICE: 'in_service'
+};
+
+// Thresholds for the service states (override per tracker with options.serviceThresholds)
+export const DEFAULT_SERVICE_THRESHOLDS = {
+  offlineAfter: 60 * 1000,     // ms without a GPS fix (matches WebSocketGPSService.isGPSDataStale)
+  offRouteDistance: 50,        // m from the route
+  offRouteAfter: 10 * 1000,    // ms spent further than offRouteDistance from the route
+  idleAfter: 5 * 60 * 1000     // ms stationary away from a stop
+};
 
 class TramTracker {
-  constructor() {
+  /**
+   * @param {string} tramId - Vehicle identifier
+   * @param {Object} options
+   * @param {number} options.approachDistance - Closer than this outside a geofence counts as approaching (m)
+   * @param {number} options.exitMargin - Must be this far outside a geofence to depart, so GPS jitter at the edge doesn't re-trigger arrivals (m)
+   * @param {number} options.dwellDelay - Time inside a geofence before an arrival counts as dwelling (ms)
+   * @param {number} options.maxLoops - Loops kept in the visit log
+   * @param {RouteModel} options.routeModel - Loop the tram runs; a loop is counted each time the tram drives past its start gate.
+   *   Without it a loop starts at each arrival at the first stop in route order, and there are no ETAs.
+   * @param {number} options.loopGate - Distance along the route model of the start gate (m, defaults to its first point)
+   * @param {Object} options.eta - ETAEngine options
+   * @param {RouteNetwork} options.routeNetwork - Named legs and loops, to report which one the tram is driving
+   * @param {number} options.speedSmoothing - Time constant of the speed and acceleration smoothing (ms)
+   * @param {number} options.movingSpeed - Counts as moving once the smoothed speed rises above this (m/s)
+   * @param {number} options.stoppedSpeed - Counts as stopped once the smoothed speed falls below this (m/s)
+   * @param {number} options.minHeadingDistance - Distance to cover before the heading is updated, so GPS noise while slow doesn't spin it (m)
+   * @param {Object} options.serviceThresholds - Overrides for DEFAULT_SERVICE_THRESHOLDS
+   */
+  constructor(tramId = 'tram_01_frontend', options = {}) {
+    this.tramId = tramId;
+    
     // Simplified tram tracking state - mainly for frontend display
     this.currentStatus = 'Stopped';
     this.currentLocation = null;
@@ -10,8 +61,20 @@ class TramTracker {
     this.lastPassedBuilding = null;
     
     // Movement detection settings
-    this.movementThreshold = 0.00001; // GPS coordinate difference to detect movement
-    this.stoppedDuration = 30 * 60 * 1000; // 30 minutes in milliseconds
+    this.speedSmoothing = options.speedSmoothing ?? 5000;
+    this.movingSpeed = options.movingSpeed ?? 1.0; // ~3.6 km/h
+    this.stoppedSpeed = options.stoppedSpeed ?? 0.3; // ~1 km/h
+    this.minHeadingDistance = options.minHeadingDistance ?? 3;
+    
+    // Motion computed from timestamped fixes
+    this.speed = 0; // smoothed, m/s
+    this.acceleration = 0; // smoothed, m/s²
+    this.heading = null; // degrees clockwise from north
+    this.headingAnchor = null; // fix the heading is measured from
+    
+    // Which leg and loop of the network the tram is driving
+    this.routeNetwork = options.routeNetwork || null;
+    this.direction = null;
     
     // Tracking history
     this.locationHistory = [];
@@ -19,54 +82,57 @@ class TramTracker {
     this.lastUpdateTime = Date.now();
     this.lastMovementTime = Date.now();
     
-    // Updated building coordinates with optimized radius
-    this.buildings = [
-      {
-        id: 'msm_building',
-        name: 'MSM Building',
-        displayName: 'MSM Building',
-        lat: 13.612565,
-        lon: 100.836516,
-        radius: 0.0005,  // Optimized radius: ~55 meters for reliable detection
-        stopIndex: 0
-      },
-      {
-        id: 'it_building',
-        name: 'IT Building',
-        displayName: 'IT Building',
-        lat: 13.612177,
-        lon: 100.836425,
-        radius: 0.0005,  // Optimized radius: ~55 meters for reliable detection
-        stopIndex: 1
-      },
-      {
-        id: 'au_mall',
-        name: 'AU Mall',
-        displayName: 'AU Mall',
-        lat: 13.612764,
-        lon: 100.833440,
-        radius: 0.0005,  // Optimized radius: ~55 meters for reliable detection
-        stopIndex: 2
-      },
-      {
-        id: 'queen_of_sheba',
-        name: 'Queen of Sheba',
-        displayName: 'Queen of Sheba',
-        lat: 13.614219,
-        lon: 100.832132,
-        radius: 0.0005,  // Optimized radius: ~55 meters for reliable detection
-        stopIndex: 3
-      }
-    ];
+    // Stops come from the shared registry; geofence radii are in metres
+    this.stopRegistry = stopRegistry;
+    this.currentStop = null; // stop the tram has arrived at and not yet left
+    
+    // Stop arrival/departure state machine
+    this.approachDistance = options.approachDistance ?? 100;
+    this.exitMargin = options.exitMargin ?? 15;
+    this.dwellDelay = options.dwellDelay ?? 3000;
+    this.stopStates = new Map(); // stopId -> { state, distance, arrivedAt, lastInsideAt }
+    
+    // Visits grouped by loop: [{ loop, startedAt, visits: [{ stopId, name, arrivedAt, departedAt, dwellMs }] }]
+    this.visitLog = [];
+    this.maxLoops = options.maxLoops ?? 20;
+    this.routeModel = options.routeModel || null;
+    this.mapMatcher = this.routeModel ? new MapMatcher(this.routeModel) : null;
+    this.loop = 1;
+    this.loopStartedAt = null; // unknown for the first loop, which usually starts part way round
+    this.lastChainage = null;
+    this.loopGate = options.loopGate ?? 0;
+    this.travelled = 0; // net metres driven along the route since the first match
+    this.nextGateAt = null; // value of travelled at which the start gate is next passed
+    
+    // Arrival predictions, learned from this tram's own loops
+    this.etaEngine = options.routeModel ? new ETAEngine(options.routeModel, options.eta) : null;
+    
+    // Service state, with the data feed it depends on (see setFeedStatus)
+    this.serviceThresholds = { ...DEFAULT_SERVICE_THRESHOLDS, ...(options.serviceThresholds || {}) };
+    this.feed = { lastFixTime: null, stale: false, dataMode: 'live' };
+    this.routeOffset = null; // metres from the route at the latest fix
+    this.offRouteSince = null;
+    this.serviceState = SERVICE_STATES.OFFLINE;
+    this.serviceStateSince = Date.now();
+    this.serviceReason = 'no GPS data yet';
+    this.serviceHistory = []; // [{ from, to, at, reason }], oldest first
+    this.maxServiceHistory = 50;
     
     // Status change callbacks
     this.statusChangeCallbacks = [];
     this.lastNotifiedStatus = null;
+    this.serviceStateCallbacks = [];
+    
+    // Stop event callbacks
+    this.arrivalCallbacks = [];
+    this.departureCallbacks = [];
+    this.loopCallbacks = [];
   }
   
   // Position update with basic tracking logic
-  updatePosition(lat, lon) {
-    const currentTime = Date.now();
+  // timestamp lets backfilled fixes keep the time they were actually recorded
+  updatePosition(lat, lon, timestamp = Date.now()) {
+    const currentTime = timestamp;
     const newLocation = { lat, lon, timestamp: currentTime };
     
     // Store previous location
@@ -79,11 +145,17 @@ class TramTracker {
     // Detect movement
     this.detectMovement();
     
+    // Count loops round the route
+    this.updateLoop(newLocation);
+    
+    // Which leg and loop it is driving
+    this.updateDirection(newLocation);
+    
     // Check for building detection
     this.detectBuilding(lat, lon);
     
-    // Update status
-    this.updateStatus();
+    // Update status (a change it causes is stamped with this fix's time)
+    this.updateStatus(Date.now(), currentTime);
     
     this.lastUpdateTime = currentTime;
     
@@ -97,64 +169,426 @@ class TramTracker {
     }
   }
   
-  // Detect if tram is near a building
+  // Detect if tram is near a building (stop) and step each stop's state machine
+  // Checks the whole segment since the previous fix so sparse fixes (e.g. a backfilled
+  // outage) cannot jump over a stop; stops passed on the way are visited in order
   detectBuilding(lat, lon) {
-    for (const building of this.buildings) {
-      const distance = this.calculateDistance(lat, lon, building.lat, building.lon);
-      
-      if (distance <= building.radius) {
-        // We're inside a building's radius
-        if (!this.lastPassedBuilding || building.id !== this.lastPassedBuilding.id) {
-          // New building detected
-          this.lastPassedBuilding = building;
+    const position = { lat, lon, timestamp: this.currentLocation?.timestamp ?? Date.now() };
+    const from = this.lastLocation;
+    const updates = [];
+    
+    for (const stop of this.stopRegistry.getStops()) {
+      const distance = this.stopRegistry.distanceTo(stop, position);
+      const entry = from ? this.stopRegistry.findEntry(stop, from, position) : (distance === 0 ? 1 : null);
+      updates.push({ stop, distance, entry });
+    }
+    
+    // Stops entered earlier along the move are handled first
+    updates.sort((a, b) => (a.entry ?? 1) - (b.entry ?? 1));
+    updates.forEach(({ stop, distance, entry }) => this.updateStopState(stop, distance, entry, from, position));
+    
+    return this.currentStop;
+  }
+  
+  // A loop is complete when the tram drives past the start gate on the loop's own geometry
+  // (the route passes some stops more than once a loop, so stops alone can't tell)
+  updateLoop(location) {
+    if (!this.mapMatcher) return;
+    
+    // How far off the route, for the off-route state
+    const located = this.routeModel.project(location);
+    this.routeOffset = located ? located.offset : null;
+    if (this.routeOffset !== null && this.routeOffset > this.serviceThresholds.offRouteDistance) {
+      if (this.offRouteSince === null) this.offRouteSince = location.timestamp;
+    } else {
+      this.offRouteSince = null;
+    }
+    
+    const match = this.mapMatcher.match(location);
+    if (!match) return;
+    
+    if (this.passesLoopGate(match.chainage)) {
+      this.completeLoop(location.timestamp);
+    }
+    this.lastChainage = match.chainage;
+    
+    if (this.etaEngine) this.etaEngine.update(match.chainage, location.timestamp);
+  }
+  
+  // Does the move from the last match to this chainage take the tram past the start gate?
+  // Progress is kept as net distance driven, and the gate after a crossing is a whole loop
+  // further on, so GPS noise rocking the tram back and forth over the gate counts once.
+  passesLoopGate(chainage) {
+    const model = this.mapMatcher.routeModel;
+    if (this.lastChainage === null) {
+      this.travelled = 0;
+      this.nextGateAt = model.closed ? model.distanceAhead(model.normalizeChainage(chainage), this.loopGate) : null;
+      if (this.nextGateAt === 0) this.nextGateAt = model.length;
+      return false;
+    }
+    
+    // An open route has no gate to drive through; a loop ends on getting back to its start
+    if (!model.closed) return this.lastChainage - chainage > model.length / 2;
+    
+    this.travelled += model.chainageDelta(this.lastChainage, chainage);
+    if (this.travelled < this.nextGateAt) return false;
+    this.nextGateAt += model.length;
+    return true;
+  }
+  
+  // Start the next loop, reporting the one just finished
+  completeLoop(timestamp) {
+    const completed = {
+      tramId: this.tramId,
+      loop: this.loop,
+      startedAt: this.loopStartedAt,
+      completedAt: timestamp,
+      durationMs: this.loopStartedAt !== null ? timestamp - this.loopStartedAt : null
+    };
+    
+    this.loop++;
+    this.loopStartedAt = timestamp;
+    this.notifyStopEvent(this.loopCallbacks, completed);
+  }
+  
+  // The route changed: earlier matches no longer apply
+  resetRouteMatch() {
+    if (this.mapMatcher) this.mapMatcher.reset();
+    this.lastChainage = null;
+    if (this.etaEngine) this.etaEngine.reset();
+  }
+  
+  // Advance one stop's state for the latest fix
+  // distance - metres outside the geofence now; entry - where along the move the geofence was entered (0..1) or null
+  updateStopState(stop, distance, entry, from, position) {
+    const record = this.getStopState(stop.id);
+    const previousDistance = record.distance;
+    record.distance = distance;
+    
+    const isAtStop = record.state === STOP_STATES.ARRIVED || record.state === STOP_STATES.DWELLING;
+    
+    if (!isAtStop) {
+      if (entry !== null) {
+        // Time the geofence was entered, interpolated between fixes
+        const arrivedAt = from ? from.timestamp + (position.timestamp - from.timestamp) * entry : position.timestamp;
+        this.arrive(stop, record, arrivedAt);
+        
+        // Drove straight through between two fixes
+        if (distance > this.exitMargin) {
+          this.depart(stop, record, position.timestamp);
+        } else if (distance === 0) {
+          record.lastInsideAt = position.timestamp;
         }
-        return building;
+        return;
       }
+      
+      if (distance > this.approachDistance) {
+        record.state = STOP_STATES.IDLE;
+      } else if (record.state !== STOP_STATES.DEPARTED && previousDistance !== null && distance < previousDistance) {
+        record.state = STOP_STATES.APPROACHING;
+      }
+      return;
+    }
+    
+    if (distance === 0) {
+      record.lastInsideAt = position.timestamp;
+      if (record.state === STOP_STATES.ARRIVED && position.timestamp - record.arrivedAt >= this.dwellDelay) {
+        record.state = STOP_STATES.DWELLING;
+      }
+    } else if (distance > this.exitMargin) {
+      this.depart(stop, record, position.timestamp);
+    }
+  }
+  
+  getStopState(stopId) {
+    if (!this.stopStates.has(stopId)) {
+      this.stopStates.set(stopId, { state: STOP_STATES.IDLE, distance: null, arrivedAt: null, lastInsideAt: null });
+    }
+    return this.stopStates.get(stopId);
+  }
+  
+  arrive(stop, record, arrivedAt) {
+    record.state = STOP_STATES.ARRIVED;
+    record.arrivedAt = arrivedAt;
+    record.lastInsideAt = arrivedAt;
+    
+    this.lastPassedBuilding = stop;
+    this.currentStop = stop;
+    
+    let loop = this.visitLog[this.visitLog.length - 1];
+    if (!this.mapMatcher && loop && loop.visits.length > 0 && stop.id === this.stopRegistry.getStops()[0]?.id) {
+      this.completeLoop(arrivedAt);
+    }
+    if (!loop || loop.loop !== this.loop) {
+      loop = { loop: this.loop, startedAt: arrivedAt, visits: [] };
+      this.visitLog.push(loop);
+      if (this.visitLog.length > this.maxLoops) {
+        this.visitLog.shift();
+      }
+    }
+    loop.visits.push({ stopId: stop.id, name: stop.name, arrivedAt, departedAt: null, dwellMs: null });
+    
+    // Simulated and replayed runs (often sped up) would skew the learned run times
+    if (this.etaEngine) this.etaEngine.recordArrival(stop, arrivedAt, this.feed.dataMode === 'live');
+    
+    this.notifyStopEvent(this.arrivalCallbacks, {
+      tramId: this.tramId,
+      stop,
+      arrivedAt,
+      loop: loop.loop
+    });
+  }
+  
+  depart(stop, record, departedAt) {
+    // Dwell ends at the last fix inside the geofence, not when the exit margin is cleared
+    const dwellMs = Math.max(0, record.lastInsideAt - record.arrivedAt);
+    record.state = STOP_STATES.DEPARTED;
+    
+    if (this.currentStop && this.currentStop.id === stop.id) {
+      this.currentStop = null;
+    }
+    
+    const loop = this.visitLog[this.visitLog.length - 1];
+    const visit = loop ? [...loop.visits].reverse().find(entry => entry.stopId === stop.id && entry.departedAt === null) : null;
+    if (visit) {
+      visit.departedAt = departedAt;
+      visit.dwellMs = dwellMs;
     }
-    return null;
+    
+    if (this.etaEngine) this.etaEngine.recordDeparture(stop, departedAt, dwellMs, this.feed.dataMode === 'live');
+    
+    this.notifyStopEvent(this.departureCallbacks, {
+      tramId: this.tramId,
+      stop,
+      arrivedAt: record.arrivedAt,
+      departedAt,
+      dwellMs,
+      loop: loop ? loop.loop : null
+    });
+  }
+  
+  notifyStopEvent(callbacks, event) {
+    callbacks.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in stop/loop event callback:', error);
+      }
+    });
+  }
+  
+  // Subscribe to arrivals: callback({ tramId, stop, arrivedAt, loop }); returns an unsubscribe function
+  onStopArrival(callback) {
+    this.arrivalCallbacks.push(callback);
+    return () => {
+      const index = this.arrivalCallbacks.indexOf(callback);
+      if (index > -1) this.arrivalCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Subscribe to departures: callback({ tramId, stop, arrivedAt, departedAt, dwellMs, loop }); returns an unsubscribe function
+  onStopDeparture(callback) {
+    this.departureCallbacks.push(callback);
+    return () => {
+      const index = this.departureCallbacks.indexOf(callback);
+      if (index > -1) this.departureCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Subscribe to completed loops: callback({ tramId, loop, startedAt, completedAt, durationMs }); returns an unsubscribe function
+  // (durationMs is null for a loop the tram joined part way round)
+  onLoopComplete(callback) {
+    this.loopCallbacks.push(callback);
+    return () => {
+      const index = this.loopCallbacks.indexOf(callback);
+      if (index > -1) this.loopCallbacks.splice(index, 1);
+    };
+  }
+  
+  // State of every stop: { stopId: 'idle' | 'approaching' | 'arrived' | 'dwelling' | 'departed' }
+  getStopStates() {
+    const states = {};
+    this.stopRegistry.getStops().forEach(stop => {
+      states[stop.id] = this.getStopState(stop.id).state;
+    });
+    return states;
+  }
+  
+  // Predicted arrival at every stop, soonest first (see ETAEngine.predict)
+  getETAs(now = Date.now()) {
+    if (!this.etaEngine) return [];
+    // Replayed fixes are old by design; read their predictions as of the latest fix
+    return this.etaEngine.predict(this.feed.dataMode === 'replay' ? this.etaEngine.lastTime : now);
   }
   
-  // Movement detection
+  // Visits grouped by loop, oldest first
+  getVisitLog() {
+    return this.visitLog;
+  }
+  
+  // Movement detection: smoothed speed, acceleration and heading from timestamped fixes,
+  // moving/stopped from speed (with hysteresis so a crawl at a stop doesn't flicker)
   detectMovement() {
     if (!this.lastLocation || !this.currentLocation) {
       this.isMoving = false;
+      this.headingAnchor = this.currentLocation;
       return;
     }
     
+    const dt = (this.currentLocation.timestamp - this.lastLocation.timestamp) / 1000;
+    if (dt <= 0) return;
+    
     // Calculate distance moved
     const distance = this.calculateDistance(
       this.lastLocation.lat, this.lastLocation.lon,
       this.currentLocation.lat, this.currentLocation.lon
     );
     
-    // Check if moved significantly (more sensitive threshold)
-    if (distance > this.movementThreshold) {
+    const alpha = 1 - Math.exp(-dt * 1000 / this.speedSmoothing);
+    const previousSpeed = this.speed;
+    this.speed += (distance / dt - this.speed) * alpha;
+    this.acceleration += ((this.speed - previousSpeed) / dt - this.acceleration) * alpha;
+    
+    // Heading over the last few metres rather than between close-together fixes
+    const anchor = this.headingAnchor || this.lastLocation;
+    if (this.calculateDistance(anchor.lat, anchor.lon, this.currentLocation.lat, this.currentLocation.lon) >= this.minHeadingDistance) {
+      this.heading = this.calculateBearing(anchor, this.currentLocation);
+      this.headingAnchor = this.currentLocation;
+    }
+    
+    if (!this.isMoving && this.speed >= this.movingSpeed) {
       this.isMoving = true;
-      this.lastMovementTime = Date.now();
-    } else {
-      // Check if stopped for 30 minutes
-      const timeSinceMovement = Date.now() - this.lastMovementTime;
-      this.isMoving = timeSinceMovement < this.stoppedDuration;
+    } else if (this.isMoving && this.speed <= this.stoppedSpeed) {
+      this.isMoving = false;
+    }
+    
+    if (this.isMoving) {
+      this.lastMovementTime = this.currentLocation.timestamp;
     }
   }
   
-  // Status update logic
-  updateStatus() {
-    const currentTime = Date.now();
-    const timeSinceMovement = currentTime - this.lastMovementTime;
+  // Leg of the route network, and the loops using it, for the latest fix
+  updateDirection(location) {
+    if (!this.routeNetwork) return;
     
-    if (timeSinceMovement >= this.stoppedDuration) {
-      // Stopped for 30+ minutes
-      this.currentStatus = 'Stopped';
+    // Heading only helps tell overlapping legs apart while actually moving
+    const leg = this.routeNetwork.locate({ lat: location.lat, lon: location.lon, heading: this.isMoving ? this.heading : null });
+    if (!leg) {
+      this.direction = null;
+      return;
+    }
+    
+    const loop = this.routeNetwork.getLoopsWithSegment(leg.segmentId)[0] || null;
+    this.direction = {
+      legId: leg.segmentId,
+      legName: leg.name,
+      reversed: leg.reversed,
+      loopId: loop ? loop.id : null,
+      loopName: loop ? loop.name : null
+    };
+  }
+  
+  // Status update logic: `now` is the clock the feed age is judged by, `at` the time a
+  // state change is stamped with (the fix that caused it, or now for feed changes)
+  updateStatus(now = Date.now(), at = now) {
+    const { state, reason } = this.evaluateServiceState(now);
+    
+    if (state !== this.serviceState) {
+      const transition = { from: this.serviceState, to: state, at, reason };
+      this.serviceHistory.push(transition);
+      if (this.serviceHistory.length > this.maxServiceHistory) {
+        this.serviceHistory.shift();
+      }
+      
+      this.serviceState = state;
+      this.serviceStateSince = at;
+      this.serviceReason = reason;
+      this.notifyServiceStateChange(transition);
     } else {
-      // Running
-      this.currentStatus = 'Running';
+      this.serviceReason = reason;
     }
     
+    // Legacy two-state status, kept for API consumers
+    this.currentStatus = state === SERVICE_STATES.IDLE || state === SERVICE_STATES.OFFLINE ? 'Stopped' : 'Running';
+    
     // Notify status change if needed
     this.checkStatusChange();
   }
   
+  // Which service state applies now, and why
+  evaluateServiceState(now) {
+    const thresholds = this.serviceThresholds;
+    const time = this.currentLocation ? this.currentLocation.timestamp : now;
+    
+    if (!this.currentLocation) {
+      return { state: SERVICE_STATES.OFFLINE, reason: 'no GPS data yet' };
+    }
+    
+    // Replayed fixes are old by design; their age says nothing about the signal
+    if (this.feed.dataMode !== 'replay') {
+      const lastFixTime = this.feed.lastFixTime ?? this.currentLocation.timestamp;
+      const age = now - lastFixTime;
+      if (this.feed.stale || age > thresholds.offlineAfter) {
+        return { state: SERVICE_STATES.OFFLINE, reason: `no fresh GPS fix for ${Math.round(age / 1000)}s` };
+      }
+    }
+    
+    if (this.feed.dataMode === 'simulation') {
+      return { state: SERVICE_STATES.SIMULATED, reason: 'positions from the route simulator' };
+    }
+    
+    if (this.offRouteSince !== null && time - this.offRouteSince >= thresholds.offRouteAfter) {
+      return { state: SERVICE_STATES.OFF_ROUTE, reason: `${Math.round(this.routeOffset)} m from the route` };
+    }
+    
+    if (this.currentStop && !this.isMoving) {
+      return { state: SERVICE_STATES.DWELLING, reason: `at ${this.currentStop.name}` };
+    }
+    
+    const stationaryFor = time - this.lastMovementTime;
+    if (!this.isMoving && stationaryFor >= thresholds.idleAfter) {
+      return { state: SERVICE_STATES.IDLE, reason: `stationary for ${Math.round(stationaryFor / 60000)} min` };
+    }
+    
+    return { state: SERVICE_STATES.IN_SERVICE, reason: '' };
+  }
+  
+  /**
+   * Where the tracker's positions come from, so lost signal and simulated data show in the state
+   * @param {Object} feed
+   * @param {number} feed.lastFixTime - Time of the latest GPS fix received (ms)
+   * @param {boolean} feed.stale - The GPS service considers the latest data stale
+   * @param {string} feed.dataMode - 'live', 'simulation' or 'replay'
+   */
+  setFeedStatus(feed) {
+    this.feed = { ...this.feed, ...feed };
+    this.updateStatus();
+  }
+  
+  notifyServiceStateChange(transition) {
+    this.serviceStateCallbacks.forEach(callback => {
+      try {
+        callback({ tramId: this.tramId, ...transition });
+      } catch (error) {
+        console.error('Error in service state callback:', error);
+      }
+    });
+  }
+  
+  // Subscribe to service state changes: callback({ tramId, from, to, at, reason }); returns an unsubscribe function
+  onServiceStateChange(callback) {
+    this.serviceStateCallbacks.push(callback);
+    return () => {
+      const index = this.serviceStateCallbacks.indexOf(callback);
+      if (index > -1) this.serviceStateCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Service state transitions, oldest first
+  getServiceHistory() {
+    return this.serviceHistory;
+  }
+  
   // Check for status changes and notify subscribers
   checkStatusChange() {
     if (this.currentStatus !== this.lastNotifiedStatus) {
@@ -197,18 +631,15 @@ class TramTracker {
   
   // Calculate distance between two GPS coordinates in meters
   calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const dLat = this.degreesToRadians(lat2 - lat1);
-    const dLon = this.degreesToRadians(lon2 - lon1);
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(this.degreesToRadians(lat1)) * Math.cos(this.degreesToRadians(lat2)) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    return projection.distance({ lat: lat1, lon: lon1 }, { lat: lat2, lon: lon2 });
   }
   
-  degreesToRadians(degrees) {
-    return degrees * (Math.PI/180);
+  // Compass bearing from one GPS coordinate to another (degrees, 0 = north)
+  calculateBearing(from, to) {
+    const a = projection.toENU(from.lat, from.lon);
+    const b = projection.toENU(to.lat, to.lon);
+    const bearing = Math.atan2(b.east - a.east, b.north - a.north) * 180 / Math.PI;
+    return (bearing + 360) % 360;
   }
   
   // Get tracking info
@@ -218,6 +649,14 @@ class TramTracker {
       isMoving: this.isMoving,
       currentLocation: this.currentLocation,
       lastPassedBuilding: this.lastPassedBuilding,
+      currentStop: this.currentStop,
+      speed: this.speed,
+      acceleration: this.acceleration,
+      heading: this.heading,
+      direction: this.direction,
+      serviceState: this.serviceState,
+      serviceStateSince: this.serviceStateSince,
+      serviceReason: this.serviceReason,
       timestamp: Date.now(),
       locationHistoryLength: this.locationHistory.length,
       timeSinceLastMovement: Date.now() - this.lastMovementTime
@@ -229,34 +668,100 @@ class TramTracker {
     const info = this.getTrackingInfo();
     
     return {
-      tram_id: 'tram_01_frontend',
+      tram_id: this.tramId,
       currentStatus: this.currentStatus,
+      service_state: info.serviceState,
+      service_state_since: info.serviceStateSince,
+      service_state_reason: info.serviceReason,
+      service_history: this.serviceHistory.slice(-10),
       location: {
         lat: info.currentLocation?.lat || null,
         lng: info.currentLocation?.lon || null
       },
       last_building: info.lastPassedBuilding?.name || null,
+      current_stop: info.currentStop?.name || null,
+      current_stop_id: info.currentStop?.id || null,
+      stop_states: this.getStopStates(),
+      stop_etas: this.getETAs().map(eta => ({
+        stop_id: eta.stopId,
+        name: eta.name,
+        distance_m: Math.round(eta.distance),
+        eta_seconds: eta.seconds,
+        eta: eta.eta,
+        earliest: eta.earliest,
+        latest: eta.latest,
+        confidence: eta.confidence,
+        stale: eta.stale
+      })),
+      stops_available: this.stopRegistry.getStops(),
       timestamp: info.timestamp,
       is_moving: this.isMoving,
+      speed_kmh: Math.round(info.speed * 3.6 * 10) / 10,
+      acceleration_mps2: Math.round(info.acceleration * 100) / 100,
+      heading: info.heading !== null ? Math.round(info.heading) : null,
+      direction: info.direction ? {
+        leg_id: info.direction.legId,
+        leg_name: info.direction.legName,
+        reversed: info.direction.reversed,
+        loop_id: info.direction.loopId,
+        loop_name: info.direction.loopName,
+        lap: this.loop
+      } : null,
       time_since_movement_ms: info.timeSinceLastMovement
     };
   }
   
+  // Loop number, visit log and service state: the tram's journey so far, which a reset
+  // wipes (history playback puts it aside and hands it back, see TramFleet.saveJourneys)
+  getJourney() {
+    return {
+      loop: this.loop,
+      loopStartedAt: this.loopStartedAt,
+      visitLog: this.visitLog.map(entry => ({ ...entry, visits: entry.visits.map(visit => ({ ...visit })) })),
+      serviceState: this.serviceState,
+      serviceStateSince: this.serviceStateSince,
+      serviceReason: this.serviceReason,
+      serviceHistory: this.serviceHistory.map(transition => ({ ...transition }))
+    };
+  }
+  
+  // Carry on a journey from getJourney(); where the tram is comes from the next fix
+  restoreJourney(journey) {
+    Object.assign(this, journey);
+  }
+  
   // Reset tracking state
   reset() {
     this.currentStatus = 'Stopped';
     this.currentLocation = null;
     this.lastLocation = null;
     this.isMoving = false;
+    this.speed = 0;
+    this.acceleration = 0;
+    this.heading = null;
+    this.headingAnchor = null;
+    this.direction = null;
+    this.routeOffset = null;
+    this.offRouteSince = null;
+    this.serviceState = SERVICE_STATES.OFFLINE;
+    this.serviceStateSince = Date.now();
+    this.serviceReason = 'no GPS data yet';
+    this.serviceHistory = [];
     this.lastPassedBuilding = null;
+    this.currentStop = null;
+    this.stopStates.clear();
+    this.visitLog = [];
+    this.loop = 1;
+    this.loopStartedAt = null;
+    this.resetRouteMatch();
     this.locationHistory = [];
     this.lastUpdateTime = Date.now();
     this.lastMovementTime = Date.now();
   }
   
-  // Get all buildings
+  // Get all buildings (stops, in route order)
   getBuildings() {
-    return this.buildings;
+    return this.stopRegistry.getStops();
   }
 }
 
@@ -0,0 +1,33 @@
+/**
+ * Geographic reference for the 3D scene
+ * The scene origin sits on the campus origin; one scene unit is one metre.
+ * Override the origin with VITE_CAMPUS_ORIGIN="lat,lon" when deploying elsewhere.
+ */
+
+function parseOrigin(value) {
+  if (!value) return null;
+  const [lat, lon] = String(value).split(',').map(Number);
+  if (isNaN(lat) || isNaN(lon)) return null;
+  return { lat, lon, alt: 0 };
+}
+
+// Midpoint of the tram route ends - the old scene centre, so cameras keep their framing
+export const CAMPUS_ORIGIN = parseOrigin(import.meta.env?.VITE_CAMPUS_ORIGIN) || {
+  lat: 13.612395,
+  lon: 100.8385745,
+  alt: 0
+};
+
+// Where the campus GLB models sit on the ground: the geographic position of the model's
+// origin, its heading and its units-to-metres scale
+export const MAP_PLACEMENT = {
+  anchor: { lat: 13.609395, lon: 100.8407745 },
+  headingDeg: 165,
+  scale: 0.994
+};
+
+// Optional GeoJSON, GPX or KML file whose route and stops replace the built-in ones at
+// startup, e.g. VITE_ROUTE_DATA_URL=/data/route.geojson (served from public/)
+export const ROUTE_DATA_URL = import.meta.env?.VITE_ROUTE_DATA_URL || null;
+
+export default CAMPUS_ORIGIN;
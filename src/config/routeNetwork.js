@@ -0,0 +1,133 @@
+/**
+ * Structured tram route network
+ * The surveyed gpsRoute is several legs recorded back to back; this splits it into
+ * named segments joined at junctions so the route can be treated as a graph.
+ *
+ * Format:
+ *   nodes:    { id: { name, lat, lon } } - junctions, termini and segment ends
+ *   segments: [{ id, name, from, to, direction, color, stops, points }]
+ *             direction: 'forward' (from -> to only) or 'both'
+ *             color: CSS colour the leg is drawn in (optional)
+ *             stops: stop ids in order along the points
+ *             points: [{ lat, lon }] from the `from` node to the `to` node
+ *   loops:    [{ id, name, segments: [{ segment, reversed }] }] - services run as a cycle
+ */
+import { gpsRoute } from './gpsRoute.js';
+
+// The loop trams run in service (see RouteNetwork.getLoopPath)
+export const CAMPUS_LOOP = 'campus-loop';
+
+// Legs cut from the surveyed route (inclusive point indices)
+const leg = (first, last) => gpsRoute.slice(first, last + 1);
+
+export const routeNetwork = {
+  nodes: {
+    'east-gate': { name: 'East Gate', lat: 13.612263, lon: 100.836828 },
+    'central-junction': { name: 'Central Junction', lat: 13.613202, lon: 100.833545 },
+    'main-road-west': { name: 'Main Road West', lat: 13.613051, lon: 100.834310 },
+    'east-junction': { name: 'East Junction', lat: 13.613077, lon: 100.837091 },
+    'east-spur-junction': { name: 'East Spur Junction', lat: 13.612515, lon: 100.840012 },
+    'east-terminus': { name: 'East Terminus', lat: 13.612330, lon: 100.840650 },
+    'east-spur-end': { name: 'East Spur End', lat: 13.612527, lon: 100.840321 }
+  },
+
+  segments: [
+    {
+      id: 'main-road-westbound',
+      name: 'Main Road westbound',
+      from: 'east-gate',
+      to: 'central-junction',
+      direction: 'forward',
+      color: '#2196F3',
+      stops: ['msm-building', 'it-building', 'au-mall'],
+      points: leg(0, 16)
+    },
+    {
+      id: 'west-loop',
+      name: 'West Loop',
+      from: 'central-junction',
+      to: 'central-junction',
+      direction: 'forward',
+      color: '#4CAF50',
+      stops: ['queen-of-sheba'],
+      points: leg(16, 78)
+    },
+    {
+      id: 'central-link',
+      name: 'Central link',
+      from: 'central-junction',
+      to: 'main-road-west',
+      direction: 'forward',
+      color: '#009688',
+      stops: [],
+      points: leg(78, 82)
+    },
+    {
+      // Recorded westbound, but also the way back east to the gate
+      id: 'main-road-south',
+      name: 'Main Road south carriageway',
+      from: 'east-gate',
+      to: 'main-road-west',
+      direction: 'both',
+      color: '#3F51B5',
+      stops: [],
+      points: leg(83, 104)
+    },
+    {
+      // Not surveyed - straight line between the two recorded ends
+      id: 'east-gate-link',
+      name: 'East Gate link',
+      from: 'east-gate',
+      to: 'east-junction',
+      direction: 'both',
+      color: '#9E9E9E',
+      stops: [],
+      points: [gpsRoute[0], gpsRoute[105]]
+    },
+    {
+      id: 'east-branch',
+      name: 'East branch',
+      from: 'east-junction',
+      to: 'east-spur-junction',
+      direction: 'both',
+      color: '#FF9800',
+      stops: [],
+      points: leg(105, 121)
+    },
+    {
+      id: 'east-branch-terminus',
+      name: 'East branch terminus',
+      from: 'east-spur-junction',
+      to: 'east-terminus',
+      direction: 'both',
+      color: '#FF5722',
+      stops: [],
+      points: leg(121, 125)
+    },
+    {
+      id: 'east-spur',
+      name: 'East spur',
+      from: 'east-spur-junction',
+      to: 'east-spur-end',
+      direction: 'both',
+      color: '#9C27B0',
+      stops: [],
+      points: leg(126, 135)
+    }
+  ],
+
+  loops: [
+    {
+      id: CAMPUS_LOOP,
+      name: 'Campus loop',
+      segments: [
+        { segment: 'main-road-westbound' },
+        { segment: 'west-loop' },
+        { segment: 'central-link' },
+        { segment: 'main-road-south', reversed: true }
+      ]
+    }
+  ]
+};
+
+export default routeNetwork;
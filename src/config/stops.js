@@ -0,0 +1,54 @@
+/**
+ * Tram stops - the one place stops are defined
+ * Read through the stop registry (services/StopRegistry.js), never directly.
+ *
+ * Each stop:
+ *   id            - stable identifier (referenced by config/routeNetwork.js)
+ *   names         - display name per locale; `en` is required
+ *   lat, lon      - platform position on the tram route
+ *   radius        - arrival geofence in metres (IT Building and AU Mall are ~85 m apart,
+ *                   so theirs are kept small enough not to overlap), or
+ *   polygon       - arrival geofence as [{ lat, lon }] (takes precedence over radius)
+ *   order         - position along the route, starting at 1
+ *   accessibility - { stepFree, shelter, seating, notes }; null means not surveyed yet
+ */
+export const stops = [
+  {
+    id: 'msm-building',
+    names: { en: 'MSM Building', th: 'อาคารเอ็มเอสเอ็ม' },
+    lat: 13.612565,
+    lon: 100.836516,
+    radius: 40,
+    order: 1,
+    accessibility: { stepFree: null, shelter: null, seating: null, notes: '' }
+  },
+  {
+    id: 'it-building',
+    names: { en: 'IT Building', th: 'อาคารไอที' },
+    lat: 13.613051,
+    lon: 100.834310,
+    radius: 30,
+    order: 2,
+    accessibility: { stepFree: null, shelter: null, seating: null, notes: '' }
+  },
+  {
+    id: 'au-mall',
+    names: { en: 'AU Mall', th: 'เอยู มอลล์' },
+    lat: 13.613202,
+    lon: 100.833545,
+    radius: 30,
+    order: 3,
+    accessibility: { stepFree: null, shelter: null, seating: null, notes: '' }
+  },
+  {
+    id: 'queen-of-sheba',
+    names: { en: 'Queen of Sheba', th: 'ควีนออฟชีบา' },
+    lat: 13.614444,
+    lon: 100.831560,
+    radius: 40,
+    order: 4,
+    accessibility: { stepFree: null, shelter: null, seating: null, notes: '' }
+  }
+];
+
+export default stops;
@@ -1,5 +1,8 @@
 import './style.css';
 import SchoolMap from './components/SchoolMap';
+import { stopRegistry } from './services/StopRegistry.js';
+import { toDay } from './services/TripHistoryStore.js';
+import { REPLAY_SPEEDS } from './services/GPSReplaySource.js';
 
 const container = document.createElement('div');
 container.style.width = '100vw';
@@ -37,12 +40,8 @@ window.stopTramTracking = () => {
 };
 
 window.testStopDetection = () => {
-  const stops = [
-    { name: 'MSM Building', lat: 13.612263, lon: 100.836828 },
-    { name: 'IT Building', lat: 13.613051, lon: 100.834310 },
-    { name: 'AU Mall', lat: 13.613202, lon: 100.833545 },
-    { name: 'Queen of Sheba', lat: 13.614444, lon: 100.831560 }
-  ];
+  // Visit each registered stop in route order
+  const stops = stopRegistry.getStops();
   
   let stopIndex = 0;
   const testInterval = setInterval(() => {
@@ -60,6 +59,103 @@ window.updateTramPos = (lat, lon) => {
   schoolMap.updateTramPositionFromLiveGPS(lat, lon);
 };
 
+// GPS recording and replay helpers
+window.downloadGPSRecording = () => {
+  if (schoolMap.gpsRecorder) {
+    schoolMap.gpsRecorder.download();
+  }
+};
+
+window.replayGPSLog = (speed = 1) => {
+  // Check now: once the file is picked, an error would only surface inside the listener
+  if (typeof speed !== 'number' || speed <= 0) {
+    throw new Error(`Invalid replay speed: ${speed} (try ${REPLAY_SPEEDS.join(', ')})`);
+  }
+  
+  // Pick a recorded .ndjson log and feed it back at 1x, 10x or 60x
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.ndjson,.jsonl,.json,.txt';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (file) {
+      schoolMap.startGPSReplay(await file.text(), speed);
+    }
+  });
+  input.click();
+};
+
+window.stopGPSReplay = () => {
+  schoolMap.stopGPSReplay();
+};
+
+// Stored trip history (also toggled with H)
+window.showTripHistory = () => {
+  return schoolMap.toggleHistoryPanel();
+};
+
+window.exportTripHistory = (day = toDay(Date.now()), format = 'csv') => {
+  if (schoolMap.tripHistory) {
+    return schoolMap.tripHistory.download(day, format);
+  }
+};
+
+// Playback bar to scrub through stored positions (also toggled with L)
+window.showTimeline = () => {
+  return schoolMap.toggleTimeline();
+};
+
+// GTFS timetable and schedule adherence (panel also toggled with G)
+window.showSchedule = () => {
+  return schoolMap.toggleSchedulePanel();
+};
+
+window.importGTFS = () => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.zip';
+  input.addEventListener('change', () => {
+    if (input.files.length > 0) {
+      // Failures are logged by importGTFS
+      schoolMap.importGTFS(input.files).catch(() => {});
+    }
+  });
+  input.click();
+};
+
+// Route and stop exchange with GIS tools (GeoJSON, GPX, KML)
+window.exportRouteData = (format = 'geojson') => {
+  schoolMap.exportRouteData(format);
+};
+
+window.importRouteData = () => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.geojson,.json,.gpx,.kml';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (file) {
+      schoolMap.importRouteData(await file.text(), file.name);
+    }
+  });
+  input.click();
+};
+
+// Route ribbon, arrows and stop markers (also toggled with R)
+window.toggleRouteLayer = () => {
+  return schoolMap.routeLayer ? schoolMap.routeLayer.toggle() : false;
+};
+
+// Route and stop editor (also toggled with E)
+window.editRoute = () => {
+  return schoolMap.toggleRouteEditor();
+};
+
+// Map-to-GPS calibration (also toggled with K)
+window.calibrateMap = (mapId) => {
+  return schoolMap.toggleMapCalibration(mapId);
+};
+
 // Auto-start status display after a short delay
 setTimeout(() => {
   if (schoolMap.tramStatusDisplay) {
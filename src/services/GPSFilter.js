@@ -0,0 +1,80 @@
+/**
+ * GPSFilter - Smoothing stage between WebSocketGPSService and its consumers
+ * Keeps one Kalman filter per vehicle and returns the filtered estimate alongside
+ * the raw fix, so jitter can be compared against what the backend actually sent.
+ */
+import KalmanFilter from '../utils/KalmanFilter.js';
+
+class GPSFilter {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Pass fixes through unchanged when false
+   * @param {Object} options.kalman - Options for each vehicle's KalmanFilter
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.kalmanOptions = options.kalman || {};
+
+    // Kalman filter per vehicle id
+    this.filters = new Map();
+
+    this.stats = {
+      processed: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * Filter one fix for a vehicle
+   * @param {string} vehicleId - Vehicle identifier
+   * @param {Object} fix - Raw { lat, lon, timestamp, heading, speed, accuracy }
+   * @returns {{ fix: Object, raw: Object, rejected: boolean }}
+   */
+  process(vehicleId, fix) {
+    if (!this.enabled) {
+      return { fix, raw: fix, rejected: false };
+    }
+
+    if (!this.filters.has(vehicleId)) {
+      this.filters.set(vehicleId, new KalmanFilter(this.kalmanOptions));
+    }
+
+    const { rejected, ...estimate } = this.filters.get(vehicleId).update(fix);
+    this.stats.processed++;
+    if (rejected) {
+      this.stats.rejected++;
+    }
+
+    return { fix: estimate, raw: fix, rejected };
+  }
+
+  /**
+   * Enable, disable or retune filtering; existing estimates are discarded
+   */
+  configure(options = {}) {
+    if (options.enabled !== undefined) this.enabled = options.enabled;
+    if (options.kalman) this.kalmanOptions = { ...this.kalmanOptions, ...options.kalman };
+    this.filters.clear();
+  }
+
+  /**
+   * Forget the estimate for one vehicle, or for all vehicles
+   */
+  reset(vehicleId = null) {
+    if (vehicleId) {
+      this.filters.delete(vehicleId);
+    } else {
+      this.filters.clear();
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      vehicles: this.filters.size,
+      ...this.stats
+    };
+  }
+}
+
+export default GPSFilter;
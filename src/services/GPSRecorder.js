@@ -0,0 +1,148 @@
+/**
+ * GPSRecorder - Captures raw GPS payloads into a downloadable NDJSON log
+ *
+ * Every payload passed to WebSocketGPSService.processGPSData is stored as one line:
+ * { "receivedAt": <ms epoch>, "source": "websocket-broadcast", "payload": { "c": ..., "p": ..., "s": ... } }
+ * Reconnect backfills are stored the same way with source "websocket-backfill".
+ * Logs can be fed back through the service with GPSReplaySource.
+ */
+import { parseGPSMessage } from './gpsProtocol.js';
+import { downloadText } from '../utils/geoFormats.js';
+
+class GPSRecorder {
+  /**
+   * @param {WebSocketGPSService} gpsService - Service whose payloads are recorded
+   * @param {Object} options
+   * @param {number} options.maxEntries - Oldest entries are dropped beyond this count
+   *   (trimmed in batches, so the log can run up to 10% over it)
+   */
+  constructor(gpsService, options = {}) {
+    this.gpsService = gpsService;
+    this.maxEntries = options.maxEntries || 50000;
+
+    this.entries = [];
+    this.isRecording = false;
+    this.startedAt = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start capturing payloads (replayed and simulated payloads are never recorded)
+   */
+  start() {
+    if (this.isRecording) return;
+
+    this.unsubscribe = this.gpsService.onRawData((payload, source, receivedAt) => {
+      if (source === 'replay' || source === 'simulation') return;
+      this.record(payload, source, receivedAt);
+    });
+
+    this.isRecording = true;
+    this.startedAt = Date.now();
+    console.log('⏺️ GPS recording started');
+  }
+
+  stop() {
+    if (!this.isRecording) return;
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    this.isRecording = false;
+    console.log(`⏹️ GPS recording stopped (${this.getEntries().length} payloads)`);
+  }
+
+  record(payload, source, receivedAt = Date.now()) {
+    // Deep copy so later mutation of the payload cannot alter the log
+    this.entries.push({
+      receivedAt,
+      source: source || 'unknown',
+      payload: JSON.parse(JSON.stringify(payload))
+    });
+
+    // Cut the oldest entries off in one go rather than shifting them out one by one
+    if (this.entries.length > this.maxEntries * 1.1) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.startedAt = this.isRecording ? Date.now() : null;
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Serialize the log as NDJSON (one entry per line)
+   */
+  toNDJSON() {
+    const entries = this.getEntries();
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+  }
+
+  /**
+   * Recorded positions grouped into one trip per vehicle, for GeoJSON/GPX/KML export
+   * @param {Object} options
+   * @param {string} options.defaultVehicleId - Vehicle id for single-tram payloads
+   * @returns {Array} - [{ vehicleId, name, fixes: [{ lat, lon, timestamp, speed, heading }] }]
+   */
+  getTrips(options = {}) {
+    const defaultVehicleId = options.defaultVehicleId || this.gpsService.config.defaultVehicleId;
+    const trips = new Map();
+
+    this.getEntries().forEach(entry => {
+      // Invalid payloads were rejected live too; leave them out of the trips
+      const { reports } = parseGPSMessage(entry.payload, { defaultVehicleId });
+      reports.forEach(report => {
+        if (!report.position) return;
+
+        if (!trips.has(report.vehicleId)) {
+          trips.set(report.vehicleId, { vehicleId: report.vehicleId, name: `Trip ${report.vehicleId}`, fixes: [] });
+        }
+        const { lat, lon, timestamp, speed, heading } = report.position;
+        trips.get(report.vehicleId).fixes.push({
+          lat,
+          lon,
+          timestamp: timestamp || new Date(entry.receivedAt).toISOString(),
+          speed,
+          heading
+        });
+      });
+    });
+
+    return Array.from(trips.values());
+  }
+
+  /**
+   * Trigger a browser download of the log
+   * @param {string} filename - Defaults to a timestamped name
+   */
+  download(filename = null) {
+    const name = filename || `gps-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    downloadText(this.toNDJSON(), name, 'application/x-ndjson');
+  }
+
+  getStatus() {
+    const entries = this.getEntries();
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    return {
+      isRecording: this.isRecording,
+      entryCount: entries.length,
+      startedAt: this.startedAt,
+      durationMs: first && last ? last.receivedAt - first.receivedAt : 0
+    };
+  }
+
+  dispose() {
+    this.stop();
+    this.clear();
+  }
+}
+
+export default GPSRecorder;
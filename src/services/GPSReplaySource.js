@@ -0,0 +1,212 @@
+/**
+ * GPSReplaySource - Feeds a recorded GPS log back through WebSocketGPSService
+ *
+ * Entries go through processGPSData (and therefore the normal notifyGPSUpdate path)
+ * with source 'replay', spaced by their original receive times divided by the speed.
+ * Payload timestamps are shifted to "now" so the stale-data checks still pass.
+ */
+
+// Speed presets offered in the UI
+export const REPLAY_SPEEDS = [1, 10, 60];
+
+class GPSReplaySource {
+  /**
+   * @param {WebSocketGPSService} gpsService - Service to feed
+   * @param {Array|string} log - Recorder entries or NDJSON text
+   * @param {Object} options
+   * @param {number} options.speed - Time scale (1 = real time)
+   * @param {boolean} options.loop - Restart from the beginning when finished
+   * @param {boolean} options.pauseLive - Ignore live transport data while replaying
+   */
+  constructor(gpsService, log, options = {}) {
+    this.gpsService = gpsService;
+    this.entries = typeof log === 'string' ? GPSReplaySource.parseNDJSON(log) : [...log];
+    this.entries.sort((a, b) => a.receivedAt - b.receivedAt);
+
+    this.speed = options.speed || 1;
+    this.loop = options.loop || false;
+    this.pauseLive = options.pauseLive !== false;
+
+    this.index = 0;
+    this.timer = null;
+    this.isPlaying = false;
+    this.livePaused = false;
+
+    this.progressCallbacks = [];
+    this.endCallbacks = [];
+  }
+
+  /**
+   * Parse an NDJSON recording, skipping blank or malformed lines
+   * @param {string} text - NDJSON log
+   * @returns {Array} - Entries with receivedAt, source and payload
+   */
+  static parseNDJSON(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((line, lineNumber) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry && entry.payload && typeof entry.receivedAt === 'number') {
+          entries.push(entry);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping malformed GPS log line ${lineNumber + 1}`);
+      }
+    });
+    return entries;
+  }
+
+  play(speed = this.speed) {
+    if (this.entries.length === 0) {
+      console.warn('⚠️ GPS replay has no entries');
+      return;
+    }
+
+    this.setSpeed(speed);
+    if (this.isPlaying) return;
+
+    if (this.index >= this.entries.length) {
+      this.index = 0;
+    }
+
+    this.isPlaying = true;
+    if (this.pauseLive && !this.livePaused) {
+      this.livePaused = true;
+      this.gpsService.pauseLiveUpdates();
+    }
+
+    console.log(`▶️ GPS replay started at ${this.speed}x (${this.entries.length} payloads)`);
+    this.feedNext();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isPlaying = false;
+  }
+
+  stop() {
+    this.pause();
+    this.index = 0;
+    this.resumeLiveUpdates();
+  }
+
+  // Hand the trams back to live data, once, whether the replay finished or was stopped
+  resumeLiveUpdates() {
+    if (this.livePaused) {
+      this.livePaused = false;
+      this.gpsService.resumeLiveUpdates();
+    }
+  }
+
+  setSpeed(speed) {
+    if (typeof speed !== 'number' || speed <= 0) {
+      throw new Error(`Invalid replay speed: ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  feedNext() {
+    if (!this.isPlaying) return;
+
+    const entry = this.entries[this.index];
+    const offset = Date.now() - entry.receivedAt;
+    this.gpsService.processGPSData(this.shiftTimestamps(entry.payload, offset), 'replay');
+
+    this.index++;
+    this.notify(this.progressCallbacks, { index: this.index, total: this.entries.length, entry });
+
+    if (this.index >= this.entries.length) {
+      if (this.loop) {
+        this.index = 0;
+        this.timer = setTimeout(() => this.feedNext(), 1000 / this.speed);
+        return;
+      }
+
+      this.isPlaying = false;
+      this.resumeLiveUpdates();
+      console.log('⏹️ GPS replay finished');
+      this.notify(this.endCallbacks, { total: this.entries.length });
+      return;
+    }
+
+    const gap = this.entries[this.index].receivedAt - entry.receivedAt;
+    this.timer = setTimeout(() => this.feedNext(), Math.max(0, gap / this.speed));
+  }
+
+  // Copy a payload with every fix timestamp moved forward by offset ms (v0 't' and v1 'timestamp')
+  shiftTimestamps(payload, offset) {
+    const copy = JSON.parse(JSON.stringify(payload));
+
+    const shiftFix = (fix, key) => {
+      if (!fix || fix[key] === undefined || fix[key] === null) return;
+      const time = typeof fix[key] === 'number' ? fix[key] : new Date(fix[key]).getTime();
+      if (isNaN(time)) return;
+      fix[key] = new Date(time + offset).toISOString();
+    };
+
+    const shiftV0Vehicle = (vehicleData) => {
+      if (!vehicleData || typeof vehicleData !== 'object') return;
+      shiftFix(vehicleData.c, 't');
+      shiftFix(vehicleData.p, 't');
+    };
+
+    const shiftV1Report = (report) => {
+      if (!report || typeof report !== 'object') return;
+      shiftFix(report.position, 'timestamp');
+      shiftFix(report.previous, 'timestamp');
+    };
+
+    if (copy.version !== undefined) {
+      (Array.isArray(copy.reports) ? copy.reports : [copy]).forEach(shiftV1Report);
+    } else if (copy.c) {
+      shiftV0Vehicle(copy);
+    } else {
+      Object.values(copy.vehicles || copy).forEach(shiftV0Vehicle);
+    }
+
+    return copy;
+  }
+
+  getStatus() {
+    const first = this.entries[0];
+    const current = this.entries[Math.min(this.index, this.entries.length - 1)];
+    return {
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      index: this.index,
+      total: this.entries.length,
+      recordedTime: current ? current.receivedAt : null,
+      elapsedMs: first && current ? current.receivedAt - first.receivedAt : 0
+    };
+  }
+
+  // Event subscription methods
+  onProgress(callback) {
+    this.progressCallbacks.push(callback);
+  }
+
+  onEnd(callback) {
+    this.endCallbacks.push(callback);
+  }
+
+  notify(callbacks, data) {
+    callbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in GPS replay callback:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    this.progressCallbacks = [];
+    this.endCallbacks = [];
+  }
+}
+
+export default GPSReplaySource;
@@ -0,0 +1,238 @@
+/**
+ * HistoryPlayback - Plays stored trip history back through WebSocketGPSService
+ *
+ * Unlike GPSReplaySource, which feeds a recording payload by payload, playback runs a
+ * clock over a time range so it can be scrubbed: every tick it moves the clock on by
+ * the elapsed time times the speed and feeds each tram's newest fix up to the clock
+ * (source 'replay', timestamps shifted to now so the stale-data checks still pass).
+ * Seeking feeds the fix each tram last reported at the new time, after seek
+ * subscribers have had a chance to make the trams jump rather than drive there.
+ */
+
+// How often the playback clock advances (ms)
+const TICK_INTERVAL = 250;
+
+// Trams with no fix this long before a seek time are left where they are (ms)
+const MAX_FIX_AGE = 5 * 60 * 1000;
+
+class HistoryPlayback {
+  /**
+   * @param {WebSocketGPSService} gpsService - Service to feed
+   * @param {Object} history - { fixes, events } from TripHistory.getRange
+   * @param {Object} options
+   * @param {number} options.start - Start of the range (ms, defaults to the first record)
+   * @param {number} options.end - End of the range (ms, defaults to the last record)
+   * @param {number} options.speed - Time scale (1 = real time)
+   * @param {boolean} options.pauseLive - Ignore live transport data while playing back
+   */
+  constructor(gpsService, history, options = {}) {
+    this.gpsService = gpsService;
+    this.fixes = [...history.fixes].sort((a, b) => a.timestamp - b.timestamp);
+    this.events = [...history.events].sort((a, b) => a.timestamp - b.timestamp);
+
+    // Both lists are in time order, so their ends bound the range
+    const times = [this.fixes, this.events]
+      .filter(records => records.length > 0)
+      .flatMap(records => [records[0].timestamp, records[records.length - 1].timestamp]);
+    this.start = options.start ?? (times.length > 0 ? Math.min(...times) : Date.now());
+    this.end = options.end ?? (times.length > 0 ? Math.max(...times) : this.start);
+
+    this.speed = options.speed || 1;
+    this.pauseLive = options.pauseLive !== false;
+
+    this.time = this.start;
+    this.nextIndex = 0; // first fix after the clock
+    this.timer = null;
+    this.lastTick = null;
+    this.isPlaying = false;
+    this.livePaused = false;
+
+    this.progressCallbacks = [];
+    this.seekCallbacks = [];
+    this.endCallbacks = [];
+  }
+
+  play(speed = this.speed) {
+    if (this.fixes.length === 0) {
+      console.warn('⚠️ No stored GPS fixes to play back');
+      return;
+    }
+
+    this.setSpeed(speed);
+    if (this.isPlaying) return;
+
+    this.pauseLiveUpdates();
+    if (this.time >= this.end) {
+      this.seek(this.start);
+    }
+
+    this.isPlaying = true;
+    this.lastTick = Date.now();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    console.log(`▶️ History playback at ${this.speed}x from ${new Date(this.time).toLocaleString()}`);
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isPlaying = false;
+  }
+
+  /**
+   * Stop playing and hand the trams back to live data
+   */
+  stop() {
+    this.pause();
+    if (this.livePaused) {
+      this.livePaused = false;
+      this.gpsService.resumeLiveUpdates();
+    }
+  }
+
+  setSpeed(speed) {
+    if (typeof speed !== 'number' || speed <= 0) {
+      throw new Error(`Invalid playback speed: ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  pauseLiveUpdates() {
+    if (this.pauseLive && !this.livePaused) {
+      this.livePaused = true;
+      this.gpsService.pauseLiveUpdates();
+    }
+  }
+
+  tick() {
+    const now = Date.now();
+    const target = Math.min(this.end, this.time + (now - this.lastTick) * this.speed);
+    this.lastTick = now;
+
+    // Newest fix per tram since the last tick; the trams animate between ticks
+    const latest = new Map();
+    while (this.nextIndex < this.fixes.length && this.fixes[this.nextIndex].timestamp <= target) {
+      const fix = this.fixes[this.nextIndex];
+      latest.set(fix.tramId, fix);
+      this.nextIndex++;
+    }
+    latest.forEach(fix => this.feed(fix));
+
+    this.time = target;
+    this.notify(this.progressCallbacks, this.getStatus());
+
+    if (this.time >= this.end) {
+      this.pause();
+      console.log('⏹️ History playback reached the end of the range');
+      this.notify(this.endCallbacks, this.getStatus());
+    }
+  }
+
+  /**
+   * Jump to a time; each tram is shown where it last reported
+   * @param {number} time - Time to show (ms, clamped to the range)
+   */
+  seek(time) {
+    this.time = Math.max(this.start, Math.min(this.end, time));
+    this.nextIndex = this.findNextIndex(this.time);
+    this.lastTick = Date.now();
+    this.pauseLiveUpdates();
+
+    const fixes = this.getFixesAt(this.time);
+    this.notify(this.seekCallbacks, { time: this.time, fixes });
+    fixes.forEach(fix => this.feed(fix));
+    this.notify(this.progressCallbacks, this.getStatus());
+  }
+
+  // Index of the first fix after a time (binary search)
+  findNextIndex(time) {
+    let low = 0;
+    let high = this.fixes.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.fixes[mid].timestamp <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Each tram's last fix at or before a time (trams silent for too long are left out)
+   * @returns {Array} - Stored fixes, one per tram
+   */
+  getFixesAt(time) {
+    const latest = new Map();
+    for (let i = this.findNextIndex(time) - 1; i >= 0; i--) {
+      const fix = this.fixes[i];
+      if (time - fix.timestamp > MAX_FIX_AGE) break;
+      if (!latest.has(fix.tramId)) latest.set(fix.tramId, fix);
+    }
+    return Array.from(latest.values());
+  }
+
+  feed(fix) {
+    const position = { lat: fix.lat, lon: fix.lon, timestamp: new Date().toISOString() };
+    if (fix.speed !== null && fix.speed !== undefined) position.speed = fix.speed;
+    if (fix.heading !== null && fix.heading !== undefined) position.heading = fix.heading;
+
+    this.gpsService.processGPSData({
+      version: 1,
+      vehicleId: fix.tramId,
+      status: 'active',
+      position
+    }, 'replay');
+  }
+
+  /**
+   * Stop events (arrivals and departures) in the range, for marking on a timeline
+   */
+  getStopEvents() {
+    return this.events.filter(event => event.type === 'arrival' || event.type === 'departure');
+  }
+
+  getStatus() {
+    return {
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      time: this.time,
+      start: this.start,
+      end: this.end,
+      progress: this.end > this.start ? (this.time - this.start) / (this.end - this.start) : 0
+    };
+  }
+
+  // Event subscription methods
+  onProgress(callback) {
+    this.progressCallbacks.push(callback);
+  }
+
+  onSeek(callback) {
+    this.seekCallbacks.push(callback);
+  }
+
+  onEnd(callback) {
+    this.endCallbacks.push(callback);
+  }
+
+  notify(callbacks, data) {
+    callbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in history playback callback:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    this.progressCallbacks = [];
+    this.seekCallbacks = [];
+    this.endCallbacks = [];
+  }
+}
+
+export default HistoryPlayback;
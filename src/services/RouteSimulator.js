@@ -0,0 +1,132 @@
+/**
+ * RouteSimulator - Drives a virtual tram continuously along a GPS route
+ * Moves at a constant speed between route points and dwells at stops.
+ * Used by WebSocketGPSService as the offline fallback and by the mock GPS server.
+ */
+
+import { haversineDistance } from '../utils/GeoProjection.js';
+import { stopRegistry } from './StopRegistry.js';
+
+// Distance between two GPS coordinates in metres
+export const distanceMeters = haversineDistance;
+
+class RouteSimulator {
+  /**
+   * @param {Array} route - Route points [{ lat, lon }]
+   * @param {Object} options
+   * @param {number} options.speedKmh - Cruising speed
+   * @param {number} options.dwellSeconds - Time spent at each stop
+   * @param {Array} options.stops - Stops [{ name, lat, lon }] to dwell at (defaults to the stop registry)
+   * @param {number} options.startIndex - Route point to start from
+   */
+  constructor(route, options = {}) {
+    this.route = route;
+    this.speedMps = (options.speedKmh || 15) / 3.6;
+    this.dwellSeconds = options.dwellSeconds ?? 30;
+
+    // Route point index -> stop name (stops are snapped to the nearest route point)
+    this.stopIndices = new Map();
+    (options.stops || stopRegistry.getStops()).forEach(stop => {
+      this.stopIndices.set(this.nearestRouteIndex(stop), stop.name);
+    });
+
+    this.index = (options.startIndex || 0) % route.length;
+    this.segmentProgress = 0; // metres travelled along the current segment
+    this.dwellRemaining = 0;
+    this.currentStop = null;
+
+    this.position = { ...route[this.index] };
+    this.heading = 0;
+  }
+
+  nearestRouteIndex(point) {
+    let best = 0;
+    let bestDistance = Infinity;
+    this.route.forEach((routePoint, index) => {
+      const distance = distanceMeters(point, routePoint);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = index;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Jump to the route point closest to a position (e.g. the last live fix)
+   */
+  moveNear(point) {
+    this.index = this.nearestRouteIndex(point);
+    this.segmentProgress = 0;
+    this.dwellRemaining = 0;
+    this.currentStop = null;
+    this.position = { ...this.route[this.index] };
+  }
+
+  isDwelling() {
+    return this.dwellRemaining > 0;
+  }
+
+  /**
+   * Current speed in metres per second (0 while dwelling)
+   */
+  getSpeed() {
+    return this.isDwelling() ? 0 : this.speedMps;
+  }
+
+  /**
+   * Advance the simulation
+   * @param {number} dt - Elapsed time in seconds
+   */
+  tick(dt) {
+    let remaining = dt;
+
+    while (remaining > 0) {
+      if (this.dwellRemaining > 0) {
+        const dwell = Math.min(this.dwellRemaining, remaining);
+        this.dwellRemaining -= dwell;
+        remaining -= dwell;
+        if (this.dwellRemaining <= 0) {
+          this.currentStop = null;
+        }
+        continue;
+      }
+
+      const from = this.route[this.index];
+      const nextIndex = (this.index + 1) % this.route.length;
+      const to = this.route[nextIndex];
+      const segmentLength = distanceMeters(from, to);
+      const travel = this.speedMps * remaining;
+
+      if (this.segmentProgress + travel < segmentLength) {
+        this.segmentProgress += travel;
+        remaining = 0;
+      } else {
+        remaining -= (segmentLength - this.segmentProgress) / this.speedMps;
+        this.index = nextIndex;
+        this.segmentProgress = 0;
+
+        if (this.stopIndices.has(nextIndex) && this.dwellSeconds > 0) {
+          this.currentStop = this.stopIndices.get(nextIndex);
+          this.dwellRemaining = this.dwellSeconds;
+        }
+      }
+    }
+
+    const from = this.route[this.index];
+    const to = this.route[(this.index + 1) % this.route.length];
+    const length = distanceMeters(from, to);
+    const ratio = length > 0 ? this.segmentProgress / length : 0;
+    if (length > 0) {
+      const y = (to.lon - from.lon) * Math.cos(from.lat * Math.PI / 180);
+      const x = to.lat - from.lat;
+      this.heading = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+    this.position = {
+      lat: from.lat + (to.lat - from.lat) * ratio,
+      lon: from.lon + (to.lon - from.lon) * ratio
+    };
+  }
+}
+
+export default RouteSimulator;
@@ -0,0 +1,293 @@
+/**
+ * ScheduleService - Published timetable (GTFS static) and how well trams keep to it
+ *
+ * GTFS stops are mapped onto the stop registry by id, then by name in any locale,
+ * then by distance; name and distance matches must both lie within matchDistance, so
+ * a same-named stop elsewhere on the network isn't taken for this one. Each live arrival reported by an attached TramTracker is matched
+ * to the closest scheduled arrival at that stop on a trip running that day, keeping
+ * a tram on the trip it was last matched to while that trip still fits. Deviations
+ * are arrival minus schedule, so positive is late.
+ */
+import { stopRegistry } from './StopRegistry.js';
+import { isServiceActive } from '../utils/gtfs.js';
+import { projection } from '../utils/GeoProjection.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case, spacing and punctuation don't matter when matching stop names
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+class ScheduleService {
+  /**
+   * @param {Object} options
+   * @param {StopRegistry} options.registry - Stops GTFS stops are mapped onto
+   * @param {number} options.matchDistance - GTFS stops within this of a registry stop map to it (m)
+   * @param {number} options.maxDeviation - Arrivals further than this from any scheduled time are not matched (ms)
+   * @param {number} options.maxRecords - Matched arrivals kept
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || stopRegistry;
+    this.matchDistance = options.matchDistance ?? 50;
+    this.maxDeviation = options.maxDeviation ?? 30 * 60 * 1000;
+    this.maxRecords = options.maxRecords ?? 500;
+
+    this.feed = null; // { stops, trips, services } from utils/gtfs.js
+    this.services = new Map();
+    this.stopMap = new Map(); // GTFS stop_id -> registry stop id
+    this.unmappedStops = [];
+    this.records = [];
+    this.tramTrips = new Map(); // tramId -> { tripId, serviceDay, sequence } last matched
+    this.trackers = new Map(); // tramId -> unsubscribe
+
+    this.changeCallbacks = [];
+
+    // Re-map when stops are imported or edited
+    this.unsubscribeStops = this.registry.onChange(() => {
+      if (this.feed) {
+        this.mapStops();
+        this.notifyChange();
+      }
+    });
+  }
+
+  /**
+   * Use a parsed GTFS feed (see utils/gtfs.js); earlier matches are dropped
+   * @param {Object} feed - { stops, trips, services }
+   */
+  load(feed) {
+    this.feed = feed;
+    this.services = new Map(feed.services.map(service => [service.id, service]));
+    this.records = [];
+    this.tramTrips.clear();
+    this.mapStops();
+
+    console.log(`🗓️ Timetable loaded: ${feed.trips.length} trips, ${feed.stops.length} stops (${this.stopMap.size} mapped to tram stops)`);
+    this.notifyChange();
+  }
+
+  hasSchedule() {
+    return this.feed !== null;
+  }
+
+  mapStops() {
+    this.stopMap.clear();
+    this.unmappedStops = [];
+    const stops = this.registry.getStops();
+
+    this.feed.stops.forEach(gtfsStop => {
+      const nearby = stops.filter(candidate => projection.distance(candidate, gtfsStop) <= this.matchDistance);
+      const stop = this.registry.getStop(gtfsStop.id)
+        || nearby.find(candidate => Object.values(candidate.names).some(name => normalizeName(name) === normalizeName(gtfsStop.name)))
+        || this.findNearestStop(nearby, gtfsStop);
+
+      if (stop) {
+        this.stopMap.set(gtfsStop.id, stop.id);
+      } else {
+        this.unmappedStops.push(gtfsStop);
+      }
+    });
+
+    if (this.unmappedStops.length > 0) {
+      console.warn(`⚠️ ${this.unmappedStops.length} GTFS stops don't match a tram stop:`, this.unmappedStops.map(stop => stop.name).join(', '));
+    }
+  }
+
+  findNearestStop(stops, gtfsStop) {
+    let nearest = null;
+    let nearestDistance = this.matchDistance;
+    stops.forEach(stop => {
+      const distance = projection.distance(stop, gtfsStop);
+      if (distance <= nearestDistance) {
+        nearest = stop;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Scheduled arrivals at a tram stop around a time, on trips running that day
+   * (or the day before, for trips past midnight)
+   * @param {string} stopId - Registry stop id
+   * @param {number} time - Time to look around (ms)
+   * @param {number} window - How far either side to look (ms)
+   * @returns {Array} - [{ tripId, headsign, serviceDay, sequence, scheduledAt }]
+   */
+  getScheduledArrivals(stopId, time, window = this.maxDeviation) {
+    if (!this.feed) return [];
+
+    const today = new Date(time);
+    today.setHours(0, 0, 0, 0);
+    const serviceDays = [today.getTime() - DAY_MS, today.getTime()];
+
+    const arrivals = [];
+    serviceDays.forEach(serviceDay => {
+      const date = new Date(serviceDay);
+      this.feed.trips.forEach(trip => {
+        if (!isServiceActive(this.services.get(trip.serviceId), date)) return;
+        trip.stopTimes.forEach(stopTime => {
+          if (this.stopMap.get(stopTime.stopId) !== stopId) return;
+          const scheduledAt = serviceDay + stopTime.arrival * 1000;
+          if (Math.abs(scheduledAt - time) > window) return;
+          arrivals.push({ tripId: trip.id, headsign: trip.headsign, serviceDay, sequence: stopTime.sequence, scheduledAt });
+        });
+      });
+    });
+    return arrivals.sort((a, b) => a.scheduledAt - b.scheduledAt);
+  }
+
+  /**
+   * Match a tram's arrival at a stop to the timetable
+   * @returns {Object|null} - The stored record, or null when nothing is scheduled near that time
+   */
+  recordArrival({ tramId, stop, arrivedAt }) {
+    const candidates = this.getScheduledArrivals(stop.id, arrivedAt);
+    if (candidates.length === 0) return null;
+
+    // Stay on the trip the tram was on if this stop comes later on it
+    const current = this.tramTrips.get(tramId);
+    const onTrip = current
+      ? candidates.filter(candidate => candidate.tripId === current.tripId &&
+        candidate.serviceDay === current.serviceDay && candidate.sequence > current.sequence)
+      : [];
+    const closest = (list) => list.reduce((best, candidate) =>
+      Math.abs(candidate.scheduledAt - arrivedAt) < Math.abs(best.scheduledAt - arrivedAt) ? candidate : best);
+    const match = onTrip.length > 0 ? closest(onTrip) : closest(candidates);
+
+    this.tramTrips.set(tramId, { tripId: match.tripId, serviceDay: match.serviceDay, sequence: match.sequence });
+
+    const record = {
+      tramId,
+      tripId: match.tripId,
+      headsign: match.headsign,
+      serviceDay: match.serviceDay,
+      stopId: stop.id,
+      stopName: stop.name,
+      scheduledAt: match.scheduledAt,
+      arrivedAt,
+      deviationMs: arrivedAt - match.scheduledAt
+    };
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) this.records.shift();
+
+    console.log(`🗓️ ${tramId} at ${stop.name}: ${this.describeDeviation(record.deviationMs)} (trip ${match.tripId})`);
+    this.notifyChange();
+    return record;
+  }
+
+  /**
+   * Compare a tram's live arrivals with the timetable
+   * @returns {Function} - Stops listening to the tracker
+   */
+  attachTracker(tracker) {
+    this.detachTracker(tracker.tramId);
+
+    const unsubscribe = tracker.onStopArrival((arrival) => {
+      // Simulated and replayed arrivals say nothing about the real service
+      if (!this.feed || tracker.feed.dataMode !== 'live') return;
+      this.recordArrival(arrival);
+    });
+    this.trackers.set(tracker.tramId, unsubscribe);
+    return unsubscribe;
+  }
+
+  detachTracker(tramId) {
+    const unsubscribe = this.trackers.get(tramId);
+    if (unsubscribe) {
+      unsubscribe();
+      this.trackers.delete(tramId);
+    }
+  }
+
+  /**
+   * Deviation per tram stop
+   * @returns {Array} - [{ stopId, name, arrivals, lastDeviationMs, averageDeviationMs }] in route order
+   */
+  getStopAdherence() {
+    return this.registry.getStops()
+      .map(stop => ({ stop, records: this.records.filter(record => record.stopId === stop.id) }))
+      .filter(({ records }) => records.length > 0)
+      .map(({ stop, records }) => ({
+        stopId: stop.id,
+        name: stop.name,
+        ...this.summarize(records)
+      }));
+  }
+
+  /**
+   * Deviation per trip run, most recent first
+   * @returns {Array} - [{ tripId, headsign, tramId, serviceDay, arrivals, lastDeviationMs, averageDeviationMs }]
+   */
+  getTripAdherence() {
+    const trips = new Map();
+    this.records.forEach(record => {
+      const key = `${record.serviceDay}:${record.tripId}`;
+      if (!trips.has(key)) trips.set(key, []);
+      trips.get(key).push(record);
+    });
+
+    return Array.from(trips.values())
+      .map(records => {
+        const last = records[records.length - 1];
+        return {
+          tripId: last.tripId,
+          headsign: last.headsign,
+          tramId: last.tramId,
+          serviceDay: last.serviceDay,
+          lastArrivalAt: last.arrivedAt,
+          ...this.summarize(records)
+        };
+      })
+      .sort((a, b) => b.lastArrivalAt - a.lastArrivalAt);
+  }
+
+  summarize(records) {
+    return {
+      arrivals: records.length,
+      lastDeviationMs: records[records.length - 1].deviationMs,
+      averageDeviationMs: records.reduce((sum, record) => sum + record.deviationMs, 0) / records.length
+    };
+  }
+
+  // "3 min late", "2 min early" or "on time" (within a minute)
+  describeDeviation(deviationMs) {
+    const minutes = Math.round(deviationMs / 60000);
+    if (minutes === 0) return 'on time';
+    return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+  }
+
+  getRecords() {
+    return this.records;
+  }
+
+  /**
+   * Subscribe to a timetable being loaded or an arrival being matched
+   * @returns {Function} - Unsubscribe function
+   */
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      const index = this.changeCallbacks.indexOf(callback);
+      if (index > -1) this.changeCallbacks.splice(index, 1);
+    };
+  }
+
+  notifyChange() {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(this);
+      } catch (error) {
+        console.error('Error in schedule change callback:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.trackers.forEach(unsubscribe => unsubscribe());
+    this.trackers.clear();
+    this.unsubscribeStops();
+    this.changeCallbacks = [];
+  }
+}
+
+export default ScheduleService;
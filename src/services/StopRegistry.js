@@ -0,0 +1,214 @@
+/**
+ * StopRegistry - Shared list of tram stops
+ * Loaded from config/stops.js and replaced wholesale when stops are imported or edited;
+ * the tracker, status panel, route layer and simulator all read stops from here and
+ * subscribe to changes.
+ */
+import { stops as defaultStops } from '../config/stops.js';
+import { projection } from '../utils/GeoProjection.js';
+
+const DEFAULT_RADIUS = 40; // metres
+const DEFAULT_LOCALE = 'en';
+
+// Polygon stops are checked at this spacing along a path (m)
+const POLYGON_STEP = 2;
+
+class StopRegistry {
+  /**
+   * @param {Array} stops - Stop definitions (see config/stops.js)
+   */
+  constructor(stops = defaultStops) {
+    this.stops = [];
+    this.changeCallbacks = [];
+    this.setStops(stops, { silent: true });
+  }
+
+  /**
+   * Replace every stop
+   * Accepts registry definitions as well as plain { id, name, lat, lon, radius } stops
+   * from imported files or the route editor.
+   * @param {Array} stops - Stops to register
+   * @param {Object} options
+   * @param {boolean} options.silent - Don't notify subscribers
+   */
+  setStops(stops, options = {}) {
+    this.stops = stops
+      .map((stop, index) => this.normalize(stop, index))
+      .sort((a, b) => a.order - b.order);
+
+    if (!options.silent) {
+      console.log(`🚏 Stop registry updated: ${this.stops.length} stops`);
+      this.notifyChange();
+    }
+  }
+
+  normalize(definition, index) {
+    // Formats like GPX only carry a name; keep what is already known about the same stop
+    const known = definition.id ? this.getStop(definition.id) : null;
+    const stop = known ? { ...known, ...definition } : definition;
+
+    const names = { ...(known ? known.names : {}), ...(stop.names || {}) };
+    // A plain `name` (e.g. edited in the route editor) is the English name
+    if (stop.name) names[DEFAULT_LOCALE] = stop.name;
+    if (!names[DEFAULT_LOCALE]) names[DEFAULT_LOCALE] = stop.id;
+
+    const polygon = Array.isArray(stop.polygon) && stop.polygon.length >= 3
+      ? stop.polygon.map(({ lat, lon }) => ({ lat: Number(lat), lon: Number(lon) }))
+      : null;
+    const centre = polygon && (stop.lat === undefined || stop.lon === undefined) ? this.getCentroid(polygon) : stop;
+
+    return {
+      id: stop.id || names[DEFAULT_LOCALE].toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name: names[DEFAULT_LOCALE],
+      names,
+      lat: Number(centre.lat),
+      lon: Number(centre.lon),
+      radius: Number(stop.radius) > 0 ? Number(stop.radius) : DEFAULT_RADIUS,
+      polygon,
+      order: Number.isFinite(Number(stop.order)) && stop.order !== null ? Number(stop.order) : index + 1,
+      accessibility: {
+        stepFree: null,
+        shelter: null,
+        seating: null,
+        notes: '',
+        ...(stop.accessibility || {})
+      }
+    };
+  }
+
+  /**
+   * Stops in route order
+   */
+  getStops() {
+    return this.stops;
+  }
+
+  getStop(id) {
+    return this.stops.find(stop => stop.id === id) || null;
+  }
+
+  /**
+   * Display name of a stop, falling back to English
+   * @param {Object|string} stop - Stop, stop summary ({ id, name }) or stop id
+   * @param {string} locale - e.g. 'en', 'th'
+   */
+  getName(stop, locale = DEFAULT_LOCALE) {
+    if (!stop) return '';
+    const entry = this.getStop(typeof stop === 'string' ? stop : stop.id) || stop;
+    if (typeof entry === 'string') return entry;
+    return (entry.names && entry.names[locale]) || entry.name;
+  }
+
+  /**
+   * Is a position inside a stop's geofence?
+   */
+  contains(stop, position) {
+    if (stop.polygon) {
+      return this.pointInPolygon(projection.toENU(position.lat, position.lon), stop.polygon);
+    }
+    return projection.distance(stop, position) <= stop.radius;
+  }
+
+  /**
+   * How far a position is outside a stop's geofence (metres, 0 when inside)
+   */
+  distanceTo(stop, position) {
+    if (stop.polygon) {
+      const point = projection.toENU(position.lat, position.lon);
+      if (this.pointInPolygon(point, stop.polygon)) return 0;
+
+      return stop.polygon.reduce((nearest, vertex, i) => {
+        const next = stop.polygon[(i + 1) % stop.polygon.length];
+        return Math.min(nearest, this.closestApproach(vertex, next, position).distance);
+      }, Infinity);
+    }
+    return Math.max(0, projection.distance(stop, position) - stop.radius);
+  }
+
+  /**
+   * Where a straight move from `from` to `to` first comes within a stop's geofence
+   * @returns {number|null} - Fraction along the move (0..1), or null if it never does
+   */
+  findEntry(stop, from, to) {
+    if (stop.polygon) {
+      const a = projection.toENU(from.lat, from.lon);
+      const b = projection.toENU(to.lat, to.lon);
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.east - a.east, b.north - a.north) / POLYGON_STEP));
+      for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const point = { east: a.east + (b.east - a.east) * t, north: a.north + (b.north - a.north) * t };
+        if (this.pointInPolygon(point, stop.polygon)) return t;
+      }
+      return null;
+    }
+
+    const { distance, t } = this.closestApproach(from, to, stop);
+    return distance <= stop.radius ? t : null;
+  }
+
+  // Closest distance (metres) from a stop to the segment a->b, and where along it (0..1)
+  closestApproach(a, b, stop) {
+    // Work in the shared campus tangent plane, relative to the stop
+    const origin = projection.toENU(stop.lat, stop.lon);
+    const start = projection.toENU(a.lat, a.lon);
+    const end = projection.toENU(b.lat, b.lon);
+    const ax = start.east - origin.east;
+    const ay = start.north - origin.north;
+    const dx = end.east - start.east;
+    const dy = end.north - start.north;
+
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 1;
+    const px = ax + dx * t;
+    const py = ay + dy * t;
+
+    return { distance: Math.sqrt(px * px + py * py), t };
+  }
+
+  // Ray casting in the tangent plane
+  pointInPolygon(point, polygon) {
+    const vertices = polygon.map(vertex => projection.toENU(vertex.lat, vertex.lon));
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i];
+      const b = vertices[j];
+      if ((a.north > point.north) !== (b.north > point.north) &&
+          point.east < (b.east - a.east) * (point.north - a.north) / (b.north - a.north) + a.east) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  getCentroid(polygon) {
+    const sum = polygon.reduce((acc, { lat, lon }) => ({ lat: acc.lat + lat, lon: acc.lon + lon }), { lat: 0, lon: 0 });
+    return { lat: sum.lat / polygon.length, lon: sum.lon / polygon.length };
+  }
+
+  /**
+   * Subscribe to the stops being replaced
+   * @returns {Function} - Unsubscribe function
+   */
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      const index = this.changeCallbacks.indexOf(callback);
+      if (index > -1) this.changeCallbacks.splice(index, 1);
+    };
+  }
+
+  notifyChange() {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(this.stops);
+      } catch (error) {
+        console.error('Error in stop registry change callback:', error);
+      }
+    });
+  }
+}
+
+// Shared registry used by every component
+export const stopRegistry = new StopRegistry();
+
+export default StopRegistry;
@@ -0,0 +1,305 @@
+/**
+ * TripHistory - Keeps every GPS fix and tram event in IndexedDB and summarises each day
+ *
+ * Fixes come straight from the GPS service (not the per-frame interpolated positions),
+ * including the ones backfilled after a reconnect;
+ * stop arrivals/departures, service state changes and completed loops come from each
+ * attached TramTracker. Everything is tagged with the tram's loop number so a day can
+ * be broken down loop by loop. Replayed and simulated data are never stored.
+ */
+import TripHistoryStore, { toDay } from './TripHistoryStore.js';
+import { downloadText } from '../utils/geoFormats.js';
+
+// Service states that count as time in service
+const IN_SERVICE_STATES = ['in_service', 'dwelling'];
+
+// Columns of the CSV export, one row per fix or event
+const CSV_COLUMNS = ['type', 'tramId', 'time', 'loop', 'lat', 'lon', 'speed', 'heading', 'stopId', 'stop', 'dwellMs', 'from', 'to', 'reason', 'durationMs'];
+
+class TripHistory {
+  /**
+   * @param {WebSocketGPSService} gpsService - Service whose fixes are stored
+   * @param {Object} options
+   * @param {TripHistoryStore} options.store - Storage (defaults to IndexedDB with the retention options below)
+   * @param {number} options.maxAgeDays - Days of history kept
+   * @param {number} options.maxFixes - Fixes kept in total
+   * @param {number} options.flushInterval - How often buffered records are written (ms)
+   */
+  constructor(gpsService, options = {}) {
+    this.gpsService = gpsService;
+    this.store = options.store || new TripHistoryStore({ maxAgeDays: options.maxAgeDays, maxFixes: options.maxFixes });
+    this.flushInterval = options.flushInterval || 5000;
+
+    // Written in batches, one transaction per store per flush
+    this.pending = { fixes: [], events: [] };
+    this.trackers = new Map(); // tramId -> { tracker, unsubscribe }
+    this.unsubscribeGPS = null;
+    this.unsubscribeBackfill = null;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start storing fixes and apply the retention limits
+   */
+  start() {
+    if (this.unsubscribeGPS) return;
+
+    this.unsubscribeGPS = this.gpsService.onGPSUpdate((gpsData) => this.recordFix(gpsData));
+    // Positions missed while disconnected are real history too
+    this.unsubscribeBackfill = this.gpsService.onBackfill(({ vehicleId, fixes }) => {
+      fixes.forEach(fix => this.storeFix(vehicleId, fix));
+    });
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    this.store.prune().catch(error => console.warn('⚠️ Could not prune trip history:', error));
+    console.log('🗂️ Trip history recording started');
+  }
+
+  /**
+   * Stop storing fixes; resolves once buffered records are written
+   */
+  stop() {
+    if (this.unsubscribeGPS) {
+      this.unsubscribeGPS();
+      this.unsubscribeGPS = null;
+    }
+    if (this.unsubscribeBackfill) {
+      this.unsubscribeBackfill();
+      this.unsubscribeBackfill = null;
+    }
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    return this.flush();
+  }
+
+  /**
+   * Store a tram's stop events, service state changes and completed loops
+   * @returns {Function} - Stops listening to the tracker
+   */
+  attachTracker(tracker) {
+    this.detachTracker(tracker.tramId);
+
+    const event = (type, timestamp, fields) => {
+      // The tracker follows simulated and replayed data too; only real runs are history
+      if (tracker.feed.dataMode !== 'live') return;
+      this.pending.events.push({ type, tramId: tracker.tramId, timestamp, loop: tracker.loop, ...fields });
+    };
+
+    const unsubscribers = [
+      tracker.onStopArrival(({ stop, arrivedAt, loop }) => {
+        event('arrival', arrivedAt, { loop, stopId: stop.id, stop: stop.name });
+      }),
+      tracker.onStopDeparture(({ stop, departedAt, dwellMs, loop }) => {
+        event('departure', departedAt, { loop, stopId: stop.id, stop: stop.name, dwellMs });
+      }),
+      tracker.onServiceStateChange(({ from, to, at, reason }) => {
+        event('state', at, { from, to, reason });
+      }),
+      tracker.onLoopComplete(({ loop, startedAt, completedAt, durationMs }) => {
+        event('loop', completedAt, { loop, startedAt, durationMs });
+      })
+    ];
+
+    const unsubscribe = () => unsubscribers.forEach(off => off());
+    this.trackers.set(tracker.tramId, { tracker, unsubscribe });
+    return unsubscribe;
+  }
+
+  detachTracker(tramId) {
+    const entry = this.trackers.get(tramId);
+    if (entry) {
+      entry.unsubscribe();
+      this.trackers.delete(tramId);
+    }
+  }
+
+  recordFix(gpsData) {
+    if (gpsData.simulated || gpsData.source === 'replay' || !gpsData.current) return;
+    this.storeFix(gpsData.vehicleId, gpsData.current);
+  }
+
+  storeFix(tramId, { lat, lon, timestamp, speed, heading }) {
+    const time = new Date(timestamp).getTime();
+    const entry = this.trackers.get(tramId);
+    this.pending.fixes.push({
+      tramId,
+      timestamp: isNaN(time) ? Date.now() : time,
+      lat,
+      lon,
+      speed: speed ?? null,
+      heading: heading ?? null,
+      loop: entry ? entry.tracker.loop : null
+    });
+  }
+
+  /**
+   * Write buffered records; each store is written on its own, and a batch that fails
+   * goes back into the buffer to be tried again on the next flush
+   */
+  async flush() {
+    const batches = this.pending;
+    this.pending = { fixes: [], events: [] };
+
+    await Promise.all(['fixes', 'events'].map(async storeName => {
+      try {
+        await this.store.add(storeName, batches[storeName]);
+      } catch (error) {
+        console.warn(`⚠️ Could not save trip history ${storeName}, will retry:`, error);
+        this.pending[storeName] = [...batches[storeName], ...this.pending[storeName]];
+      }
+    }));
+  }
+
+  /**
+   * Days with history, newest first
+   */
+  async getDays() {
+    await this.flush();
+    return this.store.getDays();
+  }
+
+  /**
+   * A day's fixes, events and summary
+   * @param {string} day - "YYYY-MM-DD" (defaults to today)
+   * @returns {Promise<Object>} - { day, fixes, events, summary }
+   */
+  async getDay(day = toDay(Date.now())) {
+    await this.flush();
+    const { fixes, events } = await this.store.getDay(day);
+    return { day, fixes, events, summary: this.summarize(day, fixes, events) };
+  }
+
+  /**
+   * Fixes and events between two times, for playback
+   * @param {number} from - Start time (ms)
+   * @param {number} to - End time (ms)
+   * @returns {Promise<Object>} - { fixes, events }
+   */
+  async getRange(from, to) {
+    await this.flush();
+    return this.store.getRange(from, to);
+  }
+
+  /**
+   * Daily summary: loops, loop times, time in service and dwell per stop
+   * @returns {Object} - { day, trams, fixCount, loopsCompleted, averageLoopMs, timeInServiceMs, loops, stops }
+   */
+  summarize(day, fixes, events) {
+    const loops = events
+      .filter(event => event.type === 'loop')
+      .map(({ tramId, loop, startedAt, timestamp, durationMs }) => ({ tramId, loop, startedAt, completedAt: timestamp, durationMs }));
+    // Loops joined part way round have no duration and don't count towards the average
+    const timedLoops = loops.filter(loop => loop.durationMs !== null);
+
+    return {
+      day,
+      trams: Array.from(new Set([...fixes, ...events].map(record => record.tramId))),
+      fixCount: fixes.length,
+      loopsCompleted: timedLoops.length,
+      averageLoopMs: timedLoops.length > 0
+        ? timedLoops.reduce((sum, loop) => sum + loop.durationMs, 0) / timedLoops.length
+        : null,
+      timeInServiceMs: this.getTimeInService(day, fixes, events),
+      loops,
+      stops: this.getDwellStats(events)
+    };
+  }
+
+  // Time spent in service states, per tram, from the state changes of the day. A tram's
+  // last state runs until the last thing recorded for it, not until now: a tram that
+  // stopped reporting isn't known to still be in service.
+  getTimeInService(day, fixes, events) {
+    const endOfDay = new Date(`${day}T00:00:00`).getTime() + 24 * 60 * 60 * 1000;
+    const lastSeen = new Map();
+    [...fixes, ...events].forEach(({ tramId, timestamp }) => {
+      lastSeen.set(tramId, Math.max(lastSeen.get(tramId) ?? timestamp, timestamp));
+    });
+
+    const byTram = new Map();
+    events.filter(event => event.type === 'state').forEach(event => {
+      if (!byTram.has(event.tramId)) byTram.set(event.tramId, []);
+      byTram.get(event.tramId).push(event);
+    });
+
+    let total = 0;
+    byTram.forEach((changes, tramId) => {
+      const end = Math.min(endOfDay, lastSeen.get(tramId));
+      changes.forEach((change, index) => {
+        if (!IN_SERVICE_STATES.includes(change.to)) return;
+        const next = changes[index + 1];
+        total += Math.max(0, (next ? next.timestamp : end) - change.timestamp);
+      });
+    });
+    return Math.max(0, total);
+  }
+
+  // Visits and dwell times per stop, from departures
+  getDwellStats(events) {
+    const stops = new Map();
+    events.filter(event => event.type === 'departure').forEach(({ stopId, stop, dwellMs }) => {
+      if (!stops.has(stopId)) stops.set(stopId, { stopId, name: stop, dwells: [] });
+      stops.get(stopId).dwells.push(dwellMs);
+    });
+
+    return Array.from(stops.values()).map(({ stopId, name, dwells }) => ({
+      stopId,
+      name,
+      visits: dwells.length,
+      averageDwellMs: dwells.reduce((sum, dwell) => sum + dwell, 0) / dwells.length,
+      minDwellMs: Math.min(...dwells),
+      maxDwellMs: Math.max(...dwells)
+    }));
+  }
+
+  /**
+   * Serialize a day as JSON ({ day, summary, fixes, events }) or CSV (one row per fix or event)
+   * @returns {Promise<Object>} - { content, mimeType, extension }
+   */
+  async exportDay(day, format = 'json') {
+    const data = await this.getDay(day);
+
+    if (format === 'csv') {
+      const rows = [
+        ...data.fixes.map(fix => ({ type: 'fix', ...fix })),
+        ...data.events
+      ].sort((a, b) => a.timestamp - b.timestamp);
+
+      const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const lines = rows.map(row => CSV_COLUMNS.map(column =>
+        escape(column === 'time' ? new Date(row.timestamp).toISOString() : row[column])
+      ).join(','));
+
+      return { content: [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n', mimeType: 'text/csv', extension: 'csv' };
+    }
+
+    const strip = ({ id, day: _day, ...record }) => record;
+    const content = JSON.stringify({
+      day: data.day,
+      summary: data.summary,
+      fixes: data.fixes.map(strip),
+      events: data.events.map(strip)
+    }, null, 2);
+    return { content, mimeType: 'application/json', extension: 'json' };
+  }
+
+  /**
+   * Trigger a browser download of a day's history
+   */
+  async download(day, format = 'json') {
+    const { content, mimeType, extension } = await this.exportDay(day, format);
+    downloadText(content, `tram-history-${day}.${extension}`, mimeType);
+  }
+
+  dispose() {
+    this.trackers.forEach(({ unsubscribe }) => unsubscribe());
+    this.trackers.clear();
+    this.stop().finally(() => this.store.close());
+  }
+}
+
+export default TripHistory;
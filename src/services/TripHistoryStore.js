@@ -0,0 +1,223 @@
+/**
+ * TripHistoryStore - IndexedDB persistence for GPS fixes and tram events
+ *
+ * Two object stores, both indexed by local day ("YYYY-MM-DD") and timestamp:
+ *   fixes  - { tramId, day, timestamp, lat, lon, speed, heading, loop }
+ *   events - { tramId, day, timestamp, type, loop, ... } where type is
+ *            'arrival' | 'departure' | 'state' | 'loop'
+ * Old records are pruned by age and the fix count is capped. Without IndexedDB
+ * (private browsing, Node) every call resolves empty so history simply isn't kept.
+ */
+
+const DB_NAME = 'au-tram-history';
+const DB_VERSION = 1;
+const STORES = ['fixes', 'events'];
+
+// Local calendar day of a timestamp, used to group records
+export function toDay(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class TripHistoryStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxAgeDays - Records older than this are deleted
+   * @param {number} options.maxFixes - Oldest fixes are deleted beyond this count
+   */
+  constructor(options = {}) {
+    this.maxAgeDays = options.maxAgeDays ?? 30;
+    this.maxFixes = options.maxFixes ?? 200000;
+    this.db = null;
+    this.opening = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (!this.isAvailable()) return Promise.resolve(null);
+    if (this.opening) return this.opening;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      STORES.forEach(name => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('day', 'day');
+        store.createIndex('timestamp', 'timestamp');
+      });
+    };
+
+    this.opening = promisify(request)
+      .then(db => {
+        this.db = db;
+        return db;
+      })
+      .catch(error => {
+        console.warn('⚠️ Trip history unavailable, IndexedDB could not be opened:', error);
+        return null;
+      })
+      .finally(() => {
+        this.opening = null;
+      });
+    return this.opening;
+  }
+
+  /**
+   * Add records to a store in one transaction
+   * @param {string} storeName - 'fixes' or 'events'
+   * @param {Array} records - Records with a timestamp (day is filled in)
+   */
+  async add(storeName, records) {
+    const db = await this.open();
+    if (!db || records.length === 0) return;
+
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    records.forEach(record => store.add({ ...record, day: record.day || toDay(record.timestamp) }));
+    await this.complete(transaction);
+  }
+
+  complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Every fix and event recorded on a day, oldest first
+   * @param {string} day - "YYYY-MM-DD"
+   * @returns {Promise<Object>} - { fixes, events }
+   */
+  async getDay(day) {
+    const db = await this.open();
+    if (!db) return { fixes: [], events: [] };
+
+    const transaction = db.transaction(STORES, 'readonly');
+    const byTime = (a, b) => a.timestamp - b.timestamp;
+    const [fixes, events] = await Promise.all(STORES.map(name =>
+      promisify(transaction.objectStore(name).index('day').getAll(day))
+    ));
+    return { fixes: fixes.sort(byTime), events: events.sort(byTime) };
+  }
+
+  /**
+   * Every fix and event recorded between two times, oldest first
+   * @param {number} from - Start time (ms, inclusive)
+   * @param {number} to - End time (ms, inclusive)
+   * @returns {Promise<Object>} - { fixes, events }
+   */
+  async getRange(from, to) {
+    const db = await this.open();
+    if (!db || !(to >= from)) return { fixes: [], events: [] };
+
+    // The timestamp index already returns records in time order
+    const range = IDBKeyRange.bound(from, to);
+    const transaction = db.transaction(STORES, 'readonly');
+    const [fixes, events] = await Promise.all(STORES.map(name =>
+      promisify(transaction.objectStore(name).index('timestamp').getAll(range))
+    ));
+    return { fixes, events };
+  }
+
+  /**
+   * Days with any recorded data, newest first
+   * @returns {Promise<Array>} - ["YYYY-MM-DD", ...]
+   */
+  async getDays() {
+    const db = await this.open();
+    if (!db) return [];
+
+    const days = new Set();
+    const transaction = db.transaction(STORES, 'readonly');
+    await Promise.all(STORES.map(name => new Promise((resolve, reject) => {
+      const request = transaction.objectStore(name).index('day').openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        days.add(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })));
+    return Array.from(days).sort().reverse();
+  }
+
+  /**
+   * Apply the retention limits
+   */
+  async prune(now = Date.now()) {
+    const db = await this.open();
+    if (!db) return;
+
+    const cutoff = IDBKeyRange.upperBound(now - this.maxAgeDays * 24 * 60 * 60 * 1000, true);
+    const byAge = db.transaction(STORES, 'readwrite');
+    STORES.forEach(name => this.deleteWhere(byAge.objectStore(name).index('timestamp').openCursor(cutoff)));
+    await this.complete(byAge);
+
+    // Then cap the fix count, dropping the oldest (queued from the count callback so
+    // the transaction stays active)
+    const byCount = db.transaction('fixes', 'readwrite');
+    const fixes = byCount.objectStore('fixes');
+    const countRequest = fixes.count();
+    countRequest.onsuccess = () => {
+      const excess = countRequest.result - this.maxFixes;
+      if (excess > 0) {
+        this.deleteWhere(fixes.index('timestamp').openCursor(), excess);
+      }
+    };
+    await this.complete(byCount);
+  }
+
+  // Delete the records a cursor request walks over (up to a limit)
+  deleteWhere(request, limit = Infinity) {
+    let deleted = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || deleted >= limit) return;
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+  }
+
+  async clear() {
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction(STORES, 'readwrite');
+    STORES.forEach(name => transaction.objectStore(name).clear());
+    await this.complete(transaction);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default TripHistoryStore;
@@ -1,39 +1,86 @@
 // WebSocket-based GPS Service
 // Replaces HTTP polling with real-time WebSocket connection
+// The wire protocol is delegated to a transport adapter (socket.io, WebSocket, SSE, long-polling)
 
-import { io } from 'socket.io-client';
+import { createTransport } from './transports/index.js';
+import { parseGPSMessage } from './gpsProtocol.js';
+import RouteSimulator from './RouteSimulator.js';
+import GPSFilter from './GPSFilter.js';
+import RouteNetwork from '../utils/RouteNetwork.js';
+import { routeNetwork, CAMPUS_LOOP } from '../config/routeNetwork.js';
+
+// Sources that are not real positions from the backend
+const NON_LIVE_SOURCES = ['simulation', 'replay'];
 
 class WebSocketGPSService {
   constructor(config = {}) {
     // WebSocket configuration
     this.config = {
       serverUrl: config.serverUrl || this.getDefaultServerUrl(),
+      transport: config.transport || import.meta.env?.VITE_GPS_TRANSPORT || 'socketio',
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
       timeout: 5000,
+      defaultVehicleId: 'tram_01',
+      backfillTimeout: 5000, // give up waiting for missed positions after this long
+      simulation: true,               // drive a simulated tram along the route when offline
+      simulationDelay: 10000,         // offline this long before simulating
+      simulationInterval: 2000,       // ms between simulated fixes
+      simulationRetryInterval: 30000, // keep retrying the backend while simulating
+      simulationSpeedKmh: 15,
+      simulationDwellSeconds: 30,
+      simulationRoute: null,          // route points the simulated tram drives (defaults to the campus loop)
+      simulationStops: null,          // stops the simulated tram dwells at (defaults to the stop registry)
+      filter: { enabled: true, kalman: {} }, // Kalman smoothing of incoming fixes
       ...config
     };
     
-    this.socket = null;
+    this.transport = null;
     this.isConnected = false;
     this.connectionAttempts = 0;
     this.maxConnectionAttempts = 5;
     
-    // GPS data cache
+    // GPS data cache (mirrors the most recently updated vehicle)
     this.currentGPS = null;
     this.previousGPS = null;
     
+    // Per-vehicle GPS cache, keyed by vehicle id
+    this.vehicles = new Map();
+    
+    // Jitter smoothing; vehicle.current holds the filtered fix, vehicle.raw the received one
+    this.gpsFilter = new GPSFilter(this.config.filter);
+    
     // Event callbacks
     this.onGPSUpdateCallbacks = [];
     this.onConnectionChangeCallbacks = [];
     this.onErrorCallbacks = [];
+    this.onVehicleOfflineCallbacks = [];
+    this.onRawDataCallbacks = [];
+    this.onBackfillCallbacks = [];
+    this.onModeChangeCallbacks = [];
+    
+    // Simulation fallback state
+    this.isSimulating = false;
+    this.simulationTimer = null;
+    this.simulationFallbackTimer = null;
+    this.simulationRetryTimer = null;
+    this.lastSimulationTick = null;
+    
+    // Reconnect backfill: live messages are held back until missed positions arrive
+    this.hasConnectedBefore = false;
+    this.awaitingBackfill = false;
+    this.backfillBuffer = [];
+    this.backfillTimer = null;
+    
+    // When paused, transport GPS events are ignored (e.g. while replaying a recording)
+    this.liveUpdatesPaused = false;
     
     // Fallback simulation data
     this.initializeSimulationData();
     
     console.log('🔌 WebSocket GPS Service: Initializing...');
-    console.log('🌐 Server URL:', this.config.serverUrl);
+    console.log('🌐 Server URL:', this.config.serverUrl, `(${this.config.transport})`);
     
     // Initialize connection
     this.connect();
@@ -63,42 +110,64 @@ class WebSocketGPSService {
   }
   
   connect() {
-    if (this.socket) {
-      this.socket.disconnect();
+    if (this.transport) {
+      this.transport.disconnect();
     }
     
-    console.log('🔌 Attempting WebSocket connection to:', this.config.serverUrl);
-    
-    this.socket = io(this.config.serverUrl, {
-      transports: ['websocket', 'polling'],
-      upgrade: true,
-      rememberUpgrade: true,
-      autoConnect: true,
-      reconnection: this.config.reconnection,
-      reconnectionAttempts: this.config.reconnectionAttempts,
-      reconnectionDelay: this.config.reconnectionDelay,
-      timeout: this.config.timeout
-    });
+    console.log(`🔌 Attempting ${this.config.transport} connection to:`, this.config.serverUrl);
+    
+    try {
+      this.transport = createTransport(this.config.transport, this.config.serverUrl, {
+        reconnection: this.config.reconnection,
+        reconnectionAttempts: this.config.reconnectionAttempts,
+        reconnectionDelay: this.config.reconnectionDelay,
+        timeout: this.config.timeout,
+        ...this.config.transportOptions
+      });
+    } catch (error) {
+      console.error('❌ Failed to create GPS transport:', error.message);
+      this.transport = null;
+      this.notifyError(error.message);
+      return;
+    }
     
     this.setupEventHandlers();
+    this.transport.connect();
+    
+    // Simulate if the backend does not come up in time
+    this.scheduleSimulationFallback();
   }
   
   setupEventHandlers() {
     // Connection events
-    this.socket.on('connect', () => {
-      console.log('✅ WebSocket connected:', this.socket.id);
+    this.transport.on('connect', () => {
+      console.log('✅ WebSocket connected:', this.transport.id);
       this.isConnected = true;
       this.connectionAttempts = 0;
+      
+      // Live data is back - stop simulating
+      clearTimeout(this.simulationFallbackTimer);
+      this.simulationFallbackTimer = null;
+      if (this.isSimulating) {
+        this.stopSimulation();
+      }
+      
       this.notifyConnectionChange(true);
       
-      // Request initial GPS data
-      this.requestGPSData();
+      // On reconnect ask for everything missed since the last fix; otherwise just the latest
+      if (this.hasConnectedBefore && this.vehicles.size > 0) {
+        this.requestBackfill();
+      } else {
+        this.requestGPSData();
+      }
+      this.hasConnectedBefore = true;
     });
     
-    this.socket.on('disconnect', (reason) => {
+    this.transport.on('disconnect', (reason) => {
       console.log('🔌 WebSocket disconnected:', reason);
       this.isConnected = false;
       this.notifyConnectionChange(false);
+      this.scheduleSimulationFallback();
       
       if (reason === 'io server disconnect') {
         // Server initiated disconnect - try to reconnect
@@ -106,80 +175,353 @@ class WebSocketGPSService {
       }
     });
     
-    this.socket.on('connect_error', (error) => {
+    this.transport.on('connect_error', (error) => {
       console.warn('❌ WebSocket connection error:', error.message);
       this.connectionAttempts++;
       
       if (this.connectionAttempts >= this.maxConnectionAttempts) {
         console.warn('⚠️ Max connection attempts reached, falling back to simulation');
         this.notifyError('Connection failed, using simulation data');
+        if (this.config.simulation && !this.isSimulating) {
+          this.startSimulation();
+        }
       }
     });
     
     // GPS data events
-    this.socket.on('welcome', (data) => {
+    this.transport.on('welcome', (data) => {
       console.log('👋 Server welcome:', data.message);
     });
     
-    this.socket.on('gps-data', (data) => {
+    this.transport.on('gps-data', (data) => {
       console.log('📍 GPS data received via request:', data);
+      if (this.liveUpdatesPaused) return;
+      if (this.bufferDuringBackfill(data, 'websocket-request')) return;
       this.processGPSData(data, 'websocket-request');
     });
     
-    this.socket.on('gps-data-update', (data) => {
+    this.transport.on('gps-data-update', (data) => {
       console.log('📡 GPS data broadcast received:', data);
+      if (this.liveUpdatesPaused) return;
+      if (this.bufferDuringBackfill(data, 'websocket-broadcast')) return;
       this.processGPSData(data, 'websocket-broadcast');
     });
     
-    this.socket.on('gps-error', (error) => {
+    this.transport.on('gps-backfill', (data) => {
+      console.log('⏪ GPS backfill received');
+      if (this.liveUpdatesPaused) {
+        // Dropped like other live data during a replay; resuming requests the latest positions
+        this.finishBackfill();
+        return;
+      }
+      this.processBackfill(data);
+    });
+    
+    this.transport.on('gps-error', (error) => {
       console.warn('❌ GPS data error:', error);
-      this.notifyError(error.message || 'GPS data error');
+      this.notifyError((error && error.message) || 'GPS data error');
     });
     
     // Utility events
-    this.socket.on('pong', (data) => {
+    this.transport.on('pong', (data) => {
       console.log('🏓 Pong received, latency:', Date.now() - data.timestamp, 'ms');
     });
   }
   
   processGPSData(gpsData, source) {
-    if (!this.isValidGPSData(gpsData.c) || !this.isValidGPSData(gpsData.p)) {
-      console.warn('⚠️ Invalid GPS data received:', gpsData);
+    this.notifyRawData(gpsData, source);
+    
+    // Validate against the protocol schema (v0 payloads are upgraded to v1 first)
+    const { reports, errors } = parseGPSMessage(gpsData, {
+      defaultVehicleId: this.config.defaultVehicleId
+    });
+    
+    errors.forEach(error => {
+      console.warn(`⚠️ Invalid GPS data received (${error.code}):`, error.message);
+      this.notifyError(error);
+    });
+    
+    reports.forEach(report => {
+      try {
+        this.processReport(report, source);
+      } catch (error) {
+        console.error(`❌ Failed to process GPS report for ${report.vehicleId}:`, error);
+      }
+    });
+  }
+  
+  processReport(report, source) {
+    const { vehicleId } = report;
+    
+    if (report.status === 'offline') {
+      this.markVehicleOffline(vehicleId);
       return;
     }
     
-    // Store previous GPS
-    this.previousGPS = this.currentGPS ? { ...this.currentGPS } : null;
+    const vehicle = this.vehicles.get(vehicleId) || { current: null, previous: null };
+    const raw = this.toGPSFix(report.position, new Date().toISOString());
+    const { fix, rejected } = this.gpsFilter.process(vehicleId, raw);
     
-    // Parse and store current GPS
-    this.currentGPS = {
-      lat: parseFloat(gpsData.c.lat),
-      lon: parseFloat(gpsData.c.lon),
-      timestamp: gpsData.c.t || new Date().toISOString()
-    };
+    vehicle.raw = raw;
+    vehicle.status = report.status || 'active';
+    vehicle.seq = report.seq !== undefined ? report.seq : null;
+    vehicle.lastSeen = Date.now();
     
-    // Update previous GPS if provided
-    if (gpsData.p) {
-      this.previousGPS = {
-        lat: parseFloat(gpsData.p.lat),
-        lon: parseFloat(gpsData.p.lon),
-        timestamp: gpsData.p.t || new Date(Date.now() - 5000).toISOString()
-      };
+    // Remember the last real backend position separately for reconnect backfill
+    if (!NON_LIVE_SOURCES.includes(source)) {
+      vehicle.live = { seq: vehicle.seq, timestamp: raw.timestamp, fix: raw };
     }
+    this.vehicles.set(vehicleId, vehicle);
+    
+    // Outliers still count as a sign of life but do not move the tram
+    if (rejected) {
+      console.warn(`🧹 Rejected outlier GPS fix for ${vehicleId}:`, raw.lat, raw.lon);
+      return;
+    }
+    
+    // Store previous GPS (an explicit previous fix in the report wins unless smoothing)
+    const reportedPrevious = report.previous
+      ? this.toGPSFix(report.previous, new Date(Date.now() - 5000).toISOString())
+      : null;
+    if (vehicle.current && (this.gpsFilter.enabled || !reportedPrevious)) {
+      vehicle.previous = { ...vehicle.current };
+    } else {
+      vehicle.previous = reportedPrevious;
+    }
+    
+    // Store current GPS
+    vehicle.current = fix;
+    
+    // Keep the single-vehicle cache in sync for legacy consumers
+    this.currentGPS = vehicle.current;
+    this.previousGPS = vehicle.previous;
     
     // Notify callbacks
     this.notifyGPSUpdate({
-      current: this.currentGPS,
-      previous: this.previousGPS,
-      status: gpsData.s || 'active',
+      vehicleId,
+      seq: vehicle.seq,
+      current: vehicle.current,
+      previous: vehicle.previous,
+      raw: vehicle.raw,
+      filtered: this.gpsFilter.enabled,
+      status: vehicle.status,
       source: source,
+      simulated: source === 'simulation',
       timestamp: Date.now()
     });
   }
   
+  // Convert a validated protocol fix to the { lat, lon, timestamp, ... } shape consumers use
+  toGPSFix(fix, fallbackTimestamp) {
+    const gps = {
+      lat: fix.lat,
+      lon: fix.lon,
+      timestamp: fix.timestamp || fallbackTimestamp
+    };
+    if (fix.heading !== undefined) gps.heading = fix.heading;
+    if (fix.speed !== undefined) gps.speed = fix.speed;
+    if (fix.accuracy !== undefined) gps.accuracy = fix.accuracy;
+    return gps;
+  }
+  
+  markVehicleOffline(vehicleId) {
+    console.log('📴 Vehicle went offline:', vehicleId);
+    this.vehicles.delete(vehicleId);
+    this.gpsFilter.reset(vehicleId);
+    this.notifyVehicleOffline(vehicleId);
+  }
+  
+  // Forget a vehicle's last fix so the next one starts afresh instead of being
+  // filtered against it (used when history playback jumps in time)
+  resetVehicleFix(vehicleId) {
+    const vehicle = this.vehicles.get(vehicleId);
+    if (vehicle) {
+      vehicle.current = null;
+      vehicle.previous = null;
+    }
+    this.gpsFilter.reset(vehicleId);
+  }
+  
+  // Live update control (used by replay sources)
+  pauseLiveUpdates() {
+    this.liveUpdatesPaused = true;
+    this.notifyModeChange(this.getDataMode());
+  }
+  
+  resumeLiveUpdates() {
+    this.liveUpdatesPaused = false;
+    this.notifyModeChange(this.getDataMode());
+    this.requestGPSData();
+  }
+  
+  /**
+   * Where positions currently come from: 'live', 'simulation' or 'replay'
+   */
+  getDataMode() {
+    if (this.liveUpdatesPaused) return 'replay';
+    return this.isSimulating ? 'simulation' : 'live';
+  }
+  
+  // Fleet accessors
+  getVehicleIds() {
+    return Array.from(this.vehicles.keys());
+  }
+  
+  getVehicleGPS(vehicleId) {
+    return this.vehicles.get(vehicleId) || null;
+  }
+  
+  /**
+   * Enable, disable or retune GPS smoothing
+   * @param {Object} options - { enabled, kalman: { processNoise, measurementNoise, outlierSigma, ... } }
+   */
+  configureFilter(options = {}) {
+    this.gpsFilter.configure(options);
+    console.log('🧹 GPS filter configured:', this.gpsFilter.getStatus());
+  }
+  
+  /**
+   * Drive the simulated tram along a different route (e.g. one imported from a file)
+   * @param {Array} route - Route points [{ lat, lon }]
+   * @param {Array} stops - Stops [{ name, lat, lon }] to dwell at, or null to keep the current ones
+   */
+  setSimulationRoute(route, stops = null) {
+    const position = this.simulator ? this.simulator.position : null;
+    
+    this.config.simulationRoute = route;
+    if (stops) this.config.simulationStops = stops;
+    this.initializeSimulationData();
+    
+    // Carry on from the same spot rather than jumping to the start of the new route
+    if (position) this.simulator.moveNear(position);
+  }
+  
+  /**
+   * Ask the server for every position since the last one seen per vehicle.
+   * Sends request-gps-backfill { since: { [vehicleId]: { seq, timestamp } } };
+   * the server answers with gps-backfill, a v1 batch ({ version: 1, reports: [...] }).
+   */
+  requestBackfill() {
+    if (!this.isConnected || !this.transport) return;
+    
+    const since = {};
+    for (const [vehicleId, vehicle] of this.vehicles) {
+      if (!vehicle.live) continue;
+      since[vehicleId] = {
+        seq: vehicle.live.seq,
+        timestamp: vehicle.live.timestamp
+      };
+    }
+    
+    console.log('⏪ Requesting missed GPS positions since:', since);
+    this.awaitingBackfill = true;
+    this.backfillBuffer = [];
+    clearTimeout(this.backfillTimer);
+    
+    // Servers without backfill support never answer; carry on with live data
+    this.backfillTimer = setTimeout(() => {
+      console.warn('⚠️ GPS backfill timed out, resuming live data');
+      this.finishBackfill();
+    }, this.config.backfillTimeout);
+    
+    this.transport.emit('request-gps-backfill', { since });
+  }
+  
+  bufferDuringBackfill(data, source) {
+    if (!this.awaitingBackfill) return false;
+    this.backfillBuffer.push({ data, source });
+    return true;
+  }
+  
+  processBackfill(message) {
+    this.notifyRawData(message, 'websocket-backfill');
+    
+    const { reports, errors } = parseGPSMessage(message, {
+      defaultVehicleId: this.config.defaultVehicleId
+    });
+    
+    errors.forEach(error => {
+      console.warn(`⚠️ Invalid GPS backfill data (${error.code}):`, error.message);
+      this.notifyError(error);
+    });
+    
+    // Group by vehicle and keep only positions newer than the last one seen
+    const byVehicle = new Map();
+    reports.forEach(report => {
+      if (report.status === 'offline' || !this.isNewerThanLastSeen(report)) return;
+      if (!byVehicle.has(report.vehicleId)) byVehicle.set(report.vehicleId, []);
+      byVehicle.get(report.vehicleId).push(report);
+    });
+    
+    for (const [vehicleId, vehicleReports] of byVehicle) {
+      vehicleReports.sort((a, b) => this.compareReports(a, b));
+      const rawFixes = vehicleReports.map(report => this.toGPSFix(report.position, new Date().toISOString()));
+      
+      // Smooth the missed positions in order so the filter state catches up as well
+      const fixes = rawFixes
+        .map(raw => this.gpsFilter.process(vehicleId, raw))
+        .filter(result => !result.rejected)
+        .map(result => result.fix);
+      
+      // Advance the cache to the last missed position without a live update
+      const last = vehicleReports[vehicleReports.length - 1];
+      const vehicle = this.vehicles.get(vehicleId) || { current: null, previous: null };
+      vehicle.raw = rawFixes[rawFixes.length - 1];
+      if (fixes.length > 0) {
+        vehicle.previous = fixes.length > 1 ? fixes[fixes.length - 2] : vehicle.current;
+        vehicle.current = fixes[fixes.length - 1];
+      }
+      vehicle.seq = last.seq !== undefined ? last.seq : vehicle.seq;
+      vehicle.status = last.status || 'active';
+      vehicle.lastSeen = Date.now();
+      vehicle.live = { seq: vehicle.seq, timestamp: vehicle.raw.timestamp, fix: vehicle.raw };
+      this.vehicles.set(vehicleId, vehicle);
+      
+      console.log(`⏪ Backfilled ${rawFixes.length} missed position(s) for ${vehicleId}`);
+      if (fixes.length > 0) {
+        this.notifyBackfill({ vehicleId, fixes, rawFixes, seq: vehicle.seq });
+      }
+    }
+    
+    this.finishBackfill();
+  }
+  
+  finishBackfill() {
+    clearTimeout(this.backfillTimer);
+    this.backfillTimer = null;
+    if (!this.awaitingBackfill) return;
+    
+    this.awaitingBackfill = false;
+    
+    // Live messages that arrived meanwhile are newer than the backfill
+    const buffered = this.backfillBuffer;
+    this.backfillBuffer = [];
+    if (this.liveUpdatesPaused) return;
+    buffered.forEach(({ data, source }) => this.processGPSData(data, source));
+    
+    this.requestGPSData();
+  }
+  
+  isNewerThanLastSeen(report) {
+    const vehicle = this.vehicles.get(report.vehicleId);
+    if (!vehicle || !vehicle.live) return true;
+    
+    if (report.seq !== undefined && vehicle.live.seq !== null && vehicle.live.seq !== undefined) {
+      return report.seq > vehicle.live.seq;
+    }
+    const reportTime = new Date(report.position.timestamp).getTime();
+    const lastTime = new Date(vehicle.live.timestamp).getTime();
+    return isNaN(reportTime) || isNaN(lastTime) ? true : reportTime > lastTime;
+  }
+  
+  compareReports(a, b) {
+    if (a.seq !== undefined && b.seq !== undefined) return a.seq - b.seq;
+    return new Date(a.position.timestamp).getTime() - new Date(b.position.timestamp).getTime();
+  }
+  
   requestGPSData() {
-    if (this.isConnected && this.socket) {
-      this.socket.emit('request-gps-data');
+    if (this.isConnected && this.transport) {
+      this.transport.emit('request-gps-data');
     } else {
       console.warn('⚠️ Cannot request GPS data - not connected');
     }
@@ -246,6 +588,41 @@ class WebSocketGPSService {
     };
   }
   
+  onVehicleOffline(callback) {
+    this.onVehicleOfflineCallbacks.push(callback);
+    return () => {
+      const index = this.onVehicleOfflineCallbacks.indexOf(callback);
+      if (index > -1) this.onVehicleOfflineCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Raw payloads exactly as passed to processGPSData or processBackfill, before validation
+  onRawData(callback) {
+    this.onRawDataCallbacks.push(callback);
+    return () => {
+      const index = this.onRawDataCallbacks.indexOf(callback);
+      if (index > -1) this.onRawDataCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Missed positions replayed after a reconnect: { vehicleId, fixes: [oldest..newest], seq }
+  onBackfill(callback) {
+    this.onBackfillCallbacks.push(callback);
+    return () => {
+      const index = this.onBackfillCallbacks.indexOf(callback);
+      if (index > -1) this.onBackfillCallbacks.splice(index, 1);
+    };
+  }
+  
+  // Data source changes: 'live' | 'simulation' | 'replay'
+  onModeChange(callback) {
+    this.onModeChangeCallbacks.push(callback);
+    return () => {
+      const index = this.onModeChangeCallbacks.indexOf(callback);
+      if (index > -1) this.onModeChangeCallbacks.splice(index, 1);
+    };
+  }
+  
   // Notification methods
   notifyGPSUpdate(data) {
     this.onGPSUpdateCallbacks.forEach(callback => {
@@ -277,40 +654,183 @@ class WebSocketGPSService {
     });
   }
   
+  notifyModeChange(mode) {
+    this.onModeChangeCallbacks.forEach(callback => {
+      try {
+        callback(mode);
+      } catch (error) {
+        console.error('Error in mode change callback:', error);
+      }
+    });
+  }
+  
+  notifyBackfill(data) {
+    this.onBackfillCallbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('Error in backfill callback:', error);
+      }
+    });
+  }
+  
+  notifyRawData(gpsData, source) {
+    const receivedAt = Date.now();
+    this.onRawDataCallbacks.forEach(callback => {
+      try {
+        callback(gpsData, source, receivedAt);
+      } catch (error) {
+        console.error('Error in raw data callback:', error);
+      }
+    });
+  }
+  
+  notifyVehicleOffline(vehicleId) {
+    this.onVehicleOfflineCallbacks.forEach(callback => {
+      try {
+        callback(vehicleId);
+      } catch (error) {
+        console.error('Error in vehicle offline callback:', error);
+      }
+    });
+  }
+  
   // Utility methods
   ping() {
-    if (this.isConnected && this.socket) {
-      this.socket.emit('ping');
+    if (this.isConnected && this.transport) {
+      this.transport.emit('ping', { timestamp: Date.now() });
     }
   }
   
   disconnect() {
-    if (this.socket) {
-      this.socket.disconnect();
-      this.socket = null;
+    this.clearSimulationTimers();
+    this.isSimulating = false;
+    clearTimeout(this.backfillTimer);
+    this.awaitingBackfill = false;
+    this.backfillBuffer = [];
+    
+    if (this.transport) {
+      this.transport.disconnect();
+      this.transport = null;
     }
     this.isConnected = false;
   }
   
-  // Simulation fallback (existing code)
+  // Simulation fallback - a virtual tram running along the route while the backend is down
   initializeSimulationData() {
-    this.currentGPS = {
-      lat: 13.612441,
-      lon: 100.836478,
-      timestamp: new Date().toISOString()
-    };
+    if (!this.config.simulationRoute) {
+      this.config.simulationRoute = new RouteNetwork(routeNetwork).getLoopPath(CAMPUS_LOOP);
+    }
+    this.simulator = new RouteSimulator(this.config.simulationRoute, {
+      speedKmh: this.config.simulationSpeedKmh,
+      dwellSeconds: this.config.simulationDwellSeconds,
+      stops: this.config.simulationStops
+    });
+    this.simulatedGPS = null;
+    this.simulatedPreviousGPS = null;
+  }
+  
+  scheduleSimulationFallback() {
+    if (!this.config.simulation || this.isSimulating || this.simulationFallbackTimer) return;
+    
+    this.simulationFallbackTimer = setTimeout(() => {
+      this.simulationFallbackTimer = null;
+      if (!this.isConnected) {
+        this.startSimulation();
+      }
+    }, this.config.simulationDelay);
+  }
+  
+  startSimulation() {
+    if (this.isSimulating) return;
+    
+    // Continue from where the default tram was last seen live
+    const vehicle = this.vehicles.get(this.config.defaultVehicleId);
+    if (vehicle && vehicle.live) {
+      this.simulator.moveNear(vehicle.live.fix);
+    }
+    
+    // Simulated fixes don't continue the live track, so smooth them afresh
+    this.gpsFilter.reset(this.config.defaultVehicleId);
+    
+    console.warn('🎭 GPS backend unavailable - simulating tram along the route');
+    this.isSimulating = true;
+    this.lastSimulationTick = Date.now();
+    
+    this.simulationStep();
+    this.simulationTimer = setInterval(() => this.simulationStep(), this.config.simulationInterval);
+    
+    // socket.io stops retrying after its attempts run out, so keep knocking
+    this.simulationRetryTimer = setInterval(() => {
+      if (!this.isConnected && !(this.transport && this.transport.connecting)) {
+        console.log('🔄 Retrying GPS backend while simulating...');
+        this.connect();
+      }
+    }, this.config.simulationRetryInterval);
+    
+    this.notifyModeChange(this.getDataMode());
+  }
+  
+  stopSimulation() {
+    if (!this.isSimulating) return;
+    
+    this.clearSimulationTimers();
+    this.isSimulating = false;
+    // ...and live fixes don't continue the simulated one
+    this.gpsFilter.reset(this.config.defaultVehicleId);
+    console.log('✅ Live GPS restored - simulation stopped');
+    this.notifyModeChange(this.getDataMode());
+  }
+  
+  clearSimulationTimers() {
+    clearInterval(this.simulationTimer);
+    clearInterval(this.simulationRetryTimer);
+    clearTimeout(this.simulationFallbackTimer);
+    this.simulationTimer = null;
+    this.simulationRetryTimer = null;
+    this.simulationFallbackTimer = null;
+  }
+  
+  simulationStep() {
+    this.sampleSimulator();
     
-    this.previousGPS = {
-      lat: 13.612412,
-      lon: 100.836585,
-      timestamp: new Date(Date.now() - 5000).toISOString()
+    // Replays own the stream while they run
+    if (this.liveUpdatesPaused) return;
+    
+    this.processGPSData({
+      version: 1,
+      vehicleId: this.config.defaultVehicleId,
+      status: 'active',
+      position: this.simulatedGPS
+    }, 'simulation');
+  }
+  
+  // Advance the virtual tram to now and cache its fix
+  sampleSimulator() {
+    const now = Date.now();
+    if (this.lastSimulationTick !== null) {
+      this.simulator.tick((now - this.lastSimulationTick) / 1000);
+    }
+    this.lastSimulationTick = now;
+    
+    this.simulatedPreviousGPS = this.simulatedGPS;
+    this.simulatedGPS = {
+      lat: this.simulator.position.lat,
+      lon: this.simulator.position.lon,
+      timestamp: new Date(now).toISOString(),
+      heading: this.simulator.heading,
+      speed: this.simulator.getSpeed()
     };
   }
   
   getSimulationData() {
+    if (!this.isSimulating) {
+      this.sampleSimulator();
+    }
+    
     return {
-      current: this.currentGPS,
-      previous: this.previousGPS,
+      current: this.simulatedGPS,
+      previous: this.simulatedPreviousGPS || this.simulatedGPS,
       fromCache: false,
       timestamp: Date.now(),
       status: 'simulated',
@@ -338,32 +858,36 @@ class WebSocketGPSService {
       connectionAttempts: this.connectionAttempts,
       maxConnectionAttempts: this.maxConnectionAttempts,
       lastUpdateTime: this.currentGPS ? this.currentGPS.timestamp : null,
+      vehicleCount: this.vehicles.size,
       environment: 'browser',
       connectionType: this.isConnected ? 'websocket' : 'simulation',
+      dataMode: this.getDataMode(),
+      filter: this.gpsFilter.getStatus(),
+      transport: this.config.transport,
       serverUrl: this.config.serverUrl,
-      socketId: this.socket ? this.socket.id : null
+      socketId: this.transport ? this.transport.id : null
     };
   }
 
   // Check if connection is healthy
   isConnectionHealthy() {
-    return this.isConnected && this.socket && this.socket.connected;
+    return this.isConnected && this.transport && this.transport.connected;
   }
 
   // Get connection state for debugging
   getConnectionState() {
-    if (!this.socket) return 'not_initialized';
-    if (this.socket.connected) return 'connected';
-    if (this.socket.connecting) return 'connecting';
-    if (this.socket.disconnected) return 'disconnected';
+    if (!this.transport) return 'not_initialized';
+    if (this.transport.connected) return 'connected';
+    if (this.transport.connecting) return 'connecting';
+    if (this.transport.disconnected) return 'disconnected';
     return 'unknown';
   }
 
   // Force reconnection
   forceReconnect() {
     console.log('🔄 Forcing WebSocket reconnection...');
-    if (this.socket) {
-      this.socket.disconnect();
+    if (this.transport) {
+      this.transport.disconnect();
     }
     setTimeout(() => this.connect(), 1000);
   }
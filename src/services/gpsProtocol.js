@@ -0,0 +1,286 @@
+/**
+ * GPS message protocol - schema, validation and v0 compatibility
+ *
+ * v1 messages carry an explicit version and readable field names:
+ *
+ *   {
+ *     "version": 1,
+ *     "vehicleId": "tram_01",          // optional, defaults to the service's default vehicle
+ *     "seq": 42,                       // optional, monotonically increasing per vehicle
+ *     "status": "active",              // optional: active | idle | offline
+ *     "position": {
+ *       "lat": 13.6125, "lon": 100.8365,
+ *       "timestamp": "2025-01-01T08:00:00Z",
+ *       "heading": 270,                // optional, degrees clockwise from north
+ *       "speed": 5.2,                  // optional, metres per second
+ *       "accuracy": 4                  // optional, metres (1 sigma)
+ *     },
+ *     "previous": { ... }              // optional, same shape as position
+ *   }
+ *
+ * A batch is { "version": 1, "reports": [ <report without version>, ... ] }.
+ *
+ * v0 messages are the original unversioned shapes: { c, p, s } with optional id,
+ * or fleets keyed by vehicle id ({ vehicles: { tram_01: { c, p, s } } } or { tram_01: { c, p, s } }).
+ * They are upgraded to v1 reports before validation.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+export const SUPPORTED_VERSIONS = [0, 1];
+
+export const VEHICLE_STATUSES = ['active', 'idle', 'offline'];
+
+// Error codes reported through WebSocketGPSService.onError
+export const GPS_ERROR_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE'
+};
+
+export class GPSProtocolError extends Error {
+  /**
+   * @param {string} code - One of GPS_ERROR_CODES
+   * @param {string} message - Human readable description
+   * @param {Object} details - Offending field path, vehicle id and raw payload
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'GPSProtocolError';
+    this.code = code;
+    this.field = details.field || null;
+    this.vehicleId = details.vehicleId || null;
+    this.payload = details.payload;
+  }
+}
+
+// Field schema for a single fix
+const FIX_SCHEMA = {
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lon: { type: 'number', required: true, min: -180, max: 180 },
+  timestamp: { type: 'timestamp', required: false },
+  heading: { type: 'number', required: false, min: 0, max: 360 },
+  speed: { type: 'number', required: false, min: 0 },
+  accuracy: { type: 'number', required: false, min: 0 }
+};
+
+// Field schema for a vehicle report
+const REPORT_SCHEMA = {
+  vehicleId: { type: 'string', required: false },
+  seq: { type: 'integer', required: false, min: 0 },
+  status: { type: 'enum', required: false, values: VEHICLE_STATUSES },
+  position: { type: 'fix', required: true },
+  previous: { type: 'fix', required: false }
+};
+
+// Numbers may arrive as numeric strings from older backends
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function validateValue(value, rule, path, context) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const number = toNumber(value);
+      if (isNaN(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.INVALID_TYPE, `${path} must be a ${rule.type}`, { ...context, field: path });
+      }
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.OUT_OF_RANGE, `${path} is out of range: ${number}`, { ...context, field: path });
+      }
+      return number;
+    }
+    case 'string':
+      if (typeof value !== 'string' || value === '') {
+        throw new GPSProtocolError(GPS_ERROR_CODES.INVALID_TYPE, `${path} must be a non-empty string`, { ...context, field: path });
+      }
+      return value;
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.OUT_OF_RANGE, `${path} must be one of ${rule.values.join(', ')}`, { ...context, field: path });
+      }
+      return value;
+    case 'timestamp': {
+      const time = typeof value === 'number' ? value : new Date(value).getTime();
+      if (isNaN(time)) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.INVALID_TYPE, `${path} must be an ISO date or epoch ms`, { ...context, field: path });
+      }
+      // Numbers beyond what a Date can hold (±8.64e15 ms) would make toISOString throw
+      if (!Number.isFinite(new Date(time).getTime())) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.OUT_OF_RANGE, `${path} is out of range: ${value}`, { ...context, field: path });
+      }
+      return new Date(time).toISOString();
+    }
+    case 'fix':
+      return validateObject(value, FIX_SCHEMA, path, context);
+    default:
+      return value;
+  }
+}
+
+function validateObject(object, schema, path, context) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw new GPSProtocolError(GPS_ERROR_CODES.INVALID_TYPE, `${path} must be an object`, { ...context, field: path });
+  }
+
+  const result = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = object[key];
+    const fieldPath = path ? `${path}.${key}` : key;
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        throw new GPSProtocolError(GPS_ERROR_CODES.MISSING_FIELD, `${fieldPath} is required`, { ...context, field: fieldPath });
+      }
+      return;
+    }
+
+    result[key] = validateValue(value, rule, fieldPath, context);
+  });
+  return result;
+}
+
+/**
+ * Validate one v1 vehicle report
+ * @param {Object} report - Report object
+ * @param {Object} context - Vehicle id and raw payload for error details
+ * @returns {Object} - Normalized report with numeric fields and ISO timestamps
+ */
+export function validateReport(report, context = {}) {
+  return validateObject(report, REPORT_SCHEMA, '', context);
+}
+
+// Convert a v0 fix { lat, lon, t } to a v1 fix
+function upgradeV0Fix(fix) {
+  if (!fix || typeof fix !== 'object') return fix;
+  return {
+    lat: fix.lat,
+    lon: fix.lon,
+    timestamp: fix.t
+  };
+}
+
+// Convert a v0 { c, p, s } entry to a v1 report
+function upgradeV0Entry(entry, vehicleId) {
+  const report = {
+    vehicleId,
+    status: entry.s === undefined ? undefined : entry.s,
+    position: upgradeV0Fix(entry.c),
+    previous: upgradeV0Fix(entry.p)
+  };
+
+  // v0 statuses other than offline were informational only
+  if (report.status !== undefined && !VEHICLE_STATUSES.includes(report.status)) {
+    report.status = 'active';
+  }
+
+  // Offline notices carry no position
+  if (report.status === 'offline' && !entry.c) {
+    report.position = undefined;
+  }
+  return report;
+}
+
+/**
+ * Upgrade a v0 (unversioned) message to a list of v1 reports
+ * @param {Object} message - v0 payload
+ * @param {string} defaultVehicleId - Vehicle id for single-tram payloads
+ * @returns {Array} - v1 reports
+ */
+export function upgradeV0Message(message, defaultVehicleId) {
+  if (message.c || message.s === 'offline') {
+    return [upgradeV0Entry(message, message.id || message.vehicleId || defaultVehicleId)];
+  }
+
+  const entries = message.vehicles || message;
+  return Object.entries(entries)
+    .filter(([, entry]) => entry && typeof entry === 'object')
+    .map(([vehicleId, entry]) => upgradeV0Entry(entry, vehicleId));
+}
+
+/**
+ * Detect the protocol version of a raw message
+ */
+export function getMessageVersion(message) {
+  if (message.version === undefined) return 0;
+  return message.version;
+}
+
+/**
+ * Parse and validate any supported GPS message
+ * Invalid reports are returned as errors; valid reports in the same batch are kept.
+ * @param {*} message - Raw payload from the transport
+ * @param {Object} options
+ * @param {string} options.defaultVehicleId - Vehicle id when a report has none
+ * @returns {{ version: number|null, reports: Array, errors: Array<GPSProtocolError> }}
+ */
+export function parseGPSMessage(message, options = {}) {
+  const defaultVehicleId = options.defaultVehicleId || 'tram_01';
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return {
+      version: null,
+      reports: [],
+      errors: [new GPSProtocolError(GPS_ERROR_CODES.INVALID_MESSAGE, 'GPS message must be an object', { payload: message })]
+    };
+  }
+
+  const version = getMessageVersion(message);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return {
+      version,
+      reports: [],
+      errors: [new GPSProtocolError(
+        GPS_ERROR_CODES.UNSUPPORTED_VERSION,
+        `Unsupported GPS protocol version ${version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`,
+        { payload: message }
+      )]
+    };
+  }
+
+  let rawReports;
+  if (version === 0) {
+    rawReports = upgradeV0Message(message, defaultVehicleId);
+  } else {
+    rawReports = Array.isArray(message.reports) ? message.reports : [message];
+  }
+
+  if (rawReports.length === 0) {
+    return {
+      version,
+      reports: [],
+      errors: [new GPSProtocolError(GPS_ERROR_CODES.INVALID_MESSAGE, 'GPS message contains no vehicle reports', { payload: message })]
+    };
+  }
+
+  const reports = [];
+  const errors = [];
+  rawReports.forEach(rawReport => {
+    const vehicleId = (rawReport && rawReport.vehicleId) || defaultVehicleId;
+    const context = { vehicleId, payload: message };
+
+    try {
+      // Offline notices only need a vehicle id
+      if (rawReport && rawReport.status === 'offline' && !rawReport.position) {
+        reports.push({ vehicleId, status: 'offline' });
+        return;
+      }
+
+      const report = validateReport(rawReport, context);
+      report.vehicleId = report.vehicleId || vehicleId;
+      reports.push(report);
+    } catch (error) {
+      // Whatever goes wrong with one report, the rest of the batch is still delivered
+      errors.push(error instanceof GPSProtocolError
+        ? error
+        : new GPSProtocolError(GPS_ERROR_CODES.INVALID_MESSAGE, `Invalid GPS report: ${error.message}`, context));
+    }
+  });
+
+  return { version, reports, errors };
+}
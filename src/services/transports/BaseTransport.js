@@ -0,0 +1,182 @@
+/**
+ * BaseTransport - Shared event plumbing for GPS transport adapters
+ *
+ * Every adapter exposes the same small surface that WebSocketGPSService relies on:
+ * connect(), disconnect(), emit(event, data), on(event, handler) plus the
+ * id/connected/connecting/disconnected flags. Adapters raise the lifecycle events
+ * 'connect', 'disconnect' (reason) and 'connect_error' (error), and forward server
+ * messages under their protocol event names ('gps-data', 'gps-data-update', ...).
+ */
+// Server-to-client protocol events every adapter forwards
+export const SERVER_EVENTS = ['welcome', 'gps-data', 'gps-data-update', 'gps-backfill', 'gps-error', 'pong'];
+
+class BaseTransport {
+  constructor(serverUrl, options = {}) {
+    this.serverUrl = serverUrl;
+    this.options = {
+      reconnection: true,
+      reconnectionAttempts: 5,
+      reconnectionDelay: 1000,
+      timeout: 5000,
+      ...options
+    };
+
+    this.id = null;
+    this.connected = false;
+    this.connecting = false;
+    this.disconnected = true;
+
+    this.handlers = new Map();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.manuallyClosed = false;
+  }
+
+  /**
+   * Register a handler for a lifecycle or protocol event
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  /**
+   * Dispatch an event to registered handlers
+   */
+  dispatch(event, data) {
+    const handlers = this.handlers.get(event);
+    if (!handlers) return;
+
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in transport '${event}' handler:`, error);
+      }
+    });
+  }
+
+  // Lifecycle helpers shared by the adapters
+  markConnected(id = null) {
+    this.id = id || `${this.constructor.name}-${Date.now().toString(36)}`;
+    this.connected = true;
+    this.connecting = false;
+    this.disconnected = false;
+    this.reconnectAttempts = 0;
+    this.dispatch('connect');
+  }
+
+  markDisconnected(reason) {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.connecting = false;
+    this.disconnected = true;
+
+    if (wasConnected) {
+      this.dispatch('disconnect', reason);
+    }
+
+    if (!this.manuallyClosed) {
+      this.scheduleReconnect();
+    }
+  }
+
+  markError(error) {
+    this.connecting = false;
+    this.dispatch('connect_error', error instanceof Error ? error : new Error(String(error)));
+  }
+
+  scheduleReconnect() {
+    if (!this.options.reconnection || this.reconnectTimer) return;
+    if (this.reconnectAttempts >= this.options.reconnectionAttempts) return;
+
+    this.reconnectAttempts++;
+    const delay = this.options.reconnectionDelay * this.reconnectAttempts;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open();
+    }, delay);
+  }
+
+  /**
+   * Open the connection (adapters implement open())
+   */
+  connect() {
+    this.manuallyClosed = false;
+    this.reconnectAttempts = 0;
+    this.open();
+    return this;
+  }
+
+  /**
+   * Close the connection and stop reconnecting (adapters implement close())
+   */
+  disconnect() {
+    this.manuallyClosed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.close();
+    this.markDisconnected('io client disconnect');
+    return this;
+  }
+
+  open() {
+    throw new Error(`${this.constructor.name} must implement open()`);
+  }
+
+  close() {
+    throw new Error(`${this.constructor.name} must implement close()`);
+  }
+
+  emit() {
+    throw new Error(`${this.constructor.name} must implement emit()`);
+  }
+
+  /**
+   * Send a client event over HTTP for adapters without an upstream channel.
+   * POSTs { data } to <server><path>/<event>; a JSON { event, data } reply is dispatched.
+   */
+  async postEvent(event, data) {
+    try {
+      const response = await fetch(`${this.getHttpUrl()}${this.options.path}/${event}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: data === undefined ? null : data })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const text = await response.text();
+      const reply = text ? JSON.parse(text) : null;
+      if (reply && SERVER_EVENTS.includes(reply.event)) {
+        this.dispatch(reply.event, reply.data);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to send '${event}' over HTTP:`, error.message);
+    }
+  }
+
+  /**
+   * Convert a ws(s):// server URL to its http(s):// equivalent
+   */
+  getHttpUrl() {
+    return this.serverUrl.replace(/^wss:\/\//, 'https://').replace(/^ws:\/\//, 'http://').replace(/\/$/, '');
+  }
+
+  /**
+   * Convert an http(s):// server URL to its ws(s):// equivalent
+   */
+  getWebSocketUrl() {
+    return this.serverUrl.replace(/^https:\/\//, 'wss://').replace(/^http:\/\//, 'ws://').replace(/\/$/, '');
+  }
+}
+
+export default BaseTransport;
@@ -0,0 +1,91 @@
+/**
+ * LongPollingTransport - HTTP long-polling adapter
+ * Repeatedly GETs <server>/gps/poll?cursor=<cursor>; the server holds the request
+ * open until it has events and replies { cursor, events: [{ event, data }] }.
+ * Client events are POSTed to <server>/gps/<event>.
+ */
+import BaseTransport, { SERVER_EVENTS } from './BaseTransport.js';
+
+class LongPollingTransport extends BaseTransport {
+  constructor(serverUrl, options = {}) {
+    super(serverUrl, { path: '/gps', pollTimeout: 30000, ...options });
+    this.cursor = null;
+    this.abortController = null;
+    // Bumped by open() and close(); a loop stops once it no longer owns the current one,
+    // so a fetch still pending from before a reopen can't keep or end the new loop
+    this.pollGeneration = 0;
+  }
+
+  open() {
+    this.close();
+    this.connecting = true;
+    this.poll(this.pollGeneration);
+  }
+
+  async poll(generation) {
+    const isCurrent = () => generation === this.pollGeneration;
+    while (isCurrent()) {
+      const controller = new AbortController();
+      this.abortController = controller;
+      const timer = setTimeout(() => controller.abort(), this.options.pollTimeout + this.options.timeout);
+
+      try {
+        const query = this.cursor !== null ? `?cursor=${encodeURIComponent(this.cursor)}` : '';
+        const response = await fetch(`${this.getHttpUrl()}${this.options.path}/poll${query}`, {
+          signal: controller.signal,
+          cache: 'no-store'
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+        if (!isCurrent()) break;
+
+        if (!this.connected) {
+          this.markConnected();
+        }
+
+        if (body.cursor !== undefined) {
+          this.cursor = body.cursor;
+        }
+        (body.events || []).forEach(({ event, data }) => {
+          if (SERVER_EVENTS.includes(event)) {
+            this.dispatch(event, data);
+          }
+        });
+      } catch (error) {
+        if (!isCurrent()) break;
+
+        // A timed-out long poll with no data is normal; anything else drops the connection
+        if (error.name === 'AbortError' && this.connected) continue;
+
+        this.pollGeneration++;
+        if (this.connected) {
+          this.markDisconnected('transport error');
+        } else {
+          this.markError(error);
+          this.scheduleReconnect();
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  close() {
+    this.pollGeneration++;
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+  }
+
+  emit(event, data) {
+    if (this.connected) {
+      this.postEvent(event, data);
+    }
+  }
+}
+
+export default LongPollingTransport;
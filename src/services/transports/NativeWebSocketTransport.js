@@ -0,0 +1,90 @@
+/**
+ * NativeWebSocketTransport - plain WebSocket adapter
+ * Frames are JSON envelopes in both directions: { "event": "gps-data-update", "data": { ... } }
+ */
+import BaseTransport, { SERVER_EVENTS } from './BaseTransport.js';
+
+class NativeWebSocketTransport extends BaseTransport {
+  constructor(serverUrl, options = {}) {
+    super(serverUrl, { path: '/gps', ...options });
+    this.ws = null;
+    this.connectTimer = null;
+  }
+
+  open() {
+    this.close();
+    this.connecting = true;
+
+    let ws;
+    try {
+      ws = new WebSocket(`${this.getWebSocketUrl()}${this.options.path}`);
+    } catch (error) {
+      this.markError(error);
+      this.scheduleReconnect();
+      return;
+    }
+    this.ws = ws;
+
+    // Give up on a handshake that never completes
+    this.connectTimer = setTimeout(() => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        this.markError(new Error('timeout'));
+        ws.close();
+      }
+    }, this.options.timeout);
+
+    ws.onopen = () => {
+      clearTimeout(this.connectTimer);
+      this.markConnected();
+    };
+
+    ws.onmessage = (message) => {
+      this.handleMessage(message.data);
+    };
+
+    ws.onerror = () => {
+      if (!this.connected) {
+        this.markError(new Error('websocket error'));
+      }
+    };
+
+    ws.onclose = (event) => {
+      clearTimeout(this.connectTimer);
+      if (this.ws !== ws) return;
+      this.ws = null;
+      // Not 'io server disconnect': that tells the service to reconnect itself, and the base already does
+      this.markDisconnected(event.wasClean ? 'server close' : 'transport close');
+    };
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.warn('⚠️ Ignoring non-JSON WebSocket frame:', raw);
+      return;
+    }
+
+    if (message && SERVER_EVENTS.includes(message.event)) {
+      this.dispatch(message.event, message.data);
+    }
+  }
+
+  close() {
+    clearTimeout(this.connectTimer);
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+  }
+
+  emit(event, data) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ event, data }));
+    }
+  }
+}
+
+export default NativeWebSocketTransport;
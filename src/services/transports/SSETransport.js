@@ -0,0 +1,80 @@
+/**
+ * SSETransport - Server-Sent Events adapter
+ * Server events arrive as named SSE events on <server>/gps/stream;
+ * client events are POSTed to <server>/gps/<event>
+ */
+import BaseTransport, { SERVER_EVENTS } from './BaseTransport.js';
+
+class SSETransport extends BaseTransport {
+  constructor(serverUrl, options = {}) {
+    super(serverUrl, { path: '/gps', ...options });
+    this.source = null;
+  }
+
+  open() {
+    this.close();
+    this.connecting = true;
+
+    let source;
+    try {
+      source = new EventSource(`${this.getHttpUrl()}${this.options.path}/stream`);
+    } catch (error) {
+      this.markError(error);
+      this.scheduleReconnect();
+      return;
+    }
+    this.source = source;
+
+    source.onopen = () => {
+      this.markConnected();
+    };
+
+    source.onerror = () => {
+      if (this.source !== source) return;
+
+      // EventSource retries on its own while CONNECTING; CLOSED means it gave up
+      if (source.readyState === EventSource.CLOSED) {
+        this.source = null;
+        if (this.connected) {
+          this.markDisconnected('transport close');
+        } else {
+          this.markError(new Error('event stream unavailable'));
+          this.scheduleReconnect();
+        }
+      } else if (this.connected) {
+        this.connected = false;
+        this.connecting = true;
+        this.dispatch('disconnect', 'transport error');
+      } else {
+        // Report each failed retry so the service can count attempts and fall back
+        this.markError(new Error('event stream unavailable'));
+        this.connecting = true;
+      }
+    };
+
+    SERVER_EVENTS.forEach(event => {
+      source.addEventListener(event, (message) => {
+        try {
+          this.dispatch(event, JSON.parse(message.data));
+        } catch (error) {
+          console.warn(`⚠️ Ignoring malformed SSE '${event}' event:`, message.data);
+        }
+      });
+    });
+  }
+
+  close() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  emit(event, data) {
+    if (this.connected) {
+      this.postEvent(event, data);
+    }
+  }
+}
+
+export default SSETransport;
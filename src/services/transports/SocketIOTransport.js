@@ -0,0 +1,77 @@
+/**
+ * SocketIOTransport - socket.io adapter (the original GPS transport)
+ * socket.io handles its own reconnection, so lifecycle events are forwarded as-is
+ */
+import { io } from 'socket.io-client';
+import BaseTransport, { SERVER_EVENTS } from './BaseTransport.js';
+
+class SocketIOTransport extends BaseTransport {
+  constructor(serverUrl, options = {}) {
+    super(serverUrl, options);
+    this.socket = null;
+  }
+
+  open() {
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+
+    this.connecting = true;
+    this.socket = io(this.serverUrl, {
+      transports: ['websocket', 'polling'],
+      upgrade: true,
+      rememberUpgrade: true,
+      autoConnect: true,
+      reconnection: this.options.reconnection,
+      reconnectionAttempts: this.options.reconnectionAttempts,
+      reconnectionDelay: this.options.reconnectionDelay,
+      timeout: this.options.timeout
+    });
+
+    this.socket.on('connect', () => {
+      this.id = this.socket.id;
+      this.connected = true;
+      this.connecting = false;
+      this.disconnected = false;
+      this.dispatch('connect');
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+      this.disconnected = true;
+      this.dispatch('disconnect', reason);
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.markError(error);
+    });
+
+    SERVER_EVENTS.forEach(event => {
+      this.socket.on(event, (data) => this.dispatch(event, data));
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  disconnect() {
+    this.manuallyClosed = true;
+    this.close();
+    this.connected = false;
+    this.connecting = false;
+    this.disconnected = true;
+    return this;
+  }
+
+  emit(event, data) {
+    if (this.socket) {
+      this.socket.emit(event, data);
+    }
+  }
+}
+
+export default SocketIOTransport;
@@ -0,0 +1,31 @@
+/**
+ * GPS transport adapters, selectable by name via WebSocketGPSService config
+ */
+import SocketIOTransport from './SocketIOTransport.js';
+import NativeWebSocketTransport from './NativeWebSocketTransport.js';
+import SSETransport from './SSETransport.js';
+import LongPollingTransport from './LongPollingTransport.js';
+
+export const TRANSPORTS = {
+  socketio: SocketIOTransport,
+  websocket: NativeWebSocketTransport,
+  sse: SSETransport,
+  polling: LongPollingTransport
+};
+
+/**
+ * Create a transport adapter by name
+ * @param {string} type - One of 'socketio', 'websocket', 'sse', 'polling'
+ * @param {string} serverUrl - Backend URL (ws(s):// or http(s)://)
+ * @param {Object} options - Reconnection/timeout options passed to the adapter
+ * @returns {BaseTransport} - Unconnected transport instance
+ */
+export function createTransport(type, serverUrl, options = {}) {
+  const Transport = TRANSPORTS[type];
+  if (!Transport) {
+    throw new Error(`Unknown GPS transport '${type}'. Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return new Transport(serverUrl, options);
+}
+
+export { SocketIOTransport, NativeWebSocketTransport, SSETransport, LongPollingTransport };
@@ -0,0 +1,268 @@
+/**
+ * ETA engine - predicts when a tram will reach each stop on the route
+ * Works along the route (chainage): the distance still to drive comes from the route
+ * model, the speed on the leg in progress from a smoothed speed and the legs after it
+ * from run times seen on earlier loops, plus the typical dwell at each stop on the way.
+ * Every prediction carries a range that widens with the uncertainty of what it was
+ * built from.
+ *
+ * A leg runs from leaving one stop's geofence to entering the next stop's (in route
+ * order); only passes at a stop's platform (see RouteModel stop chainage) are learned
+ * from, since the route goes by some stops more than once a loop. Callers say whether
+ * a visit may be learned from: simulated and sped-up replayed runs must not be.
+ */
+
+const Z_80 = 1.28; // half-width of an 80% range, in standard deviations
+
+class ETAEngine {
+  /**
+   * @param {RouteModel} routeModel - Route with stops (stops carry chainage and radius)
+   * @param {Object} options
+   * @param {number} options.cruiseSpeedKmh - Speed assumed for legs with no history
+   * @param {number} options.defaultDwell - Dwell assumed at stops with no history (ms)
+   * @param {number} options.minSpeed - Below this the smoothed speed says nothing about the leg (m/s)
+   * @param {number} options.speedSmoothing - Time constant of the speed smoothing (ms)
+   * @param {number} options.platformTolerance - A stop event counts as a platform pass within this of the platform, beyond the stop radius (m)
+   * @param {number} options.maxSamples - Run times / dwells kept per leg / stop
+   * @param {number} options.staleAfter - Predictions from a fix older than this are flagged stale (ms)
+   */
+  constructor(routeModel, options = {}) {
+    this.routeModel = routeModel;
+    this.cruiseSpeed = (options.cruiseSpeedKmh || 15) / 3.6;
+    this.defaultDwell = options.defaultDwell ?? 20000;
+    this.minSpeed = options.minSpeed ?? 1;
+    this.speedSmoothing = options.speedSmoothing ?? 10000;
+    this.platformTolerance = options.platformTolerance ?? 20;
+    this.maxSamples = options.maxSamples ?? 20;
+    this.staleAfter = options.staleAfter ?? 30000;
+
+    // History: "fromId>toId" -> [ms] and stopId -> [ms]
+    this.legTimes = new Map();
+    this.dwellTimes = new Map();
+
+    this.reset();
+  }
+
+  /**
+   * Forget the current position and any visit in progress (history is kept)
+   */
+  reset() {
+    this.chainage = null;
+    this.lastTime = null;
+    this.speed = 0; // smoothed, m/s along the route
+    this.atStop = null; // { stop, arrivedAt } while at a platform
+    this.lastDeparture = null; // { stop, departedAt } from the last platform
+  }
+
+  /**
+   * Feed the tram's matched position along the route
+   * @param {number} chainage - Distance along the route (m)
+   * @param {number} timestamp - Time of the fix (ms)
+   */
+  update(chainage, timestamp) {
+    if (this.chainage !== null && this.lastTime !== null && timestamp > this.lastTime) {
+      const dt = timestamp - this.lastTime;
+      // Backwards jitter doesn't make the tram slower than stopped
+      const instant = Math.max(0, this.routeModel.chainageDelta(this.chainage, chainage)) / (dt / 1000);
+      const alpha = 1 - Math.exp(-dt / this.speedSmoothing);
+      this.speed += (instant - this.speed) * alpha;
+    }
+
+    if (this.lastTime === null || timestamp >= this.lastTime) {
+      this.chainage = chainage;
+      this.lastTime = timestamp;
+    }
+  }
+
+  /**
+   * The tram entered a stop's geofence
+   * @param {boolean} learn - Add the leg run time to the history (real service only)
+   */
+  recordArrival(stop, arrivedAt, learn = true) {
+    const routeStop = this.getPlatformStop(stop);
+    if (!routeStop) return;
+
+    // Leg run time from the previous platform, when it was the stop before this one
+    if (learn && this.lastDeparture && this.getPreviousStop(routeStop)?.id === this.lastDeparture.stop.id) {
+      this.addSample(this.legTimes, this.getLegKey(this.lastDeparture.stop, routeStop), arrivedAt - this.lastDeparture.departedAt);
+    }
+
+    this.atStop = { stop: routeStop, arrivedAt };
+    this.lastDeparture = null;
+  }
+
+  /**
+   * The tram left a stop's geofence
+   * @param {boolean} learn - Add the dwell to the history (real service only)
+   */
+  recordDeparture(stop, departedAt, dwellMs, learn = true) {
+    if (!this.atStop || this.atStop.stop.id !== stop.id) return;
+
+    if (learn) this.addSample(this.dwellTimes, stop.id, dwellMs);
+    this.lastDeparture = { stop: this.atStop.stop, departedAt };
+    this.atStop = null;
+  }
+
+  // The route stop for a stop event, if the tram is at that stop's platform
+  getPlatformStop(stop) {
+    const routeStop = this.routeModel.stops.find(candidate => candidate.id === stop.id);
+    if (!routeStop || this.chainage === null) return null;
+
+    const delta = Math.abs(this.routeModel.chainageDelta(this.chainage, routeStop.chainage));
+    return delta <= (routeStop.radius || 0) + this.platformTolerance ? routeStop : null;
+  }
+
+  getPreviousStop(stop) {
+    const stops = this.routeModel.stops;
+    const index = stops.findIndex(candidate => candidate.id === stop.id);
+    if (index < 0) return null;
+    if (index === 0) return this.routeModel.closed ? stops[stops.length - 1] : null;
+    return stops[index - 1];
+  }
+
+  getLegKey(from, to) {
+    return `${from.id}>${to.id}`;
+  }
+
+  addSample(history, key, value) {
+    if (!(value >= 0)) return;
+    const samples = history.get(key) || [];
+    samples.push(value);
+    if (samples.length > this.maxSamples) samples.shift();
+    history.set(key, samples);
+  }
+
+  // { mean, std, count } of a history entry, or null without samples
+  getStats(history, key) {
+    const samples = history.get(key);
+    if (!samples || samples.length === 0) return null;
+
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / samples.length;
+    return { mean, std: Math.sqrt(variance), count: samples.length };
+  }
+
+  // Expected dwell at a stop as { mean, variance, count } (ms)
+  getDwell(stop) {
+    const stats = this.getStats(this.dwellTimes, stop.id);
+    if (!stats) return { mean: this.defaultDwell, variance: (this.defaultDwell * 0.5) ** 2, count: 0 };
+    return { mean: stats.mean, variance: this.spread(stats) ** 2, count: stats.count };
+  }
+
+  // Standard deviation to use for learned times; a single sample says little about spread
+  spread(stats) {
+    return stats.count >= 2 ? Math.max(stats.std, stats.mean * 0.1) : stats.mean * 0.3;
+  }
+
+  // Driving distance from one stop's geofence to the next one's (m)
+  getLegDistance(from, to) {
+    const distance = this.routeModel.distanceAhead(from.chainage, to.chainage);
+    return Math.max(1, distance - (from.radius || 0) - (to.radius || 0));
+  }
+
+  /**
+   * Time to drive part of a leg
+   * @param {Object} from - Stop the leg starts at
+   * @param {Object} to - Stop the leg ends at
+   * @param {number} distance - Metres of the leg still to drive
+   * @param {boolean} useSpeed - Blend in the current smoothed speed (the leg in progress)
+   * @returns {Object} - { mean, variance, count } (ms); count is the number of run times it was learned from
+   */
+  estimateLeg(from, to, distance, useSpeed) {
+    const stats = this.getStats(this.legTimes, this.getLegKey(from, to));
+    const estimates = [];
+
+    if (stats) {
+      const fraction = Math.min(1, distance / this.getLegDistance(from, to));
+      const spread = this.spread(stats) * fraction;
+      estimates.push({ mean: stats.mean * fraction, variance: spread ** 2 });
+    }
+    if (useSpeed && this.speed >= this.minSpeed) {
+      const mean = distance / this.speed * 1000;
+      estimates.push({ mean, variance: (mean * 0.3) ** 2 });
+    }
+    if (estimates.length === 0) {
+      const mean = distance / this.cruiseSpeed * 1000;
+      estimates.push({ mean, variance: (mean * 0.3) ** 2 });
+    }
+
+    // Equal-weight blend of what is available
+    const mean = estimates.reduce((sum, estimate) => sum + estimate.mean, 0) / estimates.length;
+    const variance = estimates.reduce((sum, estimate) => sum + estimate.variance, 0) / (estimates.length ** 2);
+    return { mean, variance, count: stats ? stats.count : 0 };
+  }
+
+  /**
+   * Predicted arrival at every stop, soonest first
+   * Arrivals are projected from the latest fix; seconds count down from `now`, so they keep
+   * moving when fixes stop coming, and the predictions are flagged stale once the fix is old.
+   * @param {number} now - Time the predictions are read at (ms)
+   * @returns {Array} - [{ stopId, name, distance, seconds, eta, earliest, latest, confidence, stale }]
+   *   distance in metres to the stop's geofence, times as ms timestamps, confidence 'high' | 'medium' | 'low'
+   */
+  predict(now = Date.now()) {
+    const stops = this.routeModel.stops;
+    if (this.chainage === null || stops.length === 0) return [];
+
+    const fixTime = this.lastTime;
+    const stale = now - fixTime > this.staleAfter;
+    const ordered = stops
+      .map(stop => ({ stop, ahead: this.routeModel.distanceAhead(this.chainage, stop.chainage) }))
+      // The platform the tram is standing at (short of its stop marker) is not upcoming
+      .filter(({ stop, ahead }) => !(this.atStop && stop.id === this.atStop.stop.id && ahead < this.routeModel.length / 2))
+      .sort((a, b) => a.ahead - b.ahead);
+
+    // Still to wait at the platform the tram is standing at
+    let elapsed = 0;
+    let variance = 0;
+    if (this.atStop) {
+      const dwell = this.getDwell(this.atStop.stop);
+      elapsed = Math.max(0, dwell.mean - (fixTime - this.atStop.arrivedAt));
+      variance = elapsed > 0 ? dwell.variance : 0;
+    }
+
+    let minSamples = Infinity;
+    let previous = null;
+    return ordered.map(({ stop, ahead }) => {
+      const distance = Math.max(0, ahead - (stop.radius || 0));
+
+      if (!previous) {
+        // The leg in progress, from wherever the tram is now
+        const from = this.getPreviousStop(stop) || stop;
+        const leg = this.estimateLeg(from, stop, distance, !this.atStop);
+        elapsed += leg.mean;
+        variance += leg.variance;
+        minSamples = leg.count;
+      } else {
+        const dwell = this.getDwell(previous);
+        const leg = this.estimateLeg(previous, stop, this.getLegDistance(previous, stop), false);
+        elapsed += dwell.mean + leg.mean;
+        variance += dwell.variance + leg.variance;
+        minSamples = Math.min(minSamples, leg.count, dwell.count);
+      }
+      previous = stop;
+
+      const spread = Z_80 * Math.sqrt(variance);
+      return {
+        stopId: stop.id,
+        name: stop.name,
+        distance,
+        seconds: Math.round(Math.max(0, fixTime + elapsed - now) / 1000),
+        eta: Math.round(fixTime + elapsed),
+        earliest: Math.round(fixTime + Math.max(0, elapsed - spread)),
+        latest: Math.round(fixTime + elapsed + spread),
+        confidence: minSamples >= 3 ? 'high' : minSamples >= 1 ? 'medium' : 'low',
+        stale
+      };
+    });
+  }
+
+  /**
+   * Smoothed speed along the route (m/s)
+   */
+  getSpeed() {
+    return this.speed;
+  }
+}
+
+export default ETAEngine;
@@ -0,0 +1,153 @@
+/**
+ * Geographic projection shared by every component
+ * Converts WGS84 lat/lon to a local East-North-Up tangent plane anchored at the campus
+ * origin, and from there to scene coordinates in metres:
+ *
+ *   scene x = north, scene y = up, scene z = east
+ *
+ * (the axis layout the scene and map models were built with).
+ */
+import { CAMPUS_ORIGIN } from '../config/geo.js';
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const EARTH_RADIUS_M = 6371000;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two { lat, lon } points in metres
+ */
+export function haversineDistance(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+class GeoProjection {
+  /**
+   * @param {Object} origin - { lat, lon, alt } of the tangent plane origin
+   */
+  constructor(origin = CAMPUS_ORIGIN) {
+    this.setOrigin(origin);
+  }
+
+  /**
+   * Move the tangent plane origin
+   * @param {Object} origin - { lat, lon, alt }
+   */
+  setOrigin(origin) {
+    this.origin = { lat: origin.lat, lon: origin.lon, alt: origin.alt || 0 };
+    this.originECEF = this.geodeticToECEF(this.origin.lat, this.origin.lon, this.origin.alt);
+
+    const lat = toRad(this.origin.lat);
+    const lon = toRad(this.origin.lon);
+    this.sinLat = Math.sin(lat);
+    this.cosLat = Math.cos(lat);
+    this.sinLon = Math.sin(lon);
+    this.cosLon = Math.cos(lon);
+  }
+
+  geodeticToECEF(lat, lon, alt = 0) {
+    const phi = toRad(lat);
+    const lambda = toRad(lon);
+    const sinPhi = Math.sin(phi);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+    return {
+      x: (n + alt) * Math.cos(phi) * Math.cos(lambda),
+      y: (n + alt) * Math.cos(phi) * Math.sin(lambda),
+      z: (n * (1 - WGS84_E2) + alt) * sinPhi
+    };
+  }
+
+  ecefToGeodetic(x, y, z) {
+    const lon = Math.atan2(y, x);
+    const p = Math.hypot(x, y);
+
+    // A few fixed-point iterations converge to well below a millimetre
+    let lat = Math.atan2(z, p * (1 - WGS84_E2));
+    let alt = 0;
+    for (let i = 0; i < 5; i++) {
+      const sinLat = Math.sin(lat);
+      const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+      alt = p / Math.cos(lat) - n;
+      lat = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + alt)));
+    }
+    return { lat: toDeg(lat), lon: toDeg(lon), alt };
+  }
+
+  /**
+   * Geodetic position to local East-North-Up metres
+   * @returns {{ east: number, north: number, up: number }}
+   */
+  toENU(lat, lon, alt = 0) {
+    const ecef = this.geodeticToECEF(lat, lon, alt);
+    const dx = ecef.x - this.originECEF.x;
+    const dy = ecef.y - this.originECEF.y;
+    const dz = ecef.z - this.originECEF.z;
+    return {
+      east: -this.sinLon * dx + this.cosLon * dy,
+      north: -this.sinLat * this.cosLon * dx - this.sinLat * this.sinLon * dy + this.cosLat * dz,
+      up: this.cosLat * this.cosLon * dx + this.cosLat * this.sinLon * dy + this.sinLat * dz
+    };
+  }
+
+  /**
+   * Local East-North-Up metres to a geodetic position
+   * @returns {{ lat: number, lon: number, alt: number }}
+   */
+  fromENU(east, north, up = 0) {
+    const dx = -this.sinLon * east - this.sinLat * this.cosLon * north + this.cosLat * this.cosLon * up;
+    const dy = this.cosLon * east - this.sinLat * this.sinLon * north + this.cosLat * this.sinLon * up;
+    const dz = this.cosLat * north + this.sinLat * up;
+    return this.ecefToGeodetic(
+      this.originECEF.x + dx,
+      this.originECEF.y + dy,
+      this.originECEF.z + dz
+    );
+  }
+
+  /**
+   * Geodetic position to scene coordinates (metres)
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  toScene(lat, lon, alt = 0) {
+    const { east, north, up } = this.toENU(lat, lon, alt);
+    return { x: north, y: up, z: east };
+  }
+
+  /**
+   * Scene coordinates back to a geodetic position
+   * @param {Object} position - { x, y, z } (y defaults to ground level)
+   * @returns {{ lat: number, lon: number, alt: number }}
+   */
+  fromScene({ x, y = 0, z }) {
+    return this.fromENU(z, x, y);
+  }
+
+  /**
+   * Rotation about scene y (radians) that turns a model facing +x (north) to a compass bearing
+   */
+  bearingToSceneRotation(bearingDeg) {
+    return -toRad(bearingDeg);
+  }
+
+  /**
+   * Straight-line distance in the tangent plane between two { lat, lon } points (metres)
+   */
+  distance(a, b) {
+    const p = this.toENU(a.lat, a.lon);
+    const q = this.toENU(b.lat, b.lon);
+    return Math.hypot(q.east - p.east, q.north - p.north);
+  }
+}
+
+// Shared campus projection used by the scene, trackers and route tools
+export const projection = new GeoProjection(CAMPUS_ORIGIN);
+
+export default GeoProjection;
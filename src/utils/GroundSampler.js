@@ -0,0 +1,239 @@
+/**
+ * Ground height sampling from the loaded map geometry
+ * Raycasts straight down onto the map models and caches the results on a regular
+ * grid, so trams, stop markers and labels can follow the terrain without a raycast
+ * per frame. Heights between grid corners are interpolated bilinearly.
+ */
+import { Raycaster, Vector3 } from 'three';
+import { projection } from './GeoProjection.js';
+
+const DOWN = new Vector3(0, -1, 0);
+
+class GroundSampler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getTargets - Returns the Object3Ds to sample (e.g. visible map models)
+   * @param {number} options.cellSize - Grid spacing of cached samples (m)
+   * @param {number} options.rayHeight - Height rays are cast down from (m)
+   * @param {number} options.minNormalY - Ignore steep faces (walls) below this upward normal component
+   * @param {number} options.fallbackHeight - Height used where no ground is found
+   */
+  constructor(options = {}) {
+    this.getTargets = options.getTargets || (() => []);
+    this.cellSize = options.cellSize || 2;
+    this.rayHeight = options.rayHeight ?? 500;
+    this.minNormalY = options.minNormalY ?? 0.6;
+    this.fallbackHeight = options.fallbackHeight ?? 0;
+
+    this.raycaster = new Raycaster();
+    this.raycaster.far = this.rayHeight * 2;
+
+    // Grid corner "ix,iz" -> ground height (null when nothing was hit)
+    this.cache = new Map();
+
+    this.stats = {
+      raycasts: 0,
+      cacheHits: 0
+    };
+
+    this.precomputeTimer = null;
+  }
+
+  /**
+   * Raycast for the ground height at a scene position, bypassing the cache
+   * @param {Array} targets - Objects to hit (defaults to getTargets())
+   * @returns {number|null} - Height of the highest walkable surface, or null
+   */
+  raycastHeight(x, z, targets = this.getTargets().filter(Boolean)) {
+    if (targets.length === 0) return null;
+
+    this.stats.raycasts++;
+    this.raycaster.set(new Vector3(x, this.rayHeight, z), DOWN);
+    const hits = this.raycaster.intersectObjects(targets, true);
+
+    // Hits are sorted top-down; skip walls and other steep faces
+    for (const hit of hits) {
+      if (!hit.face) return hit.point.y;
+
+      const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+      if (Math.abs(normal.y) >= this.minNormalY) {
+        return hit.point.y;
+      }
+    }
+    return null;
+  }
+
+  getCornerHeight(ix, iz) {
+    const key = `${ix},${iz}`;
+    if (this.cache.has(key)) {
+      this.stats.cacheHits++;
+      return this.cache.get(key);
+    }
+
+    // Nothing loaded yet - don't remember "no ground" for later
+    const targets = this.getTargets().filter(Boolean);
+    if (targets.length === 0) return null;
+
+    const height = this.raycastHeight(ix * this.cellSize, iz * this.cellSize, targets);
+    this.cache.set(key, height);
+    return height;
+  }
+
+  /**
+   * Ground height at a scene position, interpolated from the cached grid
+   * @returns {number} - Height, or the fallback height where no ground was found
+   */
+  getHeight(x, z) {
+    const gx = x / this.cellSize;
+    const gz = z / this.cellSize;
+    const ix = Math.floor(gx);
+    const iz = Math.floor(gz);
+    const fx = gx - ix;
+    const fz = gz - iz;
+
+    const corners = [
+      [this.getCornerHeight(ix, iz), (1 - fx) * (1 - fz)],
+      [this.getCornerHeight(ix + 1, iz), fx * (1 - fz)],
+      [this.getCornerHeight(ix, iz + 1), (1 - fx) * fz],
+      [this.getCornerHeight(ix + 1, iz + 1), fx * fz]
+    ];
+
+    // Interpolate over the corners that found ground
+    let height = 0;
+    let weight = 0;
+    corners.forEach(([cornerHeight, cornerWeight]) => {
+      if (cornerHeight === null) return;
+      height += cornerHeight * cornerWeight;
+      weight += cornerWeight;
+    });
+
+    return weight > 0 ? height / weight : this.fallbackHeight;
+  }
+
+  /**
+   * Height, pitch and roll of a vehicle footprint on the ground
+   * @param {number} x - Scene x of the vehicle centre
+   * @param {number} z - Scene z of the vehicle centre
+   * @param {number} heading - Direction of travel in the x/z plane (radians, atan2(dx, dz))
+   * @param {Object} footprint - { length, width } in metres
+   * @returns {{ height: number, pitch: number, roll: number }}
+   */
+  getPose(x, z, heading, footprint = {}) {
+    const length = footprint.length || 8;
+    const width = footprint.width || 2.5;
+
+    // Forward and right (forward × up) unit vectors in the x/z plane
+    const fx = Math.sin(heading);
+    const fz = Math.cos(heading);
+    const rx = -fz;
+    const rz = fx;
+
+    const front = this.getHeight(x + fx * length / 2, z + fz * length / 2);
+    const back = this.getHeight(x - fx * length / 2, z - fz * length / 2);
+    const right = this.getHeight(x + rx * width / 2, z + rz * width / 2);
+    const left = this.getHeight(x - rx * width / 2, z - rz * width / 2);
+
+    return {
+      height: (front + back + left + right) / 4,
+      pitch: Math.atan2(front - back, length),
+      roll: Math.atan2(right - left, width)
+    };
+  }
+
+  /**
+   * Scene position on the ground for a GPS coordinate (stop markers, labels)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} offset - Height above the ground (m)
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  getGroundPosition(lat, lon, offset = 0) {
+    const { x, z } = projection.toScene(lat, lon);
+    return { x, y: this.getHeight(x, z) + offset, z };
+  }
+
+  /**
+   * Warm the cache along a path in small batches so loading stays responsive
+   * @param {Array} points - Scene positions [{ x, z }] along the path
+   * @param {Object} options
+   * @param {number} options.corridor - Half-width of the sampled corridor (m)
+   * @param {number} options.batchSize - Grid corners sampled per batch
+   * @returns {Promise<number>} - Resolves with the number of corners sampled
+   */
+  precomputePath(points, options = {}) {
+    const corridor = options.corridor ?? 2;
+    const batchSize = options.batchSize || 50;
+
+    // Collect grid corners within the corridor around every segment
+    const corners = new Set();
+    const reach = Math.ceil(corridor / this.cellSize);
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[Math.min(i + 1, points.length - 1)];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / this.cellSize));
+
+      for (let s = 0; s <= steps; s++) {
+        const x = a.x + (b.x - a.x) * s / steps;
+        const z = a.z + (b.z - a.z) * s / steps;
+        const ix = Math.floor(x / this.cellSize);
+        const iz = Math.floor(z / this.cellSize);
+        for (let dx = -reach + 1; dx <= reach; dx++) {
+          for (let dz = -reach + 1; dz <= reach; dz++) {
+            corners.add(`${ix + dx},${iz + dz}`);
+          }
+        }
+      }
+    }
+
+    const pending = Array.from(corners).filter(key => !this.cache.has(key));
+    this.cancelPrecompute();
+
+    return new Promise((resolve) => {
+      let index = 0;
+      const runBatch = () => {
+        const end = Math.min(index + batchSize, pending.length);
+        for (; index < end; index++) {
+          const [ix, iz] = pending[index].split(',').map(Number);
+          this.getCornerHeight(ix, iz);
+        }
+
+        if (index < pending.length) {
+          this.precomputeTimer = setTimeout(runBatch, 0);
+        } else {
+          this.precomputeTimer = null;
+          console.log(`⛰️ Ground samples cached along path: ${pending.length}`);
+          resolve(pending.length);
+        }
+      };
+      runBatch();
+    });
+  }
+
+  cancelPrecompute() {
+    if (this.precomputeTimer) {
+      clearTimeout(this.precomputeTimer);
+      this.precomputeTimer = null;
+    }
+  }
+
+  /**
+   * Drop cached samples (call after map models move, load or change visibility)
+   */
+  clear() {
+    this.cancelPrecompute();
+    this.cache.clear();
+  }
+
+  getStatus() {
+    return {
+      cachedSamples: this.cache.size,
+      ...this.stats
+    };
+  }
+
+  dispose() {
+    this.clear();
+  }
+}
+
+export default GroundSampler;
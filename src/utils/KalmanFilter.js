@@ -0,0 +1,159 @@
+/**
+ * Constant-velocity Kalman filter for GPS positions
+ * Works in the shared campus tangent plane (metres); east and north are filtered
+ * independently with a white-noise acceleration model.
+ * Fixes whose innovation is too unlikely for the current estimate are rejected as outliers.
+ */
+import { projection } from './GeoProjection.js';
+
+class KalmanFilter {
+  /**
+   * @param {Object} options
+   * @param {GeoProjection} options.projection - Projection to filter in (defaults to the campus one)
+   * @param {number} options.processNoise - Acceleration noise (m/s², 1 sigma)
+   * @param {number} options.measurementNoise - Fix noise when the fix has no accuracy (m, 1 sigma)
+   * @param {number} options.outlierSigma - Reject fixes further than this many sigmas from the prediction
+   * @param {number} options.maxConsecutiveOutliers - Re-initialise after this many rejections in a row
+   * @param {number} options.maxGapSeconds - Re-initialise when fixes are further apart than this
+   */
+  constructor(options = {}) {
+    this.projection = options.projection || projection;
+    this.processNoise = options.processNoise ?? 0.5;
+    this.measurementNoise = options.measurementNoise ?? 5;
+    this.outlierSigma = options.outlierSigma ?? 4;
+    this.maxConsecutiveOutliers = options.maxConsecutiveOutliers ?? 3;
+    this.maxGapSeconds = options.maxGapSeconds ?? 30;
+    this.initialVelocityVariance = 25; // (5 m/s)²
+
+    this.reset();
+  }
+
+  /**
+   * Forget the current estimate; the next fix initialises the filter
+   */
+  reset() {
+    this.origin = null;
+    this.east = null;
+    this.north = null;
+    this.lastTime = null;
+    this.consecutiveOutliers = 0;
+  }
+
+  isInitialized() {
+    return this.origin !== null;
+  }
+
+  /**
+   * Feed a GPS fix into the filter
+   * @param {Object} fix - { lat, lon, timestamp, accuracy }
+   * @returns {Object} - Filtered { lat, lon, timestamp, speed, heading, accuracy } plus
+   *                     `rejected` when the fix was discarded as an outlier
+   */
+  update(fix) {
+    const time = this.getTime(fix.timestamp);
+    const variance = (fix.accuracy || this.measurementNoise) ** 2;
+
+    if (!this.isInitialized() || (time - this.lastTime) / 1000 > this.maxGapSeconds) {
+      this.initialize(fix, time, variance);
+      return this.getEstimate(fix.timestamp, false);
+    }
+
+    const { x, y } = this.toLocal(fix);
+
+    // Out-of-order or duplicate timestamps are treated as simultaneous
+    const dt = Math.max(0, (time - this.lastTime) / 1000);
+    const east = this.predictAxis(this.east, dt);
+    const north = this.predictAxis(this.north, dt);
+
+    // Mahalanobis distance of the fix from the prediction
+    const eastResidual = x - east.p;
+    const northResidual = y - north.p;
+    const eastInnovation = east.P[0] + variance;
+    const northInnovation = north.P[0] + variance;
+    const distanceSq = eastResidual ** 2 / eastInnovation + northResidual ** 2 / northInnovation;
+
+    if (distanceSq > this.outlierSigma ** 2) {
+      this.consecutiveOutliers++;
+
+      // Several "outliers" in a row mean the vehicle really is somewhere else
+      if (this.consecutiveOutliers >= this.maxConsecutiveOutliers) {
+        this.initialize(fix, time, variance);
+        return this.getEstimate(fix.timestamp, false);
+      }
+      return this.getEstimate(fix.timestamp, true);
+    }
+
+    this.consecutiveOutliers = 0;
+    this.east = this.correctAxis(east, eastResidual, eastInnovation);
+    this.north = this.correctAxis(north, northResidual, northInnovation);
+    this.lastTime = Math.max(time, this.lastTime);
+
+    return this.getEstimate(fix.timestamp, false);
+  }
+
+  initialize(fix, time, variance) {
+    this.origin = this.projection.toENU(fix.lat, fix.lon);
+    this.east = { p: 0, v: 0, P: [variance, 0, this.initialVelocityVariance] };
+    this.north = { p: 0, v: 0, P: [variance, 0, this.initialVelocityVariance] };
+    this.lastTime = time;
+    this.consecutiveOutliers = 0;
+  }
+
+  // State { p, v } with symmetric covariance P = [pp, pv, vv]
+  predictAxis(axis, dt) {
+    const [pp, pv, vv] = axis.P;
+    const q = this.processNoise ** 2;
+    return {
+      p: axis.p + axis.v * dt,
+      v: axis.v,
+      P: [
+        pp + 2 * dt * pv + dt * dt * vv + q * dt ** 4 / 4,
+        pv + dt * vv + q * dt ** 3 / 2,
+        vv + q * dt * dt
+      ]
+    };
+  }
+
+  correctAxis(axis, residual, innovation) {
+    const [pp, pv, vv] = axis.P;
+    const gainP = pp / innovation;
+    const gainV = pv / innovation;
+    return {
+      p: axis.p + gainP * residual,
+      v: axis.v + gainV * residual,
+      P: [(1 - gainP) * pp, (1 - gainP) * pv, vv - gainV * pv]
+    };
+  }
+
+  getEstimate(timestamp, rejected) {
+    const { lat, lon } = this.toGeo(this.east.p, this.north.p);
+    const speed = Math.hypot(this.east.v, this.north.v);
+    return {
+      lat,
+      lon,
+      timestamp,
+      speed,
+      heading: (Math.atan2(this.east.v, this.north.v) * 180 / Math.PI + 360) % 360,
+      accuracy: Math.sqrt((this.east.P[0] + this.north.P[0]) / 2),
+      rejected
+    };
+  }
+
+  getTime(timestamp) {
+    const time = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+    return isNaN(time) ? Date.now() : time;
+  }
+
+  // Offsets from the first fix in the tangent plane
+  toLocal({ lat, lon }) {
+    const point = this.projection.toENU(lat, lon);
+    return { x: point.east - this.origin.east, y: point.north - this.origin.north };
+  }
+
+  toGeo(x, y) {
+    const { lat, lon } = this.projection.fromENU(this.origin.east + x, this.origin.north + y);
+    return { lat, lon };
+  }
+}
+
+export default KalmanFilter;
@@ -0,0 +1,151 @@
+/**
+ * Map matcher for the tram route
+ * Projects GPS fixes onto the nearest plausible segment of the route polyline.
+ * Candidates are scored by distance from the fix, agreement with the direction of
+ * travel and continuity with the previous match, so a fix near a spot where the
+ * route passes close to itself is not matched to the wrong leg. Segments longer than
+ * maxSegmentLength are jumps between separately surveyed legs rather than track, so
+ * fixes are never snapped onto them.
+ */
+import RouteModel from './RouteModel.js';
+
+class MapMatcher {
+  /**
+   * @param {RouteModel|Array} route - Route model, or route points [{ lat, lon }] in driving order
+   * @param {Object} options
+   * @param {number} options.maxDistance - Fixes further than this from the route are not matched (m)
+   * @param {boolean} options.closed - Route loops back to its start (when given points)
+   * @param {number} options.headingWeight - Cost (m) of driving a segment against the heading
+   * @param {number} options.minHeadingSpeed - Ignore fix headings below this speed (m/s)
+   * @param {number} options.continuityWeight - Cost per metre of route skipped beyond the direct distance
+   * @param {number} options.reversalPenalty - Cost (m) of a match behind the previous one
+   * @param {number} options.maxContinuityGap - Ignore the previous match after this long (ms)
+   * @param {number} options.maxSegmentLength - Longer segments are gaps, not track, and aren't matched (m)
+   */
+  constructor(route, options = {}) {
+    this.routeModel = route instanceof RouteModel
+      ? route
+      : new RouteModel(route, { closed: options.closed, projection: options.projection });
+    this.maxDistance = options.maxDistance ?? 30;
+    this.headingWeight = options.headingWeight ?? 15;
+    this.minHeadingSpeed = options.minHeadingSpeed ?? 1;
+    this.continuityWeight = options.continuityWeight ?? 0.5;
+    this.reversalPenalty = options.reversalPenalty ?? 20;
+    this.maxContinuityGap = options.maxContinuityGap ?? 60000;
+    this.maxSegmentLength = options.maxSegmentLength ?? 150;
+
+    // Slack for GPS noise when comparing route distance with direct distance (m)
+    this.continuitySlack = 10;
+
+    this.reset();
+  }
+
+  /**
+   * Forget the previous match and direction of travel
+   */
+  reset() {
+    this.lastMatch = null;
+    this.lastMatchTime = null;
+    this.direction = 0; // +1 along the route, -1 against it, 0 unknown
+  }
+
+  /**
+   * Match a GPS fix to the route
+   * @param {Object} fix - { lat, lon, timestamp, heading, speed }
+   * @returns {Object|null} - { lat, lon, segmentId, chainage, offset, bearing } or null when off-route
+   */
+  match(fix) {
+    const model = this.routeModel;
+    if (model.segments.length === 0) return null;
+
+    const point = model.toLocal(fix);
+    const time = fix.timestamp ? new Date(fix.timestamp).getTime() : Date.now();
+    const previous = this.lastMatch && !isNaN(time) && Math.abs(time - this.lastMatchTime) <= this.maxContinuityGap
+      ? this.lastMatch
+      : null;
+    const heading = fix.heading !== undefined && (fix.speed ?? 0) >= this.minHeadingSpeed ? fix.heading : null;
+
+    let best = null;
+    model.segments.forEach(segment => {
+      if (segment.length > this.maxSegmentLength) return;
+      const candidate = model.projectOnSegment(point, segment);
+      if (candidate.offset > this.maxDistance) return;
+
+      const cost = candidate.offset +
+        this.headingCost(segment, heading) +
+        this.continuityCost(candidate, previous);
+
+      if (!best || cost < best.cost) {
+        best = { ...candidate, cost };
+      }
+    });
+
+    if (!best) return null;
+
+    const { lat, lon } = model.toGeo(best.x, best.y);
+    const match = {
+      lat,
+      lon,
+      timestamp: fix.timestamp,
+      segmentId: best.segmentId,
+      chainage: best.chainage,
+      offset: best.offset,
+      bearing: model.getSegment(best.segmentId).bearing
+    };
+
+    // Direction of travel from the chainage change, ignoring noise-sized moves
+    if (previous) {
+      const delta = model.chainageDelta(previous.chainage, match.chainage);
+      if (Math.abs(delta) > 2) {
+        this.direction = Math.sign(delta);
+      }
+    }
+
+    this.lastMatch = match;
+    this.lastMatchTime = isNaN(time) ? Date.now() : time;
+    return match;
+  }
+
+  // 0 when driving the segment in the expected direction, headingWeight when opposite
+  headingCost(segment, heading) {
+    if (heading === null) return 0;
+
+    const cost = (bearing) => {
+      const diff = (heading - bearing) * Math.PI / 180;
+      return this.headingWeight * (1 - Math.cos(diff)) / 2;
+    };
+
+    const forward = cost(segment.bearing);
+    const backward = cost((segment.bearing + 180) % 360);
+    if (this.direction > 0) return forward;
+    if (this.direction < 0) return backward;
+    return Math.min(forward, backward);
+  }
+
+  // Penalise candidates that skip far along the route or move backwards
+  continuityCost(candidate, previous) {
+    if (!previous) return 0;
+
+    const delta = this.routeModel.chainageDelta(previous.chainage, candidate.chainage);
+    const previousPoint = this.routeModel.toLocal(previous);
+    const direct = Math.hypot(candidate.x - previousPoint.x, candidate.y - previousPoint.y);
+
+    let cost = this.continuityWeight * Math.max(0, Math.abs(delta) - direct - this.continuitySlack);
+    if (this.direction !== 0 && Math.sign(delta) === -this.direction && Math.abs(delta) > this.continuitySlack / 2) {
+      cost += this.reversalPenalty;
+    }
+    return cost;
+  }
+
+  /**
+   * Route geometry between two matches, including both end points
+   * @param {Object} from - Earlier match
+   * @param {Object} to - Later match
+   * @returns {Array} - [{ lat, lon }] following the route
+   */
+  getPathBetween(from, to) {
+    return this.routeModel.getPath(from.chainage, to.chainage);
+  }
+}
+
+export default MapMatcher;
@@ -0,0 +1,290 @@
+/**
+ * RouteModel - Linear referencing along the tram route
+ * Measures positions as chainage: metres travelled along the route from its first point.
+ * A route whose last point comes back near its first is a loop (the last point joins
+ * back to the first), matching how the simulator drives it; one whose ends lie apart is
+ * not closed across the gap, so chainage stays distance along the track. Stops are
+ * projected onto the route so distances to the next and previous stop can be given for
+ * any position.
+ */
+import { projection } from './GeoProjection.js';
+
+class RouteModel {
+  /**
+   * @param {Array} route - Route points [{ lat, lon }] in driving order
+   * @param {Object} options
+   * @param {Array} options.stops - Stops [{ id, name, lat, lon }] along the route
+   * @param {boolean} options.closed - Route loops from the last point back to the first
+   *   (defaults to whether the ends are within closeDistance of each other)
+   * @param {number} options.closeDistance - Furthest apart the ends of a loop can be (m)
+   * @param {GeoProjection} options.projection - Projection to measure in (defaults to the campus one)
+   */
+  constructor(route, options = {}) {
+    this.route = route;
+    this.closedOption = options.closed ?? null;
+    this.closeDistance = options.closeDistance ?? 50;
+    this.projection = options.projection || projection;
+
+    this.buildSegments();
+    this.setStops(options.stops || []);
+  }
+
+  /**
+   * Replace the route geometry, keeping the stops (re-projected onto the new route)
+   * @param {Array} route - Route points [{ lat, lon }] in driving order
+   */
+  setRoute(route) {
+    this.route = route;
+    this.buildSegments();
+    this.setStops(this.stops);
+  }
+
+  // Precompute segments in tangent plane metres with their start chainage
+  buildSegments() {
+    this.points = this.route.map(point => this.toLocal(point));
+    this.segments = [];
+
+    const first = this.points[0];
+    const last = this.points[this.points.length - 1];
+    this.closed = this.closedOption ?? (this.points.length > 2 &&
+      Math.hypot(last.x - first.x, last.y - first.y) <= this.closeDistance);
+
+    const count = this.closed ? this.points.length : this.points.length - 1;
+    let chainage = 0;
+    for (let i = 0; i < count; i++) {
+      const a = this.points[i];
+      const b = this.points[(i + 1) % this.points.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      this.segments.push({
+        id: i,
+        a,
+        b,
+        length,
+        start: chainage,
+        bearing: (Math.atan2(b.x - a.x, b.y - a.y) * 180 / Math.PI + 360) % 360
+      });
+      chainage += length;
+    }
+    this.length = chainage;
+  }
+
+  /**
+   * Project stops onto the route, ordered by chainage
+   * @param {Array} stops - Stops [{ id, name, lat, lon }]
+   */
+  setStops(stops) {
+    this.stops = stops
+      .map(stop => {
+        const located = this.project(stop);
+        return { ...stop, id: stop.id || stop.name, chainage: located ? located.chainage : 0 };
+      })
+      .sort((a, b) => a.chainage - b.chainage);
+  }
+
+  /**
+   * Project a point onto one segment
+   * @returns {Object} - { x, y, segmentId, chainage, offset }
+   */
+  projectOnSegment(point, segment) {
+    const { a, b, length } = segment;
+    let t = 0;
+    if (length > 0) {
+      t = ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / (length * length);
+      t = Math.max(0, Math.min(1, t));
+    }
+
+    const x = a.x + (b.x - a.x) * t;
+    const y = a.y + (b.y - a.y) * t;
+    return {
+      x,
+      y,
+      segmentId: segment.id,
+      chainage: segment.start + length * t,
+      offset: Math.hypot(point.x - x, point.y - y)
+    };
+  }
+
+  /**
+   * Nearest point on the route to a GPS position
+   * @param {Object} position - { lat, lon }
+   * @returns {Object|null} - { lat, lon, segmentId, chainage, offset } (offset in metres)
+   */
+  project(position) {
+    if (this.segments.length === 0) return null;
+
+    const point = this.toLocal(position);
+    let best = null;
+    this.segments.forEach(segment => {
+      const candidate = this.projectOnSegment(point, segment);
+      if (!best || candidate.offset < best.offset) {
+        best = candidate;
+      }
+    });
+
+    const { lat, lon } = this.toGeo(best.x, best.y);
+    return { lat, lon, segmentId: best.segmentId, chainage: best.chainage, offset: best.offset };
+  }
+
+  /**
+   * Position at a chainage
+   * @returns {Object} - { lat, lon, segmentId, bearing }
+   */
+  locate(chainage) {
+    const c = this.normalizeChainage(chainage);
+    const segment = this.getSegmentAt(c);
+    const t = segment.length > 0 ? (c - segment.start) / segment.length : 0;
+    const { lat, lon } = this.toGeo(
+      segment.a.x + (segment.b.x - segment.a.x) * t,
+      segment.a.y + (segment.b.y - segment.a.y) * t
+    );
+    return { lat, lon, segmentId: segment.id, bearing: segment.bearing };
+  }
+
+  getSegmentAt(chainage) {
+    // Segments are few (~100); a linear scan is plenty fast
+    for (const segment of this.segments) {
+      if (chainage < segment.start + segment.length) return segment;
+    }
+    return this.segments[this.segments.length - 1];
+  }
+
+  getSegment(segmentId) {
+    return this.segments[segmentId] || null;
+  }
+
+  // Wrap chainage onto the loop, or clamp it on an open route
+  normalizeChainage(chainage) {
+    if (this.length === 0) return 0;
+    if (this.closed) {
+      return ((chainage % this.length) + this.length) % this.length;
+    }
+    return Math.max(0, Math.min(this.length, chainage));
+  }
+
+  /**
+   * Signed distance along the route from one chainage to another
+   * (the shorter way round on a loop)
+   */
+  chainageDelta(from, to) {
+    let delta = to - from;
+    if (this.closed && this.length > 0) {
+      if (delta > this.length / 2) delta -= this.length;
+      if (delta < -this.length / 2) delta += this.length;
+    }
+    return delta;
+  }
+
+  /**
+   * Distance driving forward from one chainage to another (wraps on a loop)
+   */
+  distanceAhead(from, to) {
+    const delta = to - from;
+    if (this.closed && delta < 0) return delta + this.length;
+    return delta;
+  }
+
+  /**
+   * Percentage of the route (lap) completed at a chainage
+   */
+  getPercent(chainage) {
+    return this.length > 0 ? (this.normalizeChainage(chainage) / this.length) * 100 : 0;
+  }
+
+  /**
+   * Next stop ahead of and previous stop behind a chainage, in driving direction
+   * @returns {{ next: Object|null, previous: Object|null }} - Stops with `distance` in metres
+   */
+  getStopsAround(chainage) {
+    if (this.stops.length === 0) return { next: null, previous: null };
+
+    const c = this.normalizeChainage(chainage);
+    let next = this.stops.find(stop => stop.chainage > c) || null;
+    let previous = [...this.stops].reverse().find(stop => stop.chainage <= c) || null;
+
+    // On a loop the first stop follows the last one
+    if (this.closed) {
+      next = next || this.stops[0];
+      previous = previous || this.stops[this.stops.length - 1];
+    }
+
+    return {
+      next: next ? { ...next, distance: this.distanceAhead(c, next.chainage) } : null,
+      previous: previous ? { ...previous, distance: this.distanceAhead(previous.chainage, c) } : null
+    };
+  }
+
+  /**
+   * Full linear reference for a GPS position
+   * @param {Object} position - { lat, lon }
+   * @returns {Object|null} - { chainage, length, percent, segmentId, offset, nextStop, previousStop }
+   */
+  describe(position) {
+    const located = this.project(position);
+    if (!located) return null;
+    return this.describeChainage(located.chainage, located);
+  }
+
+  /**
+   * Linear reference for a chainage (e.g. from a map match)
+   */
+  describeChainage(chainage, located = null) {
+    const c = this.normalizeChainage(chainage);
+    const { next, previous } = this.getStopsAround(c);
+    const stopSummary = (stop) => stop ? { id: stop.id, name: stop.name, distance: stop.distance } : null;
+
+    return {
+      chainage: c,
+      length: this.length,
+      percent: this.getPercent(c),
+      segmentId: located ? located.segmentId : this.getSegmentAt(c).id,
+      offset: located && located.offset !== undefined ? located.offset : null,
+      nextStop: stopSummary(next),
+      previousStop: stopSummary(previous)
+    };
+  }
+
+  /**
+   * Route geometry from one chainage to another, including both end points
+   * Goes forward when `to` is ahead (the shorter way on a loop), otherwise backward.
+   * @returns {Array} - [{ lat, lon }]
+   */
+  getPath(fromChainage, toChainage) {
+    const from = this.locate(fromChainage);
+    const to = this.locate(toChainage);
+    const path = [{ lat: from.lat, lon: from.lon }];
+    const delta = this.chainageDelta(this.normalizeChainage(fromChainage), this.normalizeChainage(toChainage));
+    const segmentCount = this.segments.length;
+
+    if (delta > 0) {
+      // Vertices strictly after `from`, up to the start of the segment holding `to`
+      let index = from.segmentId;
+      while (index !== to.segmentId) {
+        index = (index + 1) % segmentCount;
+        path.push(this.route[index]);
+      }
+    } else if (delta < 0) {
+      // Driving against the route: the start of each segment walked back through
+      let index = from.segmentId;
+      while (index !== to.segmentId) {
+        path.push(this.route[index]);
+        index = (index - 1 + segmentCount) % segmentCount;
+      }
+    }
+
+    path.push({ lat: to.lat, lon: to.lon });
+    return path;
+  }
+
+  // Tangent plane metres: x east, y north
+  toLocal({ lat, lon }) {
+    const { east, north } = this.projection.toENU(lat, lon);
+    return { x: east, y: north };
+  }
+
+  toGeo(x, y) {
+    const { lat, lon } = this.projection.fromENU(x, y);
+    return { lat, lon };
+  }
+}
+
+export default RouteModel;
@@ -0,0 +1,332 @@
+/**
+ * RouteNetwork - Graph of the tram route built from a structured route definition
+ * Nodes are junctions and segment ends; each segment is an edge that can be driven
+ * from -> to, and also to -> from when its direction is 'both'. Every segment keeps
+ * its own RouteModel, so positions can be located on a named leg with a distance
+ * along it.
+ */
+import RouteModel from './RouteModel.js';
+import { projection, haversineDistance } from './GeoProjection.js';
+
+class RouteNetwork {
+  /**
+   * @param {Object} definition - { nodes, segments, loops } (see config/routeNetwork.js)
+   * @param {Object} options
+   * @param {Array} options.stops - Stops [{ id, name, lat, lon }] the segments refer to
+   * @param {number} options.nodeTolerance - Warn when a segment ends further than this from its node (m)
+   * @param {GeoProjection} options.projection - Projection to measure in (defaults to the campus one)
+   */
+  constructor(definition, options = {}) {
+    this.projection = options.projection || projection;
+    this.nodeTolerance = options.nodeTolerance ?? 60;
+
+    this.nodes = new Map();
+    this.segments = new Map();
+    this.loops = new Map();
+    this.adjacency = new Map(); // nodeId -> [{ segmentId, from, to, reversed, length }]
+    this.warnings = [];
+
+    this.load(definition, options.stops || []);
+  }
+
+  load(definition, stops) {
+    const stopsById = new Map(stops.map(stop => [stop.id, stop]));
+
+    Object.entries(definition.nodes || {}).forEach(([id, node]) => {
+      this.nodes.set(id, { id, ...node, segments: [] });
+      this.adjacency.set(id, []);
+    });
+
+    (definition.segments || []).forEach(segment => this.addSegment(segment, stopsById));
+    (definition.loops || []).forEach(loop => this.addLoop(loop));
+
+    this.warnings.forEach(warning => console.warn(`⚠️ Route network: ${warning}`));
+    console.log(`🗺️ Route network loaded: ${this.nodes.size} nodes, ${this.segments.size} segments, ${this.loops.size} loops`);
+  }
+
+  addSegment(definition, stopsById) {
+    const { id, from, to, points = [] } = definition;
+    const direction = definition.direction || 'forward';
+
+    if (this.segments.has(id)) {
+      this.warnings.push(`duplicate segment "${id}" ignored`);
+      return;
+    }
+    if (!this.nodes.has(from) || !this.nodes.has(to)) {
+      this.warnings.push(`segment "${id}" joins unknown node "${this.nodes.has(from) ? to : from}"`);
+      return;
+    }
+    if (points.length < 2) {
+      this.warnings.push(`segment "${id}" needs at least two points`);
+      return;
+    }
+
+    this.checkEndpoint(id, points[0], from);
+    this.checkEndpoint(id, points[points.length - 1], to);
+
+    const model = new RouteModel(points, { closed: false, projection: this.projection });
+    const segment = {
+      id,
+      name: definition.name || id,
+      from,
+      to,
+      direction,
+      color: definition.color || null,
+      points,
+      length: model.length,
+      model,
+      stops: (definition.stops || []).map(stopId => this.resolveStop(id, stopId, model, stopsById))
+    };
+
+    this.segments.set(id, segment);
+    this.nodes.get(from).segments.push(id);
+    if (to !== from) this.nodes.get(to).segments.push(id);
+
+    this.adjacency.get(from).push({ segmentId: id, from, to, reversed: false, length: segment.length });
+    if (direction === 'both') {
+      this.adjacency.get(to).push({ segmentId: id, from: to, to: from, reversed: true, length: segment.length });
+    }
+  }
+
+  checkEndpoint(segmentId, point, nodeId) {
+    const distance = haversineDistance(point, this.nodes.get(nodeId));
+    if (distance > this.nodeTolerance) {
+      this.warnings.push(`segment "${segmentId}" ends ${Math.round(distance)} m from node "${nodeId}"`);
+    }
+  }
+
+  // Stop reference -> { id, name, distance } with distance along the segment in metres
+  resolveStop(segmentId, stopId, model, stopsById) {
+    const stop = stopsById.get(stopId);
+    if (!stop) {
+      // Stops may not be supplied yet; keep the reference without a position
+      if (stopsById.size > 0) {
+        this.warnings.push(`segment "${segmentId}" refers to unknown stop "${stopId}"`);
+      }
+      return { id: stopId, name: stopId, distance: null };
+    }
+
+    const located = model.project(stop);
+    return { id: stopId, name: stop.name, distance: located ? located.chainage : null };
+  }
+
+  addLoop(definition) {
+    const steps = (definition.segments || []).map(step =>
+      typeof step === 'string' ? { segment: step, reversed: false } : { reversed: false, ...step }
+    );
+
+    const missing = steps.find(step => !this.segments.has(step.segment));
+    if (missing) {
+      this.warnings.push(`loop "${definition.id}" uses unknown segment "${missing.segment}"`);
+      return;
+    }
+
+    // Each step must start where the previous one ended and be drivable that way
+    steps.forEach((step, index) => {
+      const segment = this.segments.get(step.segment);
+      if (step.reversed && segment.direction !== 'both') {
+        this.warnings.push(`loop "${definition.id}" drives one-way segment "${segment.id}" backwards`);
+      }
+      const next = steps[(index + 1) % steps.length];
+      if (this.getEndNode(step) !== this.getStartNode(next)) {
+        this.warnings.push(`loop "${definition.id}" breaks between "${step.segment}" and "${next.segment}"`);
+      }
+    });
+
+    this.loops.set(definition.id, {
+      id: definition.id,
+      name: definition.name || definition.id,
+      segments: steps,
+      length: steps.reduce((sum, step) => sum + this.segments.get(step.segment).length, 0)
+    });
+  }
+
+  getStartNode(step) {
+    const segment = this.segments.get(step.segment);
+    return step.reversed ? segment.to : segment.from;
+  }
+
+  getEndNode(step) {
+    const segment = this.segments.get(step.segment);
+    return step.reversed ? segment.from : segment.to;
+  }
+
+  getNode(nodeId) {
+    return this.nodes.get(nodeId) || null;
+  }
+
+  getSegment(segmentId) {
+    return this.segments.get(segmentId) || null;
+  }
+
+  getLoop(loopId) {
+    return this.loops.get(loopId) || null;
+  }
+
+  /**
+   * Loops that drive a segment
+   * @returns {Array} - Loops [{ id, name, segments, length }]
+   */
+  getLoopsWithSegment(segmentId) {
+    return Array.from(this.loops.values()).filter(loop => loop.segments.some(step => step.segment === segmentId));
+  }
+
+  /**
+   * Segments that can be driven away from a node
+   * @returns {Array} - [{ segmentId, from, to, reversed, length }]
+   */
+  getEdgesFrom(nodeId) {
+    return this.adjacency.get(nodeId) || [];
+  }
+
+  /**
+   * Segment points in driving order
+   * @param {string} segmentId
+   * @param {boolean} reversed - Driven to -> from
+   */
+  getSegmentPoints(segmentId, reversed = false) {
+    const segment = this.getSegment(segmentId);
+    if (!segment) return [];
+    return reversed ? [...segment.points].reverse() : segment.points;
+  }
+
+  /**
+   * Points of a chain of segments joined end to end, without repeating shared ends
+   * @param {Array} steps - [{ segment, reversed }]
+   */
+  getPathPoints(steps) {
+    const points = [];
+    steps.forEach(step => {
+      const segmentPoints = this.getSegmentPoints(step.segment, step.reversed);
+      const last = points[points.length - 1];
+      const first = segmentPoints[0];
+      const start = last && first && last.lat === first.lat && last.lon === first.lon ? 1 : 0;
+      points.push(...segmentPoints.slice(start));
+    });
+    return points;
+  }
+
+  /**
+   * A loop's legs joined into one path in driving order, ready for a closed RouteModel.
+   * This is the line trams actually run; the route model, map matching, ETAs and the
+   * simulators follow it rather than the surveyed points, which include spurs and the
+   * jumps between separately recorded legs.
+   */
+  getLoopPath(loopId) {
+    const loop = this.getLoop(loopId);
+    if (!loop) return [];
+
+    const points = this.getPathPoints(loop.segments);
+    const first = points[0];
+    const last = points[points.length - 1];
+    // The loop closes itself; drop the repeated start point
+    if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) {
+      points.pop();
+    }
+    return points;
+  }
+
+  /**
+   * Shortest drivable path between two nodes (Dijkstra on segment length)
+   * @returns {Object|null} - { segments: [{ segment, reversed }], length } or null when unreachable
+   */
+  findPath(fromNodeId, toNodeId) {
+    if (!this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId)) return null;
+
+    const distances = new Map([[fromNodeId, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    // The network is small (a handful of nodes); a linear scan for the nearest is enough
+    while (visited.size < this.nodes.size) {
+      let current = null;
+      distances.forEach((distance, nodeId) => {
+        if (!visited.has(nodeId) && (current === null || distance < distances.get(current))) {
+          current = nodeId;
+        }
+      });
+      if (current === null || current === toNodeId) break;
+      visited.add(current);
+
+      this.getEdgesFrom(current).forEach(edge => {
+        const distance = distances.get(current) + edge.length;
+        if (!distances.has(edge.to) || distance < distances.get(edge.to)) {
+          distances.set(edge.to, distance);
+          previous.set(edge.to, edge);
+        }
+      });
+    }
+
+    if (!distances.has(toNodeId)) return null;
+
+    const segments = [];
+    let nodeId = toNodeId;
+    while (nodeId !== fromNodeId) {
+      const edge = previous.get(nodeId);
+      segments.unshift({ segment: edge.segmentId, reversed: edge.reversed });
+      nodeId = edge.from;
+    }
+    return { segments, length: distances.get(toNodeId) };
+  }
+
+  /**
+   * Which segment (leg) a position is on
+   * @param {Object} position - { lat, lon, heading? }; a heading breaks ties where legs meet or overlap
+   * @param {Object} options
+   * @param {number} options.maxDistance - Positions further than this from every segment are not located (m)
+   * @returns {Object|null} - { segmentId, name, from, to, distance, length, offset, reversed }
+   */
+  locate(position, options = {}) {
+    const maxDistance = options.maxDistance ?? 30;
+    const heading = position.heading ?? position.bearing ?? null;
+
+    let best = null;
+    this.segments.forEach(segment => {
+      const located = segment.model.project(position);
+      if (!located || located.offset > maxDistance) return;
+
+      // Is the position heading along the segment or against it?
+      let reversed = false;
+      let headingCost = 0;
+      if (heading !== null) {
+        const bearing = segment.model.getSegment(located.segmentId).bearing;
+        const alignment = Math.cos((heading - bearing) * Math.PI / 180);
+        reversed = alignment < 0;
+        // Can't be driving a one-way segment backwards
+        headingCost = reversed && segment.direction !== 'both' ? 1 - alignment : (1 - Math.abs(alignment)) / 2;
+      }
+
+      // Within a metre of each other, legs are told apart by heading
+      const cost = Math.max(located.offset, 1) + headingCost;
+      if (!best || cost < best.cost) {
+        best = { segment, located, reversed, cost };
+      }
+    });
+
+    if (!best) return null;
+
+    const { segment, located, reversed } = best;
+    return {
+      segmentId: segment.id,
+      name: segment.name,
+      from: segment.from,
+      to: segment.to,
+      distance: located.chainage,
+      length: segment.length,
+      offset: located.offset,
+      reversed
+    };
+  }
+
+  getStatus() {
+    return {
+      nodes: this.nodes.size,
+      segments: this.segments.size,
+      loops: this.loops.size,
+      length: Array.from(this.segments.values()).reduce((sum, segment) => sum + segment.length, 0),
+      warnings: [...this.warnings]
+    };
+  }
+}
+
+export default RouteNetwork;
@@ -0,0 +1,472 @@
+/**
+ * GeoJSON, GPX and KML import/export for routes, stops and recorded trips
+ *
+ * Everything is exchanged as plain data:
+ *   routes: [{ name, points: [{ lat, lon, ele? }] }]
+ *   stops:  [{ id, name, lat, lon, radius?, ...properties }]
+ *   trips:  [{ vehicleId, name?, fixes: [{ lat, lon, timestamp, speed?, heading? }] }]
+ *
+ * so files edited in standard GIS tools (QGIS, Google Earth, GPS units) can replace
+ * the route and stops without a code change.
+ */
+
+export const GEO_FORMATS = {
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+/**
+ * Work out the format of a file from its name, falling back to its content
+ * @returns {string|null} - 'geojson', 'gpx', 'kml' or null
+ */
+export function detectGeoFormat(text, filename = '') {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  if (extension === 'gpx' || extension === 'kml') return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  return null;
+}
+
+/**
+ * Parse a GeoJSON, GPX or KML file
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.format - Force a format instead of detecting it
+ * @param {string} options.filename - Used to detect the format
+ * @returns {{ format: string, routes: Array, stops: Array, trips: Array }}
+ */
+export function parseGeoData(text, options = {}) {
+  const format = options.format || detectGeoFormat(text, options.filename);
+  let data;
+  switch (format) {
+    case 'geojson':
+      data = parseGeoJSON(text);
+      break;
+    case 'gpx':
+      data = parseGPX(text);
+      break;
+    case 'kml':
+      data = parseKML(text);
+      break;
+    default:
+      throw new Error(`Unrecognised geo data format${options.filename ? ` for ${options.filename}` : ''}`);
+  }
+  return { format, ...data };
+}
+
+// --- GeoJSON ---------------------------------------------------------------
+
+const toPoint = ([lon, lat, ele]) => (ele === undefined ? { lat, lon } : { lat, lon, ele });
+
+/**
+ * Parse GeoJSON: LineStrings become routes (or trips when they carry times),
+ * Points become stops
+ * @param {string|Object} input - GeoJSON text or object
+ */
+export function parseGeoJSON(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const result = { routes: [], stops: [], trips: [] };
+
+  let features;
+  if (geojson.type === 'FeatureCollection') {
+    features = geojson.features || [];
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  } else {
+    features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+  }
+
+  features.forEach((feature, index) => {
+    const geometry = feature.geometry;
+    const properties = feature.properties || {};
+    if (!geometry) return;
+
+    const name = properties.name || feature.id || `Feature ${index + 1}`;
+
+    if (geometry.type === 'Point') {
+      result.stops.push(makeStop(properties, feature.id, toPoint(geometry.coordinates), result.stops.length));
+    } else if (geometry.type === 'MultiPoint') {
+      geometry.coordinates.forEach((coordinates, pointIndex) => {
+        result.stops.push(makeStop({ ...properties, name: `${name} ${pointIndex + 1}` }, null, toPoint(coordinates), result.stops.length));
+      });
+    } else if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      lines.forEach((coordinates, lineIndex) => {
+        const lineName = lines.length > 1 ? `${name} ${lineIndex + 1}` : name;
+        const points = coordinates.map(toPoint);
+        // Per-vertex times (the common "coordTimes" convention) mark a recorded trip
+        const times = properties.coordTimes && (lines.length > 1 ? properties.coordTimes[lineIndex] : properties.coordTimes);
+
+        if (properties.kind === 'trip' || (Array.isArray(times) && times.length === points.length)) {
+          result.trips.push({
+            vehicleId: properties.vehicleId || null,
+            name: lineName,
+            fixes: points.map((point, pointIndex) => ({ ...point, timestamp: times ? times[pointIndex] : null }))
+          });
+        } else {
+          result.routes.push({ name: lineName, points });
+        }
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection
+ * @param {Object} data - { routes, stops, trips }
+ * @returns {Object} - FeatureCollection
+ */
+export function toGeoJSON({ routes = [], stops = [], trips = [] } = {}) {
+  const features = [];
+
+  routes.forEach(route => {
+    features.push({
+      type: 'Feature',
+      properties: { name: route.name || 'Route', kind: 'route' },
+      geometry: { type: 'LineString', coordinates: route.points.map(toCoordinates) }
+    });
+  });
+
+  stops.forEach(stop => {
+    const { lat, lon, ele, ...properties } = stop;
+    features.push({
+      type: 'Feature',
+      id: stop.id,
+      properties: { ...properties, kind: 'stop' },
+      geometry: { type: 'Point', coordinates: toCoordinates({ lat, lon, ele }) }
+    });
+  });
+
+  trips.forEach(trip => {
+    features.push({
+      type: 'Feature',
+      properties: {
+        name: trip.name || `Trip ${trip.vehicleId || ''}`.trim(),
+        kind: 'trip',
+        vehicleId: trip.vehicleId || null,
+        coordTimes: trip.fixes.map(fix => fix.timestamp || null)
+      },
+      geometry: { type: 'LineString', coordinates: trip.fixes.map(toCoordinates) }
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+function toCoordinates({ lat, lon, ele }) {
+  return ele === undefined || ele === null ? [lon, lat] : [lon, lat, ele];
+}
+
+// --- GPX ---------------------------------------------------------------------
+
+/**
+ * Parse GPX: routes (rte) and tracks (trk) become routes, or trips when every point
+ * has a time; waypoints (wpt) become stops
+ */
+export function parseGPX(text) {
+  const doc = parseXML(text);
+  const result = { routes: [], stops: [], trips: [] };
+
+  const readPoint = (element) => {
+    const point = {
+      lat: parseFloat(element.getAttribute('lat')),
+      lon: parseFloat(element.getAttribute('lon'))
+    };
+    const ele = childText(element, 'ele');
+    if (ele !== null) point.ele = parseFloat(ele);
+    const time = childText(element, 'time');
+    if (time !== null) point.timestamp = time;
+    return point;
+  };
+
+  byTag(doc, 'wpt').forEach(wpt => {
+    const point = readPoint(wpt);
+    result.stops.push(makeStop(
+      { name: childText(wpt, 'name'), description: childText(wpt, 'desc'), ...readExtensions(wpt) },
+      null,
+      { lat: point.lat, lon: point.lon },
+      result.stops.length
+    ));
+  });
+
+  byTag(doc, 'rte').forEach((rte, index) => {
+    const points = byTag(rte, 'rtept').map(readPoint).map(({ lat, lon, ele }) => (ele === undefined ? { lat, lon } : { lat, lon, ele }));
+    result.routes.push({ name: childText(rte, 'name') || `Route ${index + 1}`, points });
+  });
+
+  byTag(doc, 'trk').forEach((trk, index) => {
+    const name = childText(trk, 'name') || `Track ${index + 1}`;
+    const segments = byTag(trk, 'trkseg');
+    segments.forEach((trkseg, segmentIndex) => {
+      const points = byTag(trkseg, 'trkpt').map(readPoint);
+      const segmentName = segments.length > 1 ? `${name} ${segmentIndex + 1}` : name;
+
+      if (points.length > 0 && points.every(point => point.timestamp)) {
+        result.trips.push({ vehicleId: readExtensions(trk).vehicleId || null, name: segmentName, fixes: points });
+      } else {
+        result.routes.push({ name: segmentName, points: points.map(({ lat, lon, ele }) => (ele === undefined ? { lat, lon } : { lat, lon, ele })) });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Build a GPX 1.1 document: routes as <rte>, stops as <wpt>, trips as <trk>
+ * @returns {string}
+ */
+export function toGPX({ routes = [], stops = [], trips = [] } = {}, options = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXML(options.creator || 'AU Tram Tracker')}" xmlns="http://www.topografix.com/GPX/1/1">`
+  ];
+
+  const pointBody = (point) => [
+    point.ele !== undefined && point.ele !== null ? `<ele>${point.ele}</ele>` : '',
+    point.timestamp ? `<time>${escapeXML(new Date(point.timestamp).toISOString())}</time>` : ''
+  ].join('');
+
+  stops.forEach(stop => {
+    const { id, name, lat, lon, description, ...extra } = stop;
+    const extensions = Object.entries({ id, ...extra })
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([key, value]) => `<${key}>${escapeXML(value)}</${key}>`)
+      .join('');
+    lines.push(`  <wpt lat="${lat}" lon="${lon}"><name>${escapeXML(name || id)}</name>` +
+      `${description ? `<desc>${escapeXML(description)}</desc>` : ''}` +
+      `${extensions ? `<extensions>${extensions}</extensions>` : ''}</wpt>`);
+  });
+
+  routes.forEach(route => {
+    lines.push(`  <rte><name>${escapeXML(route.name || 'Route')}</name>`);
+    route.points.forEach(point => lines.push(`    <rtept lat="${point.lat}" lon="${point.lon}">${pointBody(point)}</rtept>`));
+    lines.push('  </rte>');
+  });
+
+  trips.forEach(trip => {
+    lines.push(`  <trk><name>${escapeXML(trip.name || `Trip ${trip.vehicleId || ''}`.trim())}</name>` +
+      `${trip.vehicleId ? `<extensions><vehicleId>${escapeXML(trip.vehicleId)}</vehicleId></extensions>` : ''}<trkseg>`);
+    trip.fixes.forEach(fix => lines.push(`    <trkpt lat="${fix.lat}" lon="${fix.lon}">${pointBody(fix)}</trkpt>`));
+    lines.push('  </trkseg></trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+// --- KML ---------------------------------------------------------------------
+
+/**
+ * Parse KML: LineString placemarks become routes, Point placemarks become stops,
+ * gx:Track placemarks become trips
+ */
+export function parseKML(text) {
+  const doc = parseXML(text);
+  const result = { routes: [], stops: [], trips: [] };
+
+  byTag(doc, 'Placemark').forEach((placemark, index) => {
+    const name = childText(placemark, 'name') || `Placemark ${index + 1}`;
+    const properties = { name, description: childText(placemark, 'description'), ...readExtendedData(placemark) };
+
+    byTag(placemark, 'Point').forEach(point => {
+      const [position] = parseKMLCoordinates(childText(point, 'coordinates'));
+      if (position) result.stops.push(makeStop(properties, placemark.getAttribute('id'), position, result.stops.length));
+    });
+
+    const lines = byTag(placemark, 'LineString');
+    lines.forEach((line, lineIndex) => {
+      result.routes.push({
+        name: lines.length > 1 ? `${name} ${lineIndex + 1}` : name,
+        points: parseKMLCoordinates(childText(line, 'coordinates'))
+      });
+    });
+
+    // gx:Track pairs <when> times with space separated "lon lat alt" <gx:coord>s
+    byTag(placemark, 'Track').forEach(track => {
+      const times = byTag(track, 'when').map(when => when.textContent.trim());
+      const fixes = byTag(track, 'coord').map((coord, coordIndex) => {
+        const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(Number);
+        const fix = { lat, lon, timestamp: times[coordIndex] || null };
+        if (ele !== undefined && !isNaN(ele)) fix.ele = ele;
+        return fix;
+      });
+      result.trips.push({ vehicleId: properties.vehicleId || null, name, fixes });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Build a KML document: routes as LineStrings, stops as Points, trips as gx:Tracks
+ * @returns {string}
+ */
+export function toKML({ routes = [], stops = [], trips = [] } = {}, options = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '<Document>',
+    `  <name>${escapeXML(options.name || 'AU Tram')}</name>`
+  ];
+
+  const coordinates = (point) => `${point.lon},${point.lat}${point.ele !== undefined && point.ele !== null ? `,${point.ele}` : ''}`;
+
+  routes.forEach(route => {
+    lines.push(`  <Placemark><name>${escapeXML(route.name || 'Route')}</name><LineString><tessellate>1</tessellate><coordinates>`);
+    lines.push(route.points.map(point => `    ${coordinates(point)}`).join('\n'));
+    lines.push('  </coordinates></LineString></Placemark>');
+  });
+
+  stops.forEach(stop => {
+    const { id, name, lat, lon, ele, description, ...extra } = stop;
+    const data = Object.entries(extra)
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`)
+      .join('');
+    lines.push(`  <Placemark${id ? ` id="${escapeXML(id)}"` : ''}><name>${escapeXML(name || id)}</name>` +
+      `${description ? `<description>${escapeXML(description)}</description>` : ''}` +
+      `${data ? `<ExtendedData>${data}</ExtendedData>` : ''}` +
+      `<Point><coordinates>${coordinates({ lat, lon, ele })}</coordinates></Point></Placemark>`);
+  });
+
+  trips.forEach(trip => {
+    lines.push(`  <Placemark><name>${escapeXML(trip.name || `Trip ${trip.vehicleId || ''}`.trim())}</name>` +
+      `${trip.vehicleId ? `<ExtendedData><Data name="vehicleId"><value>${escapeXML(trip.vehicleId)}</value></Data></ExtendedData>` : ''}<gx:Track>`);
+    trip.fixes.forEach(fix => {
+      if (fix.timestamp) lines.push(`    <when>${escapeXML(new Date(fix.timestamp).toISOString())}</when>`);
+    });
+    trip.fixes.forEach(fix => {
+      lines.push(`    <gx:coord>${fix.lon} ${fix.lat}${fix.ele !== undefined && fix.ele !== null ? ` ${fix.ele}` : ''}</gx:coord>`);
+    });
+    lines.push('  </gx:Track></Placemark>');
+  });
+
+  lines.push('</Document>', '</kml>');
+  return lines.join('\n') + '\n';
+}
+
+function parseKMLCoordinates(text) {
+  if (!text) return [];
+  // Tuples are split on whitespace, but some writers put spaces after the commas too
+  return text.trim().replace(/\s*,\s*/g, ',').split(/\s+/).map(tuple => {
+    const [lon, lat, ele] = tuple.split(',').map(Number);
+    return ele === undefined || isNaN(ele) ? { lat, lon } : { lat, lon, ele };
+  }).filter(point => !isNaN(point.lat) && !isNaN(point.lon));
+}
+
+// --- Export ------------------------------------------------------------------
+
+/**
+ * Serialize routes, stops and trips in one of the supported formats
+ * @param {Object} data - { routes, stops, trips }
+ * @param {string} format - 'geojson', 'gpx' or 'kml'
+ * @returns {{ content: string, mimeType: string, extension: string }}
+ */
+export function serializeGeoData(data, format = 'geojson') {
+  const info = GEO_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unsupported export format "${format}" (supported: ${Object.keys(GEO_FORMATS).join(', ')})`);
+  }
+
+  let content;
+  if (format === 'geojson') {
+    content = JSON.stringify(toGeoJSON(data), null, 2);
+  } else if (format === 'gpx') {
+    content = toGPX(data);
+  } else {
+    content = toKML(data);
+  }
+  return { content, ...info };
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+export function downloadText(content, filename, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Helpers -----------------------------------------------------------------
+
+// Stop from feature properties; ids fall back to a slug of the name, or to the stop's
+// position in the file when the name has no latin letters or digits (e.g. Thai names)
+function makeStop(properties, featureId, { lat, lon }, index) {
+  const { kind, ...rest } = properties;
+  const name = rest.name || rest.id || featureId || 'Stop';
+  const slug = String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const id = rest.id || featureId || slug || `stop-${index + 1}`;
+  const stop = { ...rest, id, name, lat, lon };
+
+  if (stop.radius !== undefined) stop.radius = Number(stop.radius);
+  Object.keys(stop).forEach(key => {
+    if (stop[key] === null || stop[key] === undefined) delete stop[key];
+  });
+  return stop;
+}
+
+function parseXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+  }
+  return doc;
+}
+
+// Elements by local name, so namespace prefixes (gx:, gpx:) don't matter
+function byTag(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function childText(parent, localName) {
+  const child = Array.from(parent.children).find(element => element.localName === localName);
+  return child ? child.textContent.trim() : null;
+}
+
+// GPX <extensions> with simple text children -> { key: value }
+function readExtensions(element) {
+  const extensions = Array.from(element.children).find(child => child.localName === 'extensions');
+  if (!extensions) return {};
+
+  const values = {};
+  Array.from(extensions.children).forEach(child => {
+    if (child.children.length === 0) values[child.localName] = child.textContent.trim();
+  });
+  return values;
+}
+
+// KML <ExtendedData><Data name="..."><value>...</value></Data> -> { name: value }
+function readExtendedData(placemark) {
+  const values = {};
+  byTag(placemark, 'Data').forEach(data => {
+    values[data.getAttribute('name')] = childText(data, 'value');
+  });
+  return values;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,235 @@
+/**
+ * GTFS static feed import (stops.txt, trips.txt, stop_times.txt, calendar.txt)
+ *
+ * A feed is read from a .zip or from the loose .txt files of an unzipped folder and
+ * turned into plain data:
+ *   stops:    [{ id, name, lat, lon }]
+ *   trips:    [{ id, routeId, serviceId, headsign, stopTimes: [{ stopId, sequence, arrival, departure }] }]
+ *   services: [{ id, days: [sun, mon, ..., sat], startDate, endDate }]
+ * Stop times are seconds after midnight of the service day and may pass 24:00:00
+ * (trips running after midnight), as in the GTFS spec. Zips are inflated with the
+ * browser's DecompressionStream, so no zip library is needed.
+ */
+
+export const GTFS_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+
+// calendar.txt day columns, in Date.getDay() order
+const DAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Read a GTFS feed from files picked by the user
+ * @param {Array<File>|FileList} files - One .zip, or the .txt files of a feed folder
+ * @returns {Promise<Object>} - { stops, trips, services }
+ */
+export async function readGTFSFiles(files) {
+  const list = Array.from(files);
+  const zip = list.find(file => file.name.toLowerCase().endsWith('.zip'));
+
+  let texts;
+  if (zip) {
+    texts = await readZip(await zip.arrayBuffer(), GTFS_FILES);
+  } else {
+    texts = {};
+    await Promise.all(list
+      .filter(file => GTFS_FILES.includes(file.name.toLowerCase()))
+      .map(async file => {
+        texts[file.name.toLowerCase()] = await file.text();
+      }));
+  }
+  return parseGTFS(texts);
+}
+
+/**
+ * Parse the text of a feed's files
+ * @param {Object} texts - { 'stops.txt': text, ... } (calendar.txt is optional)
+ * @returns {Object} - { stops, trips, services }
+ */
+export function parseGTFS(texts) {
+  const missing = ['stops.txt', 'trips.txt', 'stop_times.txt'].filter(name => !texts[name]);
+  if (missing.length > 0) {
+    throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+  }
+
+  const stops = parseCSV(texts['stops.txt'])
+    .filter(row => row.stop_id && row.stop_lat && row.stop_lon)
+    // Stations and entrances (location_type 1-4) aren't where trams stop
+    .filter(row => !row.location_type || row.location_type === '0')
+    .map(row => ({
+      id: row.stop_id,
+      name: row.stop_name || row.stop_id,
+      lat: Number(row.stop_lat),
+      lon: Number(row.stop_lon)
+    }));
+
+  const trips = new Map();
+  parseCSV(texts['trips.txt']).forEach(row => {
+    if (!row.trip_id) return;
+    trips.set(row.trip_id, {
+      id: row.trip_id,
+      routeId: row.route_id || null,
+      serviceId: row.service_id || null,
+      headsign: row.trip_headsign || '',
+      stopTimes: []
+    });
+  });
+
+  parseCSV(texts['stop_times.txt']).forEach(row => {
+    const trip = trips.get(row.trip_id);
+    if (!trip) return;
+    // Untimed stops have neither; one given stands in for the other
+    const arrival = parseGTFSTime(row.arrival_time || row.departure_time);
+    const departure = parseGTFSTime(row.departure_time || row.arrival_time);
+    if (arrival === null) return;
+    trip.stopTimes.push({ stopId: row.stop_id, sequence: Number(row.stop_sequence), arrival, departure });
+  });
+  trips.forEach(trip => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+
+  const services = texts['calendar.txt']
+    ? parseCSV(texts['calendar.txt'])
+      .filter(row => row.service_id)
+      .map(row => ({
+        id: row.service_id,
+        days: DAY_COLUMNS.map(day => row[day] === '1'),
+        startDate: row.start_date || null,
+        endDate: row.end_date || null
+      }))
+    : [];
+
+  return {
+    stops,
+    trips: Array.from(trips.values()).filter(trip => trip.stopTimes.length > 0),
+    services
+  };
+}
+
+/**
+ * Parse "HH:MM:SS" (hours may be 24 or more)
+ * @returns {number|null} - Seconds after midnight of the service day
+ */
+export function parseGTFSTime(value) {
+  const match = /^\s*(\d+):(\d{2}):(\d{2})\s*$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Does a service run on a day? Trips without a calendar entry are taken to run every day.
+ * @param {Object|undefined} service - Entry from services
+ * @param {Date} date - Service day (local)
+ */
+export function isServiceActive(service, date) {
+  if (!service) return true;
+
+  const pad = (value) => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  if (service.startDate && day < service.startDate) return false;
+  if (service.endDate && day > service.endDate) return false;
+  return service.days[date.getDay()];
+}
+
+/**
+ * Parse CSV with a header row into objects (quoted fields, "" escapes, CRLF)
+ * @returns {Array<Object>} - One object per row keyed by the header names
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // Drop a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])));
+}
+
+/**
+ * Extract text files from a zip archive
+ * Only stored and deflated entries are supported, which is what GTFS feeds use.
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @param {Array<string>} names - File names wanted (matched case-insensitively, in any folder)
+ * @returns {Promise<Object>} - { name: text } for the names found
+ */
+export async function readZip(buffer, names) {
+  const view = new DataView(buffer);
+  const wanted = names.map(name => name.toLowerCase());
+
+  // End of central directory record: within the last 64 KB (its comment can be that long)
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip file');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let entry = 0; entry < count; entry++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const name = path.split('/').pop().toLowerCase();
+    if (!wanted.includes(name) || files[name] !== undefined) continue;
+
+    // The local header's name and extra field lengths can differ from the central ones
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+    if (method === 0) {
+      files[name] = decoder.decode(data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[name] = decoder.decode(await new Response(stream).arrayBuffer());
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${path}`);
+    }
+  }
+
+  return files;
+}
@@ -0,0 +1,75 @@
+/**
+ * Best-fit 2D similarity transform (uniform scale, rotation about y, translation)
+ * in the scene's horizontal x/z plane, solved by linear least squares.
+ *
+ * Points are treated as complex numbers x + iz, so a model point q maps to a scene
+ * point w = a·q + b. |a| is the scale and -arg(a) the three.js rotation.y.
+ */
+
+/**
+ * Solve the transform that maps source points onto target points
+ * @param {Array} pairs - [{ source: { x, z }, target: { x, z } }], at least two
+ * @returns {Object|null} - { scale, rotationY, position: { x, z }, residuals, rmsError } or null
+ */
+export function solveSimilarity2D(pairs) {
+  if (!pairs || pairs.length < 2) return null;
+
+  const n = pairs.length;
+  const sourceMean = { x: 0, z: 0 };
+  const targetMean = { x: 0, z: 0 };
+  pairs.forEach(({ source, target }) => {
+    sourceMean.x += source.x / n;
+    sourceMean.z += source.z / n;
+    targetMean.x += target.x / n;
+    targetMean.z += target.z / n;
+  });
+
+  // a = Σ conj(q)·w / Σ |q|² over centred points
+  let re = 0;
+  let im = 0;
+  let norm = 0;
+  pairs.forEach(({ source, target }) => {
+    const qx = source.x - sourceMean.x;
+    const qz = source.z - sourceMean.z;
+    const wx = target.x - targetMean.x;
+    const wz = target.z - targetMean.z;
+    re += qx * wx + qz * wz;
+    im += qx * wz - qz * wx;
+    norm += qx * qx + qz * qz;
+  });
+
+  // All source points coincide - no rotation or scale can be recovered
+  if (norm === 0) return null;
+
+  const a = { re: re / norm, im: im / norm };
+  const scale = Math.hypot(a.re, a.im);
+  const rotationY = -Math.atan2(a.im, a.re);
+
+  // b = w̄ - a·q̄
+  const position = {
+    x: targetMean.x - (a.re * sourceMean.x - a.im * sourceMean.z),
+    z: targetMean.z - (a.re * sourceMean.z + a.im * sourceMean.x)
+  };
+
+  const transform = { scale, rotationY, position };
+  const residuals = pairs.map(({ source, target }) => {
+    const mapped = applySimilarity2D(transform, source);
+    return Math.hypot(mapped.x - target.x, mapped.z - target.z);
+  });
+  const rmsError = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
+
+  return { ...transform, residuals, rmsError };
+}
+
+/**
+ * Map a model point into the scene with a solved transform
+ * (matches three.js: scale, then rotation.y, then position)
+ */
+export function applySimilarity2D({ scale, rotationY, position }, point) {
+  const cos = Math.cos(rotationY);
+  const sin = Math.sin(rotationY);
+  return {
+    x: position.x + scale * (cos * point.x + sin * point.z),
+    z: position.z + scale * (-sin * point.x + cos * point.z)
+  };
+}
@@ -0,0 +1,83 @@
+// Loop counting test: drives a simulated tram round the campus loop several times and
+// checks that the tracker counts each lap and logs its stop visits under the right loop
+import TramTracker from './src/components/TramTracker.js';
+import RouteModel from './src/utils/RouteModel.js';
+import RouteNetwork from './src/utils/RouteNetwork.js';
+import RouteSimulator from './src/services/RouteSimulator.js';
+import { routeNetwork, CAMPUS_LOOP } from './src/config/routeNetwork.js';
+import { stopRegistry } from './src/services/StopRegistry.js';
+
+console.log('🧪 Testing loop counting on the campus loop...');
+
+const LAPS = 3;
+const FIX_INTERVAL = 2; // seconds between GPS fixes
+const NOISE_METERS = 3;
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures++;
+};
+
+// Repeatable GPS noise, so the fixture is the same on every run
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const jitter = (lat) => {
+  const metresPerDegLat = 111320;
+  const metresPerDegLon = 111320 * Math.cos(lat * Math.PI / 180);
+  return {
+    lat: (random() - 0.5) * 2 * NOISE_METERS / metresPerDegLat,
+    lon: (random() - 0.5) * 2 * NOISE_METERS / metresPerDegLon
+  };
+};
+
+const stops = stopRegistry.getStops();
+const loopPath = new RouteNetwork(routeNetwork, { stops }).getLoopPath(CAMPUS_LOOP);
+const routeModel = new RouteModel(loopPath, { stops });
+
+// Fixture: a tram starting at the gate, dwelling at every stop, for LAPS laps and a bit
+const simulator = new RouteSimulator(loopPath, { speedKmh: 15, dwellSeconds: 20, stops });
+const start = new Date('2026-10-01T08:00:00').getTime();
+const fixes = [];
+let driven = 0;
+let previous = { ...simulator.position };
+while (driven < routeModel.length * LAPS + 100) {
+  simulator.tick(FIX_INTERVAL);
+  const { lat, lon } = simulator.position;
+  driven += routeModel.chainageDelta(routeModel.project(previous).chainage, routeModel.project({ lat, lon }).chainage);
+  previous = { lat, lon };
+  const noise = jitter(lat);
+  fixes.push({ lat: lat + noise.lat, lon: lon + noise.lon, timestamp: start + fixes.length * FIX_INTERVAL * 1000 });
+}
+console.log(`📍 ${fixes.length} fixes over ${LAPS} laps of ${Math.round(routeModel.length)} m`);
+
+const tracker = new TramTracker('tram_test', { routeModel });
+const completed = [];
+tracker.onLoopComplete(loop => completed.push(loop));
+fixes.forEach(fix => tracker.updatePosition(fix.lat, fix.lon, fix.timestamp));
+
+check(completed.length === LAPS, `${LAPS} loops completed (got ${completed.length})`);
+check(tracker.loop === LAPS + 1, `tram is on loop ${LAPS + 1} (got ${tracker.loop})`);
+
+const timed = completed.filter(loop => loop.durationMs !== null);
+const lapTimes = timed.map(loop => Math.round(loop.durationMs / 1000));
+const spread = Math.max(...lapTimes) - Math.min(...lapTimes);
+check(timed.length === LAPS - 1 && spread <= 3 * FIX_INTERVAL, `laps after the first take the same time (${lapTimes.join(', ')} s)`);
+
+// The loop passes some stops twice, so count distinct stops per loop as well as visits
+const visitLog = tracker.getVisitLog();
+const loops = visitLog.map(entry => entry.loop);
+check(LAPS <= loops.length && loops.slice(0, LAPS).every((loop, index) => loop === index + 1), `visits logged under loops 1-${LAPS} (got ${loops.join(', ')})`);
+check(visitLog.slice(0, LAPS).every(entry => new Set(entry.visits.map(visit => visit.stopId)).size === stops.length), `every loop visits all ${stops.length} stops`);
+const fullLoopVisits = visitLog.slice(1, LAPS).map(entry => entry.visits.length);
+check(fullLoopVisits.every(count => count === fullLoopVisits[0]), `full loops log the same visits (${fullLoopVisits.join(', ')})`);
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exitCode = 1;
+} else {
+  console.log('✅ Loop counting works');
+}
@@ -3,9 +3,9 @@ import WebSocketGPSService from './src/services/WebSocketGPSService.js';
 
 console.log('🧪 Testing Frontend WebSocket GPS Service...');
 
-// Create WebSocket GPS service
+// Create WebSocket GPS service (start the mock backend first with `npm run mock:gps`)
 const gpsService = new WebSocketGPSService({
-  serverUrl: 'ws://localhost:3000'
+  serverUrl: process.env.GPS_SERVER_URL || 'ws://localhost:8080'
 });
 
 // Subscribe to GPS updates